@@ -0,0 +1,494 @@
+/* ========================================
+   YIELDGUARD AI - ALERT ENGINE
+   alert-engine.js
+   Evaluates threshold rules on every poll
+   Drives the #liveness-alerts feed
+   ======================================== */
+
+/**
+ * Default alert rules.
+ *
+ * Rule shape:
+ * - protocol:   adapter id ('ethena', 'pendle', ...)
+ * - metric:     'score' or any normalized protocol field
+ * - transform:  optional PulseRuleSet transform ('hoursUntil', 'daysUntil', 'abs')
+ * - op:         'lt' | 'gt'
+ * - value:      threshold
+ * - hysteresis: distance past the threshold required before the alert re-arms
+ * - severity:   'info' | 'warning' | 'critical'
+ */
+const DEFAULT_ALERT_RULES = [
+    {
+        id: 'ethena-score-low',
+        label: 'Ethena PulseScore below 50',
+        protocol: 'ethena',
+        metric: 'score',
+        op: 'lt',
+        value: 50,
+        hysteresis: 5,
+        severity: 'warning'
+    },
+    {
+        id: 'ethena-funding-negative',
+        label: 'Ethena funding rate turned negative',
+        protocol: 'ethena',
+        metric: 'fundingRate',
+        op: 'lt',
+        value: 0,
+        hysteresis: 0.005,
+        severity: 'warning'
+    },
+    {
+        id: 'pendle-maturity-72h',
+        label: 'Pendle maturity within 72h',
+        protocol: 'pendle',
+        metric: 'maturityDate',
+        transform: 'hoursUntil',
+        op: 'lt',
+        value: 72,
+        hysteresis: 0,
+        severity: 'info'
+    }
+];
+
+class AlertEngine {
+    constructor(config = {}) {
+        this.scorer = config.scorer || null;
+        this.maxAlerts = config.maxAlerts || 50;
+        this.snoozeMs = config.snoozeMs || 60 * 60 * 1000; // 1h default
+        // Points a score must move past a status boundary before the change is announced
+        this.statusDeadband = config.statusDeadband || 2;
+        // Web Storage API; the Node CLI passes a file-backed equivalent
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.rulesKey = 'yieldguard_alert_rules';
+        this.alertsKey = 'yieldguard_alerts';
+        this.stateKey = 'yieldguard_alert_state';
+        this.rules = [];
+        this.ruleState = {};      // ruleId -> { active, snoozedUntil }
+        this.lastStatuses = {};   // protocol -> { status, score } last announced
+        this.alerts = [];
+    }
+
+    /* ==========================================
+       1. RULE MANAGEMENT
+       ========================================== */
+
+    addRule(rule) {
+        if (!rule.protocol || !rule.metric || !['lt', 'gt'].includes(rule.op) || isNaN(parseFloat(rule.value))) {
+            throw new Error('Alert rule requires protocol, metric, op (lt/gt) and a numeric value');
+        }
+
+        const normalized = {
+            id: rule.id || `rule-${Date.now()}`,
+            label: rule.label || `${rule.protocol} ${rule.metric} ${rule.op === 'lt' ? '<' : '>'} ${rule.value}`,
+            hysteresis: 0,
+            severity: 'warning',
+            ...rule,
+            value: parseFloat(rule.value)
+        };
+
+        this.rules = this.rules.filter(r => r.id !== normalized.id).concat(normalized);
+        this.saveRules();
+        console.log('[AlertEngine] Rule added:', normalized.id);
+        return normalized;
+    }
+
+    removeRule(ruleId) {
+        this.rules = this.rules.filter(r => r.id !== ruleId);
+        Object.keys(this.ruleState)
+            .filter(stateId => stateId === ruleId || stateId.startsWith(`${ruleId}@`))
+            .forEach(stateId => delete this.ruleState[stateId]);
+        this.saveRules();
+        this.saveState();
+    }
+
+    /* ==========================================
+       2. EVALUATION
+       ========================================== */
+
+    /**
+     * Evaluate all rules plus status transitions against one poll result
+     */
+    evaluate(data) {
+        const now = Date.now();
+        const fired = [];
+
+        Object.values(data).forEach(protocolData => {
+            const sourceState = protocolData && this.ruleState[`source-${protocolData.protocolId}`];
+            if (sourceState && protocolData.freshness && protocolData.freshness.state === 'live') {
+                sourceState.active = false;
+            }
+        });
+
+        // Status transitions (Safe -> Monitor -> Warning -> Critical). A score
+        // sitting on a boundary doesn't flap: it has to clear it by the dead-band.
+        if (this.scorer) {
+            Object.entries(data).forEach(([protocol, protocolData]) => {
+                if (!protocolData) return;
+                const score = this.scorer.calculatePulseScore(protocolData);
+                const status = this.scorer.getStatusFromScore(score).status;
+                const last = this.lastStatuses[protocol];
+                if (last && last.status === status) return;
+                if (last && this._withinDeadband(score, last)) return;
+
+                const previous = last ? last.status : null;
+                this.lastStatuses[protocol] = { status: status, score: score };
+
+                const snoozedUntil = (this.ruleState[`status-${protocol}`] || {}).snoozedUntil || 0;
+                if (previous && now >= snoozedUntil) {
+                    fired.push(this._createAlert({
+                        ruleId: `status-${protocol}`,
+                        title: `${protocolData.displayName || protocolData.protocol} status: ${previous} → ${status}`,
+                        message: `PulseScore is now ${score}`,
+                        severity: status === 'Critical' ? 'critical' : status === 'Safe' ? 'info' : 'warning'
+                    }));
+                }
+            });
+        }
+
+        // Threshold rules with hysteresis and de-duplication.
+        // A protocol rule applies to each of its markets, with separate state per market.
+        this.rules.forEach(rule => {
+            Object.entries(data).forEach(([key, protocolData]) => {
+                if (!protocolData || (key !== rule.protocol && protocolData.protocolId !== rule.protocol)) return;
+
+                const value = this._readMetric(rule, protocolData);
+                if (value === null || isNaN(value)) return;
+
+                const stateId = key === rule.protocol ? rule.id : `${rule.id}@${key}`;
+                const state = this.ruleState[stateId] || { active: false, snoozedUntil: 0 };
+                const breached = rule.op === 'lt' ? value < rule.value : value > rule.value;
+                const recovered = rule.op === 'lt'
+                    ? value >= rule.value + rule.hysteresis
+                    : value <= rule.value - rule.hysteresis;
+
+                if (!state.active && breached) {
+                    state.active = true;
+                    if (now >= state.snoozedUntil) {
+                        fired.push(this._createAlert({
+                            ruleId: stateId,
+                            title: protocolData.marketKey ? `${rule.label} (${protocolData.displayName})` : rule.label,
+                            message: `${protocolData.displayName || protocolData.protocol} ${rule.metric}: ${+value.toFixed(4)}`,
+                            severity: rule.severity
+                        }));
+                    }
+                } else if (state.active && recovered) {
+                    state.active = false;
+                }
+
+                this.ruleState[stateId] = state;
+            });
+        });
+
+        this.saveState();
+        this._recordFired(fired);
+        return fired;
+    }
+
+    /**
+     * Internal: True while a new status is within `statusDeadband` points of
+     * the boundary it crossed, i.e. nudging the score back would restore the
+     * last announced status
+     */
+    _withinDeadband(score, last) {
+        const nudged = score < last.score ? score + this.statusDeadband : score - this.statusDeadband;
+        return this.scorer.getStatusFromScore(nudged).status === last.status;
+    }
+
+    /**
+     * Raise a critical alert when a source's circuit opens (sourceFailed event)
+     */
+    evaluateSourceFailure(failure) {
+        if (failure.circuit !== 'open') return null;
+
+        // One alert per outage; evaluate() re-arms it once the source is live again
+        const ruleId = `source-${failure.source}`;
+        const state = this.ruleState[ruleId] || { active: false, snoozedUntil: 0 };
+        if (state.active) return null;
+        state.active = true;
+        this.ruleState[ruleId] = state;
+        this.saveState();
+        if (Date.now() < state.snoozedUntil) return null;
+
+        const alert = this._createAlert({
+            ruleId: ruleId,
+            title: `${failure.source} data source down`,
+            message: `${failure.failures} failed fetches, last ${failure.errorType}: ${failure.error}`,
+            severity: 'critical'
+        });
+        this._recordFired([alert]);
+        return alert;
+    }
+
+    /**
+     * Internal: Store, render and announce newly fired alerts
+     */
+    _recordFired(fired) {
+        if (fired.length === 0) return;
+
+        this.alerts = [...fired, ...this.alerts].slice(0, this.maxAlerts);
+        this.saveAlerts();
+        this.renderFeed();
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('alertsFired', { detail: fired }));
+        }
+    }
+
+    /**
+     * Internal: Current value of a rule's metric
+     */
+    _readMetric(rule, protocolData) {
+        if (rule.metric === 'score') {
+            return this.scorer ? this.scorer.calculatePulseScore(protocolData) : null;
+        }
+
+        const raw = protocolData[rule.metric];
+        if (raw === undefined || raw === null) return null;
+
+        const transform = PulseRuleSet.transforms[rule.transform];
+        return transform ? transform(raw) : parseFloat(raw);
+    }
+
+    _createAlert({ ruleId, title, message, severity }) {
+        return {
+            id: `${ruleId}-${Date.now()}`,
+            ruleId: ruleId,
+            title: title,
+            message: message,
+            severity: severity,
+            timestamp: new Date().toISOString(),
+            acknowledged: false
+        };
+    }
+
+    /* ==========================================
+       3. ACKNOWLEDGE & SNOOZE
+       ========================================== */
+
+    acknowledge(alertId) {
+        const alert = this.alerts.find(a => a.id === alertId);
+        if (!alert) return;
+
+        alert.acknowledged = true;
+        this.saveAlerts();
+        this.renderFeed();
+        console.log('[AlertEngine] Acknowledged:', alertId);
+    }
+
+    /**
+     * Hide an alert and mute its rule for the snooze window
+     */
+    snooze(alertId, durationMs = this.snoozeMs) {
+        const alert = this.alerts.find(a => a.id === alertId);
+        if (!alert) return;
+
+        const state = this.ruleState[alert.ruleId] || { active: true, snoozedUntil: 0 };
+        state.snoozedUntil = Date.now() + durationMs;
+        this.ruleState[alert.ruleId] = state;
+
+        alert.snoozedUntil = state.snoozedUntil;
+        this.saveAlerts();
+        this.saveState();
+        this.renderFeed();
+        console.log('[AlertEngine] Snoozed:', alertId, 'until', new Date(state.snoozedUntil).toISOString());
+    }
+
+    /* ==========================================
+       4. DOM UPDATES - ALERT FEED
+       ========================================== */
+
+    /**
+     * Render live alert cards into #liveness-alerts
+     */
+    renderFeed() {
+        if (typeof document === 'undefined') return;
+        const feed = document.getElementById('liveness-alerts');
+        if (!feed) return;
+
+        const now = Date.now();
+        const visible = this.alerts.filter(a => !a.snoozedUntil || a.snoozedUntil <= now);
+
+        if (visible.length === 0) {
+            feed.innerHTML = `
+                <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                    <p class="text-sm text-slate-500">No active alerts. Rules are evaluated on every poll.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const dotColors = { info: 'bg-green-500', warning: 'bg-yellow-500', critical: 'bg-red-500' };
+
+        feed.innerHTML = visible.map(alert => `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4 hover:border-slate-600 transition ${alert.acknowledged ? 'opacity-50' : ''} ${alert.severity === 'critical' && !alert.acknowledged ? 'pulse-alert' : ''}" data-alert-id="${this._escape(alert.id)}">
+                <div class="flex items-start gap-3">
+                    <div class="w-2 h-2 ${dotColors[alert.severity] || 'bg-slate-500'} rounded-full mt-2 flex-shrink-0"></div>
+                    <div class="flex-1 min-w-0">
+                        <div class="flex items-center justify-between gap-2">
+                            <p class="text-sm font-semibold">${this._escape(alert.title)}</p>
+                            <span class="text-xs uppercase text-slate-500">${this._escape(alert.severity)}</span>
+                        </div>
+                        <p class="text-xs text-slate-500 mt-1">${this._escape(alert.message)}</p>
+                        <div class="flex items-center justify-between mt-2">
+                            <p class="text-xs text-slate-600">${this._formatTimestamp(alert.timestamp)}</p>
+                            <div class="flex gap-3 text-xs">
+                                ${alert.acknowledged ? '<span class="text-slate-600">Acknowledged</span>' : '<button class="text-slate-400 hover:text-green-400 transition" data-alert-action="ack">Acknowledge</button>'}
+                                <button class="text-slate-400 hover:text-yellow-400 transition" data-alert-action="snooze">Snooze 1h</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Wire alert card actions and the rule form
+     */
+    initializeUI() {
+        const feed = document.getElementById('liveness-alerts');
+        if (feed) {
+            feed.addEventListener('click', (e) => {
+                const action = e.target.dataset.alertAction;
+                const card = e.target.closest('[data-alert-id]');
+                if (!action || !card) return;
+
+                if (action === 'ack') this.acknowledge(card.dataset.alertId);
+                if (action === 'snooze') this.snooze(card.dataset.alertId);
+            });
+        }
+
+        const form = document.getElementById('alert-rule-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const fields = new FormData(form);
+                try {
+                    this.addRule({
+                        protocol: fields.get('protocol'),
+                        metric: fields.get('metric'),
+                        transform: fields.get('metric') === 'maturityDate' ? 'hoursUntil' : undefined,
+                        op: fields.get('op'),
+                        value: fields.get('value'),
+                        hysteresis: parseFloat(fields.get('hysteresis')) || 0,
+                        severity: fields.get('severity')
+                    });
+                    form.reset();
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+
+        this.renderFeed();
+        console.log('[AlertEngine] UI initialized');
+    }
+
+    /* ==========================================
+       5. PERSISTENCE
+       ========================================== */
+
+    loadState() {
+        try {
+            const savedRules = this.storage ? this.storage.getItem(this.rulesKey) : null;
+            this.rules = savedRules ? JSON.parse(savedRules) : DEFAULT_ALERT_RULES.map(r => ({ ...r }));
+
+            // Breaches still in effect stay active across reloads instead of firing again
+            const savedState = this.storage ? this.storage.getItem(this.stateKey) : null;
+            if (savedState) {
+                const state = JSON.parse(savedState);
+                this.ruleState = state.ruleState || {};
+                this.lastStatuses = state.lastStatuses || {};
+            }
+
+            const savedAlerts = this.storage ? this.storage.getItem(this.alertsKey) : null;
+            if (savedAlerts) {
+                this.alerts = JSON.parse(savedAlerts);
+                // Keep snoozes across reloads
+                this.alerts.forEach(alert => {
+                    if (alert.snoozedUntil && !this.ruleState[alert.ruleId]) {
+                        this.ruleState[alert.ruleId] = { active: true, snoozedUntil: alert.snoozedUntil };
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('[AlertEngine] Could not load saved state:', error);
+            this.rules = DEFAULT_ALERT_RULES.map(r => ({ ...r }));
+        }
+    }
+
+    saveRules() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.rulesKey, JSON.stringify(this.rules));
+        } catch (error) {
+            console.warn('[AlertEngine] Could not save rules:', error);
+        }
+    }
+
+    saveAlerts() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.alertsKey, JSON.stringify(this.alerts));
+        } catch (error) {
+            console.warn('[AlertEngine] Could not save alerts:', error);
+        }
+    }
+
+    saveState() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.stateKey, JSON.stringify({ ruleState: this.ruleState, lastStatuses: this.lastStatuses }));
+        } catch (error) {
+            console.warn('[AlertEngine] Could not save rule state:', error);
+        }
+    }
+
+    /* ==========================================
+       6. UTILITY FUNCTIONS
+       ========================================== */
+
+    /**
+     * Internal: Titles carry protocol and market names from webhook data,
+     * escape before innerHTML
+     */
+    _escape(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    _formatTimestamp(isoString) {
+        return isoString.replace('T', ' ').slice(0, 16) + ' UTC';
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+// Page bootstrap - skipped when loaded by the Node CLI
+if (typeof document !== 'undefined') {
+    const alertEngine = new AlertEngine({
+        scorer: window.riskCore,
+        snoozeMs: 60 * 60 * 1000
+    });
+    alertEngine.loadState();
+
+    // Evaluate rules on every poll cycle
+    window.addEventListener('pulseScoreUpdate', (e) => {
+        alertEngine.evaluate(e.detail);
+    });
+
+    if (window.eventBus) {
+        window.eventBus.on('sourceFailed', (failure) => alertEngine.evaluateSourceFailure(failure));
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => alertEngine.initializeUI());
+    } else {
+        alertEngine.initializeUI();
+    }
+
+    // Export for use in other modules
+    window.alertEngine = alertEngine;
+}
@@ -4,32 +4,42 @@
    Extracted event handlers from arbitrage.html
    ======================================== */
 
+/**
+ * Modules the handlers work with. Injected by initializeArbitrage so the
+ * handlers never reach into other modules through window globals.
+ */
+const arbitrageServices = { optimizer: null, wallet: null };
+
 /**
  * Initialize arbitrage page interactions
+ * @param {Object} services - { optimizer: ExitOptimizer, wallet: WalletConnector }
  */
-function initializeArbitrage() {
+function initializeArbitrage(services = {}) {
+    arbitrageServices.optimizer = services.optimizer || null;
+    arbitrageServices.wallet = services.wallet || null;
+
     // Calculate button handler
     const calculateBtn = document.getElementById('calculate-btn');
     if (calculateBtn) {
         calculateBtn.addEventListener('click', handleCalculateExit);
     }
 
+    // Split-order planner button
+    const planSplitBtn = document.getElementById('plan-split-btn');
+    if (planSplitBtn) {
+        planSplitBtn.addEventListener('click', handlePlanSplitExit);
+    }
+
+    // Partial-exit optimizer button
+    const optimizeSplitBtn = document.getElementById('optimize-split-btn');
+    if (optimizeSplitBtn) {
+        optimizeSplitBtn.addEventListener('click', handleOptimizePartialExit);
+    }
+
     // Execute exit button
     const executeBtn = document.getElementById('execute-exit');
     if (executeBtn) {
-        executeBtn.addEventListener('click', () => {
-            const amount = document.getElementById('exit-amount')?.value;
-            console.log('[Arbitrage] Execute exit clicked for amount:', amount);
-            if (window.exitOptimizer) {
-                const txData = window.exitOptimizer.prepareUniswapTransaction(
-                    parseFloat(amount),
-                    document.getElementById('asset-type')?.value,
-                    '0x...' // User wallet address
-                );
-                console.log('[Arbitrage] Transaction prepared:', txData);
-                alert(`Executing exit of ${amount} on Uniswap V4...\n\n(This will connect to your wallet integration)`);
-            }
-        });
+        executeBtn.addEventListener('click', handleExecuteExit);
     }
 
     // Wait button
@@ -44,6 +54,18 @@ function initializeArbitrage() {
     console.log('[Arbitrage] Page initialized');
 }
 
+/**
+ * Failure text for an optimizer result; a rejected webhook payload is
+ * listed field by field instead of as one long message
+ */
+function describeFailure(result) {
+    if (result.errorType !== 'PayloadValidationError' || !result.issues || result.issues.length === 0) {
+        return result.error;
+    }
+    const issues = result.issues.map(issue => `- ${issue.path} ${issue.message} (got ${issue.received})`);
+    return `a webhook returned invalid data\n\n${issues.join('\n')}`;
+}
+
 /**
  * Handle calculate exit button click
  */
@@ -59,16 +81,16 @@ function handleCalculateExit() {
 
     console.log('[Arbitrage] Calculating exit for', amount, assetType);
 
-    // Call exit-optimizer.js if available
-    if (window.exitOptimizer) {
-        window.exitOptimizer.calculateExit(assetType, amount)
+    const { optimizer } = arbitrageServices;
+    if (optimizer) {
+        optimizer.calculateExit(assetType, amount)
             .then(result => {
                 if (result.success) {
                     console.log('[Arbitrage] Calculation successful:', result);
                     // Data automatically rendered to UI by exit-optimizer.js
                 } else {
                     console.error('[Arbitrage] Calculation failed:', result.error);
-                    alert('Calculation failed: ' + result.error);
+                    alert('Calculation failed: ' + describeFailure(result));
                 }
             })
             .catch(err => {
@@ -82,15 +104,183 @@ function handleCalculateExit() {
     }
 }
 
-// Auto-initialize on page load
+/**
+ * Handle split-order planner button click
+ */
+function handlePlanSplitExit() {
+    const assetType = document.getElementById('asset-type')?.value;
+    const amount = parseFloat(document.getElementById('exit-amount')?.value);
+    const tranches = parseInt(document.getElementById('split-tranches')?.value, 10);
+    const windowHours = parseFloat(document.getElementById('split-window')?.value);
+
+    if (isNaN(amount) || amount <= 0 || isNaN(tranches) || tranches < 1 || isNaN(windowHours) || windowHours < 0) {
+        console.warn('[Arbitrage] Invalid split plan inputs');
+        alert('Please enter a valid amount, tranche count and window');
+        return;
+    }
+
+    console.log('[Arbitrage] Planning split exit:', { amount, assetType, tranches, windowHours });
+
+    const { optimizer, wallet } = arbitrageServices;
+    if (optimizer) {
+        // Recipient is the connected account; left unset until a wallet is connected
+        const walletAddress = wallet ? wallet.account || undefined : undefined;
+        optimizer.planExit(assetType, amount, { tranches, windowHours, walletAddress })
+            .then(result => {
+                if (result.success) {
+                    console.log('[Arbitrage] Split plan ready:', result.plan.transactions);
+                } else {
+                    console.error('[Arbitrage] Split planning failed:', result.error);
+                    alert('Split planning failed: ' + describeFailure(result));
+                }
+            })
+            .catch(err => {
+                console.error('[Arbitrage] Error during split planning:', err);
+                alert('Error: ' + err.message);
+            });
+    } else {
+        console.warn('[Arbitrage] exit-optimizer.js not loaded');
+        alert('Exit optimizer initializing - please try again');
+    }
+}
+
+/**
+ * Handle partial-exit optimizer button click
+ */
+function handleOptimizePartialExit() {
+    const assetType = document.getElementById('asset-type')?.value;
+    const amount = parseFloat(document.getElementById('exit-amount')?.value);
+    const liquidityNeed = parseFloat(document.getElementById('liquidity-need')?.value || '0');
+
+    if (isNaN(amount) || amount <= 0 || isNaN(liquidityNeed) || liquidityNeed < 0) {
+        console.warn('[Arbitrage] Invalid partial exit inputs');
+        alert('Please enter a valid amount and liquidity need');
+        return;
+    }
+
+    console.log('[Arbitrage] Optimizing partial exit:', { amount, assetType, liquidityNeed });
+
+    const { optimizer } = arbitrageServices;
+    if (optimizer) {
+        optimizer.optimizeExit(assetType, amount, { liquidityNeed })
+            .then(result => {
+                if (result.success) {
+                    console.log('[Arbitrage] Best split:', result.recommendation, result.best.ratio);
+                } else {
+                    console.error('[Arbitrage] Partial exit optimization failed:', result.error);
+                    alert('Partial exit optimization failed: ' + describeFailure(result));
+                }
+            })
+            .catch(err => {
+                console.error('[Arbitrage] Error during partial exit optimization:', err);
+                alert('Error: ' + err.message);
+            });
+    } else {
+        console.warn('[Arbitrage] exit-optimizer.js not loaded');
+        alert('Exit optimizer initializing - please try again');
+    }
+}
+
+/**
+ * Handle execute exit button click: connect, prepare for the best route,
+ * offer an approval when the allowance is short, then submit and confirm
+ */
+async function handleExecuteExit() {
+    const assetType = document.getElementById('asset-type')?.value;
+    const amount = parseFloat(document.getElementById('exit-amount')?.value);
+
+    if (isNaN(amount) || amount <= 0) {
+        console.warn('[Arbitrage] Invalid amount entered');
+        alert('Please enter a valid amount');
+        return;
+    }
+
+    const { optimizer, wallet } = arbitrageServices;
+    if (!optimizer || !wallet) {
+        console.warn('[Arbitrage] exit-optimizer.js or wallet-connector.js not loaded');
+        alert('Exit optimizer initializing - please try again');
+        return;
+    }
+
+    // Minimum out comes from the quote, so the amount must have been calculated first
+    const calculated = optimizer.bestRoute;
+    if (!calculated || calculated.amount !== amount) {
+        alert('Calculate the exit for this amount first');
+        return;
+    }
+    // Best route on a venue with calldata; Curve and the aggregator are quote-only
+    const route = optimizer.executableRoute;
+    if (!route) {
+        alert(`No executable route can fill ${amount} - reduce the amount or split the exit`);
+        return;
+    }
+
+    const tolerancePercent = parseFloat(document.getElementById('slippage-tolerance')?.value);
+    if (isNaN(tolerancePercent) || tolerancePercent < 0 || tolerancePercent >= 100) {
+        alert('Please enter a slippage tolerance between 0 and 100%');
+        return;
+    }
+
+    try {
+        const account = await wallet.ensureConnected();
+
+        // Tokens registered without decimals (local dev chains) are read from chain before encoding
+        await Promise.all([assetType, 'USDC'].map(symbol => wallet.loadToken(symbol)));
+
+        const txData = optimizer.prepareExitTransaction(route.dex, amount, assetType, account, {
+            expectedAmountOut: route.expectedAmountOut,
+            slippageTolerance: tolerancePercent / 100,
+            chainId: wallet.chainId
+        });
+        console.log('[Arbitrage] Transaction prepared:', txData);
+
+        let result = await optimizer.executeExit(txData, wallet);
+
+        // Uniswap V4 needs two approvals: the token to Permit2, then Permit2 to the router
+        for (let attempt = 0; attempt < 2 && !result.success; attempt++) {
+            const { token, spender, required } = result.details || {};
+            if (result.errorCode === 'INSUFFICIENT_ALLOWANCE') {
+                if (!confirm(`${result.error}.\n\nApprove ${spender} to spend ${amount} ${assetType.toUpperCase()}?`)) return;
+                await wallet.approve(token, spender, required);
+            } else if (result.errorCode === 'INSUFFICIENT_PERMIT2_ALLOWANCE') {
+                if (!confirm(`${result.error}.\n\nAllow the router ${spender} to spend ${amount} ${assetType.toUpperCase()} through Permit2?`)) return;
+                await wallet.approvePermit2(result.details.permit2, token, spender, required);
+            } else {
+                break;
+            }
+            result = await optimizer.executeExit(txData, wallet);
+        }
+
+        if (result.success) {
+            console.log('[Arbitrage] Exit confirmed:', result);
+            alert(`Exit of ${amount} on ${route.venue} (min ${txData.minAmountOut.toFixed(2)} out) confirmed in block ${result.blockNumber}\n\n${result.txHash}`);
+        } else {
+            console.error('[Arbitrage] Exit failed:', result.error);
+            alert('Exit failed: ' + result.error);
+        }
+    } catch (err) {
+        console.error('[Arbitrage] Error during exit:', err);
+        alert('Error: ' + err.message);
+    }
+}
+
+// Auto-initialize on page load, wiring in the page's module instances
+const bootArbitrage = () => initializeArbitrage({
+    optimizer: window.exitOptimizer,
+    wallet: window.walletConnector
+});
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeArbitrage);
+    document.addEventListener('DOMContentLoaded', bootArbitrage);
 } else {
-    initializeArbitrage();
+    bootArbitrage();
 }
 
 // Export for modular use
 if (typeof window !== 'undefined') {
     window.initializeArbitrage = initializeArbitrage;
     window.handleCalculateExit = handleCalculateExit;
+    window.handlePlanSplitExit = handlePlanSplitExit;
+    window.handleOptimizePartialExit = handleOptimizePartialExit;
+    window.handleExecuteExit = handleExecuteExit;
 }
\ No newline at end of file
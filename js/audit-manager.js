@@ -10,6 +10,8 @@ class AuditManager {
         this.airtableBaseId = config.airtableBaseId;
         this.n8nBaseUrl = config.n8nUrl || 'https://your-n8n-instance.com';
         this.userLocation = config.userLocation || 'KE'; // Kenya default
+        this.schemas = config.schemas || null;
+        this.events = config.events || null;
         this.exchangeRates = {};
         this.yieldLogs = [];
         this.currentFilter = 'all';
@@ -81,14 +83,14 @@ class AuditManager {
     /**
      * Fetch historical exchange rates from n8n
      */
-    async fetchExchangeRate(asset, timestamp) {
+    async fetchExchangeRate(asset, timestamp, currency = this.userLocation === 'KE' ? 'KES' : 'USD') {
         try {
             const response = await fetch(`${this.n8nBaseUrl}/webhook/exchange-rate`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     asset: asset,
-                    currency: this.userLocation === 'KE' ? 'KES' : 'USD',
+                    currency: currency,
                     timestamp: timestamp,
                     action: 'get_rate_at_time'
                 })
@@ -97,7 +99,10 @@ class AuditManager {
             if (!response.ok) throw new Error(`Exchange rate error: ${response.status}`);
             
             const data = await response.json();
-            
+
+            // A broken rate must not fall back to 1.0 in a tax export
+            if (this.schemas) this.schemas.assert('exchange-rate', data);
+
             return {
                 asset: asset,
                 rate: parseFloat(data.rate),
@@ -107,10 +112,11 @@ class AuditManager {
             };
         } catch (error) {
             console.error('[AuditManager] Exchange rate fetch failed:', error);
+            if (error.name === 'PayloadValidationError') throw error;
             return {
                 asset: asset,
                 rate: 1.0, // Fallback
-                currency: this.userLocation === 'KE' ? 'KES' : 'USD',
+                currency: currency,
                 timestamp: timestamp,
                 source: 'Fallback'
             };
@@ -120,8 +126,8 @@ class AuditManager {
     /**
      * Convert reward amount to local currency
      */
-    async convertToCurrency(amount, asset, timestamp) {
-        const rate = await this.fetchExchangeRate(asset, timestamp);
+    async convertToCurrency(amount, asset, timestamp, currency) {
+        const rate = await this.fetchExchangeRate(asset, timestamp, currency);
         return {
             amountCrypto: amount,
             asset: asset,
@@ -169,7 +175,9 @@ class AuditManager {
        ========================================== */
 
     /**
-     * Generate CSV file for tax export
+     * Generate CSV file for tax export. Logs without a stored exchange rate
+     * are priced from the exchange-rate webhook; a rejected rate payload
+     * aborts the export (PayloadValidationError) rather than pricing at 1.0.
      */
     async generateTaxCSV(currency = 'KES') {
         try {
@@ -186,8 +194,9 @@ class AuditManager {
                 const asset = log.Asset;
                 const protocol = log.Protocol;
                 const amount = parseFloat(log.RewardAmount);
-                const exchangeRate = parseFloat(log.ExchangeRate) || 1.0;
-                
+                const exchangeRate = parseFloat(log.ExchangeRate) ||
+                    (await this.convertToCurrency(amount, asset, timestamp, currency)).rate;
+
                 const valueLocal = amount * exchangeRate;
                 const taxLiability = this.calculateTaxLiability(valueLocal);
                 const riskScore = log.RiskScore || 'N/A';
@@ -214,10 +223,14 @@ class AuditManager {
             ).join('\n');
 
             console.log('[AuditManager] CSV generated:', csv.length, 'bytes');
+            if (this.events) {
+                this.events.emit('exportGenerated', { kind: 'tax-csv', currency: currency, rows: csvRows.length - 1 });
+            }
             return csv;
 
         } catch (error) {
             console.error('[AuditManager] CSV generation failed:', error);
+            if (error.name === 'PayloadValidationError') throw error;
             return null;
         }
     }
@@ -305,6 +318,26 @@ class AuditManager {
         console.log('[AuditManager] Table rendered:', logsToRender.length, 'rows');
     }
 
+    /**
+     * Show why an export was refused, listing each rejected payload field
+     */
+    renderExportStatus(error) {
+        const statusEl = document.querySelector('[data-export-status]');
+        if (!statusEl) return;
+
+        if (!error) {
+            statusEl.textContent = '';
+            statusEl.classList.add('hidden');
+            return;
+        }
+
+        const issues = (error.issues || []).map(issue => `${issue.path} ${issue.message} (got ${issue.received})`);
+        statusEl.textContent = error.name === 'PayloadValidationError'
+            ? `Export stopped - ${error.source} payload rejected: ${issues.join('; ')}`
+            : `Export failed: ${error.message}`;
+        statusEl.classList.remove('hidden');
+    }
+
     /**
      * Apply filter to yield logs
      */
@@ -359,8 +392,13 @@ class AuditManager {
             downloadBtn.addEventListener('click', async () => {
                 const currency = prompt('Choose export currency: KES or USD?', 'KES').toUpperCase();
                 if (currency === 'KES' || currency === 'USD') {
-                    const csv = await this.generateTaxCSV(currency);
-                    this.downloadCSV(csv, `yieldguard-tax-export-${currency}-${new Date().toISOString().split('T')[0]}.csv`);
+                    this.renderExportStatus(null);
+                    try {
+                        const csv = await this.generateTaxCSV(currency);
+                        this.downloadCSV(csv, `yieldguard-tax-export-${currency}-${new Date().toISOString().split('T')[0]}.csv`);
+                    } catch (error) {
+                        this.renderExportStatus(error);
+                    }
                 }
             });
         }
@@ -415,10 +453,12 @@ class AuditManager {
    ========================================== */
 
 const auditManager = new AuditManager({
-    airtableKey: process.env.AIRTABLE_KEY,
-    airtableBaseId: process.env.AIRTABLE_BASE_ID,
-    n8nUrl: process.env.N8N_URL || 'https://your-n8n-instance.com',
-    userLocation: 'KE' // Default to Kenya
+    airtableKey: (typeof process !== 'undefined' && process.env.AIRTABLE_KEY) || window.fixtureServer?.credentials.airtableKey,
+    airtableBaseId: (typeof process !== 'undefined' && process.env.AIRTABLE_BASE_ID) || window.fixtureServer?.credentials.airtableBaseId,
+    n8nUrl: (typeof process !== 'undefined' && process.env.N8N_URL) || 'https://your-n8n-instance.com',
+    userLocation: 'KE', // Default to Kenya
+    schemas: window.webhookSchemas,
+    events: window.eventBus
 });
 
 // Auto-initialize on reports page
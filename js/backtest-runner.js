@@ -0,0 +1,383 @@
+/* ========================================
+   YIELDGUARD AI - PULSESCORE BACKTESTER
+   backtest-runner.js
+   Replays historical protocol snapshots
+   through the scoring logic and measures
+   warning lead time before incidents
+   ======================================== */
+
+class PulseBacktester {
+    constructor(config = {}) {
+        this.scorer = config.scorer;
+        this.adapters = config.adapters;
+        this.lookbackHours = config.lookbackHours || 168; // 7 days before an incident
+        this.statusLevels = ['Safe', 'Monitor', 'Warning', 'Critical'];
+        this.lastResult = null;
+    }
+
+    /* ==========================================
+       1. DATASET PARSING
+       ========================================== */
+
+    /**
+     * Parse a JSON or CSV dataset into { snapshots, incidents }
+     *
+     * JSON: { snapshots: [{ timestamp, protocol, ...fields }], incidents: [{ timestamp, protocol, label }] }
+     *       or a bare array of snapshots. Multi-market snapshots (e.g. Pendle
+     *       `markets`) are scored per market; an incident's protocol may be an
+     *       adapter id or a market key such as `pendle:<market>`
+     * CSV:  header row with timestamp, protocol and field columns; a non-empty
+     *       `incident` column marks that row's timestamp as an incident
+     */
+    parseDataset(text, format = null) {
+        const trimmed = text.trim();
+        const isJSON = format ? format === 'json' : (trimmed.startsWith('{') || trimmed.startsWith('['));
+
+        if (isJSON) {
+            const parsed = JSON.parse(trimmed);
+            const snapshots = Array.isArray(parsed) ? parsed : (parsed.snapshots || []);
+            const incidents = Array.isArray(parsed) ? [] : (parsed.incidents || []);
+            return { snapshots, incidents };
+        }
+
+        return this._parseCSV(trimmed);
+    }
+
+    /**
+     * Internal: Minimal RFC 4180 CSV reader (quoted fields, escaped quotes)
+     */
+    _parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (char === '"') inQuotes = false;
+                else cell += char;
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell); cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row);
+                row = []; cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        const header = rows.shift().map(h => h.trim());
+        const snapshots = [];
+        const incidents = [];
+
+        rows.filter(r => r.some(c => c.trim() !== '')).forEach(r => {
+            const record = {};
+            header.forEach((key, idx) => { record[key] = (r[idx] || '').trim(); });
+
+            if (record.incident) {
+                incidents.push({ timestamp: record.timestamp, protocol: record.protocol, label: record.incident });
+            }
+            delete record.incident;
+            snapshots.push(record);
+        });
+
+        return { snapshots, incidents };
+    }
+
+    /* ==========================================
+       2. REPLAY
+       ========================================== */
+
+    /**
+     * Replay snapshots in time order and collect status threshold firings.
+     * Snapshots are normalized and expanded through the adapter like a live
+     * poll, so each market of a multi-market payload is scored on its own.
+     */
+    run(dataset) {
+        const firings = [];
+        const timeline = [];
+        const previousLevel = {};
+        let skipped = 0;
+
+        const snapshots = dataset.snapshots
+            .map(s => ({ ...s, ts: new Date(s.timestamp).getTime() }))
+            .filter(s => !isNaN(s.ts))
+            .sort((a, b) => a.ts - b.ts);
+
+        snapshots.forEach(snapshot => {
+            const adapter = this.adapters.find(snapshot.protocol);
+            if (!adapter) {
+                skipped++;
+                return;
+            }
+
+            const timestamp = new Date(snapshot.ts).toISOString();
+            const entries = this.adapters.expand(adapter, this.adapters.normalize(adapter, snapshot));
+
+            Object.entries(entries).forEach(([key, protocolData]) => {
+                protocolData.timestamp = timestamp;
+
+                const result = this.scorer.explainPulseScore(protocolData, snapshot.ts);
+                const status = this.scorer.getStatusFromScore(result.score).status;
+                const level = this.statusLevels.indexOf(status);
+                const prior = previousLevel[key] !== undefined ? previousLevel[key] : 0;
+
+                timeline.push({ protocol: adapter.id, key: key, ts: snapshot.ts, score: result.score, status });
+
+                // Every threshold crossed on the way down fires once per episode
+                for (let l = prior + 1; l <= level; l++) {
+                    firings.push({
+                        protocol: adapter.id,
+                        key: key,
+                        level: this.statusLevels[l],
+                        ts: snapshot.ts,
+                        timestamp: timestamp,
+                        score: result.score,
+                        rules: result.breakdown.map(b => b.ruleId)
+                    });
+                }
+                previousLevel[key] = level;
+            });
+        });
+
+        const incidents = this._measureLeadTimes(dataset.incidents || [], firings, timeline);
+
+        this.lastResult = {
+            ruleSetVersion: this.scorer.rules.active.version,
+            snapshotCount: snapshots.length,
+            skipped: skipped,
+            firings: firings,
+            incidents: incidents,
+            timeline: timeline,
+            summary: this._summarize(incidents)
+        };
+
+        console.log('[Backtest] Replayed', snapshots.length, 'snapshots,', firings.length, 'threshold firings');
+        return this.lastResult;
+    }
+
+    /**
+     * Internal: For each incident, earliest firing per level inside the lookback
+     * window. A protocol or market already at or past a level when the window
+     * opens was warned before it; its lead runs from the firing that started
+     * that episode.
+     */
+    _measureLeadTimes(incidents, firings, timeline) {
+        const lookbackMs = this.lookbackHours * 60 * 60 * 1000;
+
+        return incidents.map(incident => {
+            const ts = new Date(incident.timestamp).getTime();
+            const windowStart = ts - lookbackMs;
+            const protocol = incident.protocol ? String(incident.protocol).toLowerCase() : '*';
+            // An adapter id covers all of its markets; a market key only that market
+            const matches = (entry) => protocol === '*' || entry.protocol === protocol || entry.key.toLowerCase() === protocol;
+            const leads = {};
+
+            // Status in effect per protocol or market when the window opens
+            const levelAtStart = {};
+            timeline.forEach(entry => {
+                if (entry.ts <= windowStart && matches(entry)) {
+                    levelAtStart[entry.key] = this.statusLevels.indexOf(entry.status);
+                }
+            });
+
+            this.statusLevels.slice(1).forEach((level, idx) => {
+                const carried = Object.keys(levelAtStart)
+                    .filter(key => levelAtStart[key] >= idx + 1)
+                    .map(key => firings.filter(f => f.level === level && f.key === key && f.ts <= windowStart).pop())
+                    .filter(Boolean)
+                    .sort((a, b) => a.ts - b.ts);
+
+                const earliest = carried[0] || firings.find(f =>
+                    f.level === level &&
+                    matches(f) &&
+                    f.ts <= ts && f.ts >= windowStart
+                );
+                leads[level] = earliest ? (ts - earliest.ts) / (60 * 60 * 1000) : null;
+            });
+
+            return {
+                timestamp: incident.timestamp,
+                protocol: protocol,
+                label: incident.label || 'Incident',
+                leadHours: leads
+            };
+        });
+    }
+
+    _summarize(incidents) {
+        const summary = {};
+        this.statusLevels.slice(1).forEach(level => {
+            const leads = incidents.map(i => i.leadHours[level]).filter(l => l !== null);
+            summary[level] = {
+                detected: leads.length,
+                missed: incidents.length - leads.length,
+                avgLeadHours: leads.length ? leads.reduce((a, b) => a + b, 0) / leads.length : null
+            };
+        });
+        return summary;
+    }
+
+    /* ==========================================
+       3. REPORT EXPORT
+       ========================================== */
+
+    /**
+     * CSV report: one row per incident with lead time per status level
+     */
+    generateReportCSV(result = this.lastResult) {
+        if (!result) return null;
+
+        const levels = this.statusLevels.slice(1);
+        const rows = [
+            ['Incident Timestamp', 'Protocol', 'Incident', ...levels.map(l => `${l} Lead (h)`)]
+        ];
+
+        result.incidents.forEach(incident => {
+            rows.push([
+                incident.timestamp,
+                incident.protocol,
+                incident.label,
+                ...levels.map(l => incident.leadHours[l] === null ? 'MISSED' : incident.leadHours[l].toFixed(1))
+            ]);
+        });
+
+        rows.push([]);
+        rows.push(['Firing Timestamp', 'Protocol', 'Market', 'Level', 'Score', 'Rules']);
+        result.firings.forEach(f => {
+            rows.push([f.timestamp, f.protocol, f.key === f.protocol ? '' : f.key, f.level, f.score, f.rules.join(' ')]);
+        });
+
+        return rows.map(row =>
+            row.map(cell => {
+                // Quote cells holding a delimiter, quote or line break; double inner quotes
+                const text = String(cell);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            }).join(',')
+        ).join('\n');
+    }
+
+    downloadReport() {
+        const csv = this.generateReportCSV();
+        if (!csv) {
+            console.error('[Backtest] No results to download');
+            return;
+        }
+
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.setAttribute('href', URL.createObjectURL(blob));
+        link.setAttribute('download', `yieldguard-backtest-${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        console.log('[Backtest] Report downloaded');
+    }
+
+    /* ==========================================
+       4. DOM UPDATES (reports.html)
+       ========================================== */
+
+    renderResults(result = this.lastResult) {
+        const tbody = document.querySelector('[data-backtest-results] tbody');
+        if (!tbody || !result) return;
+
+        const levels = this.statusLevels.slice(1);
+        const formatLead = (hours) => hours === null
+            ? '<span class="text-red-400 font-semibold">MISSED</span>'
+            : `<span class="text-green-400 font-semibold">${hours.toFixed(1)}h</span>`;
+
+        tbody.innerHTML = result.incidents.length
+            ? result.incidents.map(incident => `
+                <tr>
+                    <td>${this._escape(incident.timestamp)}</td>
+                    <td>${this._escape(incident.protocol)}</td>
+                    <td>${this._escape(incident.label)}</td>
+                    ${levels.map(l => `<td class="table-cell-number">${formatLead(incident.leadHours[l])}</td>`).join('')}
+                </tr>
+            `).join('')
+            : `<tr><td colspan="${3 + levels.length}" class="text-slate-500">No incidents marked in dataset (${result.firings.length} threshold firings recorded)</td></tr>`;
+
+        const summaryEl = document.querySelector('[data-backtest-summary]');
+        if (summaryEl) {
+            summaryEl.textContent = `${result.snapshotCount} snapshots · rules v${result.ruleSetVersion} · ` +
+                levels.map(l => {
+                    const s = result.summary[l];
+                    return `${l}: ${s.detected}/${s.detected + s.missed}` +
+                        (s.avgLeadHours !== null ? ` (avg ${s.avgLeadHours.toFixed(1)}h)` : '');
+                }).join(' · ');
+        }
+    }
+
+    /**
+     * Wire dataset upload and report download controls
+     */
+    initializeUI() {
+        const fileInput = document.getElementById('backtest-file');
+        if (fileInput) {
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+                    const dataset = this.parseDataset(await file.text(), format);
+                    this.run(dataset);
+                    this.renderResults();
+                } catch (error) {
+                    console.error('[Backtest] Run failed:', error);
+                    alert('Backtest failed: ' + error.message);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const downloadBtn = document.getElementById('backtest-download');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadReport());
+        }
+
+        console.log('[Backtest] UI initialized');
+    }
+
+    /* ==========================================
+       5. UTILITY FUNCTIONS
+       ========================================== */
+
+    /**
+     * Internal: Incident fields come from the uploaded dataset, escape before innerHTML
+     */
+    _escape(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZATION
+   ========================================== */
+
+const pulseBacktester = new PulseBacktester({
+    scorer: window.riskCore,
+    adapters: protocolAdapters,
+    lookbackHours: 168
+});
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => pulseBacktester.initializeUI());
+} else {
+    pulseBacktester.initializeUI();
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.pulseBacktester = pulseBacktester;
+}
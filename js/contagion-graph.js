@@ -0,0 +1,284 @@
+/* ========================================
+   YIELDGUARD AI - CONTAGION GRAPH
+   contagion-graph.js
+   Dependency graph between tracked assets;
+   propagates upstream deterioration as a
+   contagion penalty to downstream scores
+   ======================================== */
+
+/**
+ * Edge shape:
+ * - from:   upstream adapter id or data key (e.g. 'ethena')
+ * - to:     downstream adapter id (applies to all its markets) or a single market key
+ * - weight: share of the upstream's deterioration passed downstream (0-1)
+ * - reason: why the dependency exists, shown in the dashboard
+ */
+const DEFAULT_CONTAGION_EDGES = [
+    { from: 'ethena', to: 'pendle', weight: 0.6, reason: 'Pendle sUSDe markets settle in Ethena sUSDe' },
+    { from: 'ethena', to: 'falcon', weight: 0.3, reason: 'Falcon USDf collateral includes USDe' }
+];
+
+class ContagionGraph {
+    constructor(config = {}) {
+        this.edges = [];
+        this.safeScore = config.safeScore || 75;     // Upstream scores below this start to propagate
+        this.maxPenalty = config.maxPenalty || 25;   // Cap on total contagion per position
+        (config.edges || DEFAULT_CONTAGION_EDGES).forEach(edge => this.addEdge(edge));
+    }
+
+    /* ==========================================
+       1. GRAPH EDITING
+       ========================================== */
+
+    addEdge(edge) {
+        if (!edge || !edge.from || !edge.to || edge.from === edge.to) {
+            throw new Error('Contagion edge requires distinct from and to');
+        }
+        if (typeof edge.weight !== 'number' || edge.weight < 0 || edge.weight > 1) {
+            throw new Error(`Contagion edge ${edge.from} -> ${edge.to} requires a weight between 0 and 1`);
+        }
+
+        const candidate = this.edges.filter(e => !(e.from === edge.from && e.to === edge.to)).concat(edge);
+        if (this._topologicalOrder(candidate) === null) {
+            throw new Error(`Contagion edge ${edge.from} -> ${edge.to} would create a cycle`);
+        }
+
+        this.edges = candidate;
+        return this;
+    }
+
+    removeEdge(from, to) {
+        this.edges = this.edges.filter(e => !(e.from === from && e.to === to));
+    }
+
+    /* ==========================================
+       2. PROPAGATION
+       ========================================== */
+
+    /**
+     * Attach `contagion` { penalty, sources } to every downstream entry.
+     * `baseScorer(protocolData)` returns the rule-only { score, breakdown };
+     * nodes are visited upstream-first so penalties chain across hops.
+     */
+    enrich(data, baseScorer) {
+        const adjusted = {};
+        const base = {};
+        const nodeOrder = this._topologicalOrder(this.edges);
+
+        Object.entries(data).forEach(([key, protocolData]) => {
+            if (!protocolData) return;
+            delete protocolData.contagion;
+            base[key] = baseScorer(protocolData);
+            adjusted[key] = base[key].score;
+        });
+
+        nodeOrder.forEach(node => {
+            this._resolveKeys(node, data).forEach(key => {
+                const sources = this._incoming(key, data, k => adjusted[k])
+                    .map(({ edge, upstreamKey }) => {
+                        const upstreamScore = adjusted[upstreamKey];
+                        const deterioration = Math.max(0, this.safeScore - upstreamScore);
+                        return {
+                            from: upstreamKey,
+                            name: data[upstreamKey].displayName || data[upstreamKey].protocol,
+                            upstreamScore: upstreamScore,
+                            weight: edge.weight,
+                            reason: edge.reason || '',
+                            drivers: this._drivers(base[upstreamKey], data[upstreamKey]),
+                            penalty: Math.round(edge.weight * deterioration)
+                        };
+                    });
+                if (sources.length === 0) return;
+
+                // Cap the total, trimming the smallest contributions first
+                let remaining = this.maxPenalty;
+                sources.sort((a, b) => b.penalty - a.penalty).forEach(source => {
+                    source.penalty = Math.min(source.penalty, remaining);
+                    remaining -= source.penalty;
+                });
+
+                const penalty = sources.reduce((sum, s) => sum + s.penalty, 0);
+                data[key].contagion = { penalty: penalty, sources: sources };
+                adjusted[key] = Math.max(0, base[key].score - penalty);
+            });
+        });
+
+        return data;
+    }
+
+    /**
+     * Internal: Upstream entries feeding a data key. A multi-market upstream
+     * contributes its worst-scoring market.
+     */
+    _incoming(key, data, scoreOf) {
+        const protocolId = data[key].protocolId || key;
+
+        return this.edges
+            .filter(edge => edge.to === key || edge.to === protocolId)
+            .map(edge => {
+                const upstreamKeys = this._resolveKeys(edge.from, data);
+                if (upstreamKeys.length === 0) return null;
+                const worst = upstreamKeys.reduce((a, b) => scoreOf(b) < scoreOf(a) ? b : a);
+                return { edge, upstreamKey: worst };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Internal: Data keys for a node (adapter id -> all of its markets)
+     */
+    _resolveKeys(node, data) {
+        return Object.keys(data).filter(key => data[key] && (key === node || data[key].protocolId === node));
+    }
+
+    /**
+     * Internal: Upstream rules that cost the most points (what dragged it down)
+     */
+    _drivers(result, protocolData) {
+        const drivers = result.breakdown
+            .slice()
+            .sort((a, b) => b.penalty - a.penalty)
+            .slice(0, 2)
+            .map(item => item.label);
+
+        if (protocolData.contagion && protocolData.contagion.penalty > 0) {
+            drivers.push(`contagion from ${protocolData.contagion.sources[0].name}`);
+        }
+        return drivers;
+    }
+
+    /**
+     * Internal: Kahn's algorithm over node ids; null when the edges contain a cycle
+     */
+    _topologicalOrder(edges) {
+        const nodes = new Set();
+        edges.forEach(e => { nodes.add(e.from); nodes.add(e.to); });
+
+        const inDegree = {};
+        nodes.forEach(n => { inDegree[n] = 0; });
+        edges.forEach(e => { inDegree[e.to]++; });
+
+        const queue = [...nodes].filter(n => inDegree[n] === 0);
+        const order = [];
+        while (queue.length) {
+            const node = queue.shift();
+            order.push(node);
+            edges.filter(e => e.from === node).forEach(e => {
+                if (--inDegree[e.to] === 0) queue.push(e.to);
+            });
+        }
+
+        return order.length === nodes.size ? order : null;
+    }
+
+    /* ==========================================
+       3. DOM UPDATES (dashboard.html)
+       ========================================== */
+
+    /**
+     * Draw the dependency graph (upstream left, downstream right) and list
+     * the positions currently penalized, with the upstream factors responsible
+     */
+    renderGraph(data, scoreOf) {
+        const container = document.getElementById('contagion-graph');
+        if (!container) return;
+
+        // Depth of each node id = longest path from a root
+        const depth = {};
+        this._topologicalOrder(this.edges).forEach(node => {
+            const parents = this.edges.filter(e => e.to === node).map(e => depth[e.from] + 1);
+            depth[node] = parents.length ? Math.max(...parents) : 0;
+        });
+
+        const columns = {};
+        Object.entries(depth).forEach(([node, d]) => {
+            this._resolveKeys(node, data).forEach(key => {
+                columns[d] = columns[d] || [];
+                if (!columns[d].includes(key)) columns[d].push(key);
+            });
+        });
+
+        const width = 320;
+        const rowHeight = 64;
+        const maxRows = Math.max(1, ...Object.values(columns).map(c => c.length));
+        const height = maxRows * rowHeight + 16;
+        const colCount = Object.keys(columns).length;
+        const position = {};
+
+        Object.entries(columns).forEach(([d, keys]) => {
+            const x = colCount > 1 ? 60 + (Number(d) * (width - 120)) / (colCount - 1) : width / 2;
+            keys.forEach((key, i) => {
+                position[key] = { x, y: (height / keys.length) * (i + 0.5) };
+            });
+        });
+
+        const colorOf = (score) => score >= 75 ? '#22c55e' : score >= 50 ? '#eab308' : score >= 25 ? '#f97316' : '#ef4444';
+
+        const lines = [];
+        Object.keys(position).forEach(key => {
+            const contagion = data[key].contagion;
+            this._incoming(key, data, scoreOf).forEach(({ edge, upstreamKey }) => {
+                if (!position[upstreamKey]) return;
+                const from = position[upstreamKey];
+                const to = position[key];
+                const source = contagion ? contagion.sources.find(s => s.from === upstreamKey) : null;
+                const active = source && source.penalty > 0;
+                lines.push(`<line x1="${from.x + 18}" y1="${from.y}" x2="${to.x - 22}" y2="${to.y}"
+                    stroke="${active ? '#ef4444' : '#475569'}" stroke-width="${1 + edge.weight * 3}" marker-end="url(#contagion-arrow)">
+                    <title>${edge.reason} (weight ${edge.weight})</title></line>`);
+            });
+        });
+
+        const nodes = Object.entries(position).map(([key, { x, y }]) => {
+            const score = scoreOf(key);
+            const label = data[key].displayName || data[key].protocol;
+            return `<g>
+                <circle cx="${x}" cy="${y}" r="18" fill="#0f172a" stroke="${colorOf(score)}" stroke-width="3" />
+                <text x="${x}" y="${y + 4}" font-size="11" text-anchor="middle" fill="${colorOf(score)}">${score}</text>
+                <text x="${x}" y="${y + 32}" font-size="9" text-anchor="middle" fill="#94a3b8">${label}</text>
+            </g>`;
+        }).join('');
+
+        const penalized = Object.entries(data)
+            .filter(([, d]) => d && d.contagion && d.contagion.penalty > 0)
+            .map(([, d]) => `
+                <li>
+                    <span class="text-slate-300">${d.displayName || d.protocol}</span>
+                    <span class="text-red-400 font-semibold">-${d.contagion.penalty}</span>
+                    ${d.contagion.sources.filter(s => s.penalty > 0).map(s =>
+                        `<p class="text-slate-500">← ${s.name} at ${s.upstreamScore}: ${s.drivers.join(', ') || 'below Safe'}</p>`
+                    ).join('')}
+                </li>
+            `).join('');
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" class="w-full">
+                <defs>
+                    <marker id="contagion-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M0,0 L10,5 L0,10 z" fill="#64748b" />
+                    </marker>
+                </defs>
+                ${lines.join('')}
+                ${nodes}
+            </svg>
+            <ul class="mt-3 space-y-2 text-xs">
+                ${penalized || '<li class="text-slate-500">No contagion penalties: all upstream assets are Safe</li>'}
+            </ul>
+        `;
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const contagionGraph = new ContagionGraph({
+    safeScore: 75,
+    maxPenalty: 25
+});
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ContagionGraph = ContagionGraph;
+    window.contagionGraph = contagionGraph;
+}
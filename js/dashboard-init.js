@@ -4,10 +4,18 @@
    Extracted event handlers from dashboard.html
    ======================================== */
 
+/**
+ * Modules the handlers work with, injected by initializeDashboard
+ */
+const dashboardServices = { agent: null };
+
 /**
  * Initialize dashboard page interactions
+ * @param {Object} services - { agent: NairobiAgent }
  */
-function initializeDashboard() {
+function initializeDashboard(services = {}) {
+    dashboardServices.agent = services.agent || null;
+
     // Agent modal toggle - Open
     const openAgentBtn = document.getElementById('open-agent');
     if (openAgentBtn) {
@@ -100,10 +108,11 @@ function handleSendMessage() {
     }, 0);
 
     // Send to Nairobi agent if available
-    if (window.nairobi) {
-        window.nairobi.sendMessage(message).then(response => {
+    const { agent } = dashboardServices;
+    if (agent) {
+        agent.sendMessage(message).then(response => {
             if (response) {
-                window.nairobi.renderMessage(response, false);
+                agent.renderMessage(response, false);
             }
         });
     }
@@ -111,11 +120,13 @@ function handleSendMessage() {
     console.log('[Dashboard] Message sent:', message);
 }
 
-// Auto-initialize on page load
+// Auto-initialize on page load, wiring in the page's module instances
+const bootDashboard = () => initializeDashboard({ agent: window.nairobi });
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeDashboard);
+    document.addEventListener('DOMContentLoaded', bootDashboard);
 } else {
-    initializeDashboard();
+    bootDashboard();
 }
 
 // Export for modular use
@@ -0,0 +1,334 @@
+/* ========================================
+   YIELDGUARD AI - DEPEG SIMULATOR
+   depeg-simulator.js
+   Monte Carlo de-peg paths over a cooldown,
+   calibrated per asset from observed market
+   discounts to NAV
+   ======================================== */
+
+/**
+ * Exit assets whose discount to NAV arrives with every poll, as a field
+ * of a protocol's data. These calibrate from PulseScore history and the
+ * live poll loop; other assets only from exit calculations.
+ */
+const DEPEG_POLLED_DISCOUNTS = {
+    USDE: { protocol: 'ethena', field: 'depegRisk' }
+};
+
+class DepegSimulator {
+    constructor(config = {}) {
+        this.history = config.history || null;
+        this.polled = config.polled || DEPEG_POLLED_DISCOUNTS;
+        // Web Storage API; observations survive reloads
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = config.storageKey || 'yieldguard_depeg_observations';
+        this.lookbackMs = config.lookbackMs || 30 * 24 * 60 * 60 * 1000;
+        this.minSamples = config.minSamples || 20;          // Fewer than this keeps the defaults
+        this.maxSamples = config.maxSamples || 2000;        // Per asset
+        this.minSpacingMs = config.minSpacingMs || 60 * 60 * 1000; // Closer observations update the last one
+        this.paths = config.paths || 5000;
+        this.stepsPerDay = config.stepsPerDay || 4;
+        this.randomSeed = config.randomSeed || 20240601;    // Same inputs give the same distribution
+
+        // Mean-reverting de-peg with occasional shocks; rates are per day
+        this.defaults = {
+            meanLevel: 0.002,         // Long-run de-peg the process reverts to
+            reversionPerDay: 0.5,     // Share of the gap to meanLevel closed per day
+            volatilityPerDay: 0.002,  // Diffusion standard deviation over one day
+            jumpProbPerDay: 0.01,     // Chance of a de-peg shock on a given day
+            jumpMean: 0.03,           // Average shock size (exponential)
+            ...(config.distribution || {})
+        };
+        this.observations = {};   // Asset -> [{ ts, value }] oldest first; value = 1 - price / NAV
+        this.fits = {};           // Asset -> { distribution, calibration }
+        this.ready = Promise.resolve();
+    }
+
+    /* ==========================================
+       1. OBSERVATIONS & CALIBRATION
+       ========================================== */
+
+    /**
+     * Load stored observations, merge in the polled discounts recorded in
+     * PulseScore history over the lookback, and fit each asset
+     */
+    async seed(now = Date.now()) {
+        let saved = {};
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey) || '{}') : {};
+        } catch (error) {
+            console.warn('[DepegSimulator] Could not load stored observations:', error);
+        }
+
+        Object.entries(saved).forEach(([asset, samples]) => {
+            this.observations[asset] = samples.filter(sample => sample.ts >= now - this.lookbackMs);
+        });
+
+        if (this.history) {
+            // About one record per minSpacingMs, not the whole window (one per 30s poll)
+            const points = Math.min(Math.ceil(this.lookbackMs / this.minSpacingMs), this.maxSamples);
+            for (const [asset, source] of Object.entries(this.polled)) {
+                const records = await this.history.sample(source.protocol, now - this.lookbackMs, points, now);
+                const samples = records
+                    .filter(record => record.data)
+                    .map(record => ({ ts: record.ts, value: Math.max(0, parseFloat(record.data[source.field])) }))
+                    .filter(sample => !isNaN(sample.value));
+                this.observations[asset] = this._thin([...(this.observations[asset] || []), ...samples]);
+            }
+            this._save();
+        }
+
+        Object.entries(this.observations).forEach(([asset, samples]) => this.calibrate(asset, samples));
+        return this.fits;
+    }
+
+    /**
+     * Record the polled discounts in one poll result (the pulseScoreUpdate
+     * payload, keyed by protocol)
+     */
+    recordPoll(data, ts = Date.now()) {
+        Object.entries(this.polled).forEach(([asset, source]) => {
+            const protocolData = data[source.protocol];
+            if (!protocolData || protocolData[source.field] === undefined) return;
+            this.observeDiscount(asset, parseFloat(protocolData[source.field]), ts);
+        });
+    }
+
+    /**
+     * Record the asset's market discount to NAV (a premium counts as 0)
+     * and refit; returns the discount
+     */
+    observe(asset, price, nav, ts = Date.now()) {
+        if (!(price > 0) || !(nav > 0)) return null;
+        return this.observeDiscount(asset, 1 - price / nav, ts);
+    }
+
+    /**
+     * Record a discount sample and refit. Samples within minSpacingMs
+     * refresh the last one instead of adding one, so 30s polls and bursts
+     * of clicks don't read as a fast-reverting series.
+     */
+    observeDiscount(asset, discount, ts = Date.now()) {
+        const key = String(asset).toUpperCase();
+        if (isNaN(discount)) return null;
+
+        const value = Math.max(0, discount);
+        const series = this.observations[key] || (this.observations[key] = []);
+        const last = series[series.length - 1];
+        if (last && ts < last.ts) return value;
+
+        if (last && ts - last.ts < this.minSpacingMs) {
+            last.value = value;
+        } else {
+            series.push({ ts, value });
+            while (series.length > this.maxSamples || series[0].ts < ts - this.lookbackMs) series.shift();
+        }
+        this._save();
+        this.calibrate(key, series);
+        return value;
+    }
+
+    /**
+     * Fitted distribution and calibration for an asset (defaults if unseen)
+     */
+    fitFor(asset) {
+        return this.fits[String(asset).toUpperCase()] || {
+            distribution: { ...this.defaults },
+            calibration: { source: 'default', samples: 0 }
+        };
+    }
+
+    /**
+     * Fit reversion, volatility and shocks to an asset's [{ ts, value }]
+     * discount samples. The step change is regressed on the level (discrete
+     * Ornstein-Uhlenbeck); residuals beyond 4 robust standard deviations
+     * count as shocks.
+     */
+    calibrate(asset, samples) {
+        const key = String(asset).toUpperCase();
+        const series = samples
+            .slice()
+            .sort((a, b) => a.ts - b.ts)
+            .filter((sample, i, all) => i === 0 || sample.ts > all[i - 1].ts);
+
+        if (series.length < this.minSamples) {
+            this.fits[key] = {
+                distribution: { ...this.defaults },
+                calibration: { source: 'default', samples: series.length }
+            };
+            console.log(`[DepegSimulator] ${key}: ${series.length} observed discounts, using default distribution`);
+            return this.fits[key].calibration;
+        }
+
+        const steps = series.slice(1).map((sample, i) => ({
+            level: series[i].value,
+            change: sample.value - series[i].value,
+            days: (sample.ts - series[i].ts) / (24 * 60 * 60 * 1000)
+        }));
+        const stepDays = steps.reduce((total, step) => total + step.days, 0) / steps.length;
+        const totalDays = stepDays * steps.length;
+
+        // change = a + b * level
+        const meanLevel = steps.reduce((total, step) => total + step.level, 0) / steps.length;
+        const meanChange = steps.reduce((total, step) => total + step.change, 0) / steps.length;
+        let num = 0;
+        let den = 0;
+        steps.forEach(step => {
+            num += (step.level - meanLevel) * (step.change - meanChange);
+            den += (step.level - meanLevel) * (step.level - meanLevel);
+        });
+        const b = den > 0 ? num / den : 0;
+        const a = meanChange - b * meanLevel;
+
+        const residuals = steps.map(step => step.change - (a + b * step.level));
+        const median = (values) => {
+            const sorted = values.slice().sort((x, y) => x - y);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+        const robustStd = Math.max(1.4826 * median(residuals.map(Math.abs)), 1e-6);
+        const shocks = residuals.filter(r => r > 4 * robustStd);
+        const diffusion = residuals.filter(r => Math.abs(r) <= 4 * robustStd);
+        const diffusionStd = Math.sqrt(diffusion.reduce((total, r) => total + r * r, 0) / Math.max(diffusion.length, 1));
+
+        const distribution = {
+            meanLevel: b < 0 ? Math.max(0, -a / b) : Math.max(0, meanLevel),
+            reversionPerDay: Math.min(Math.max(-b / stepDays, 0.05), 5),
+            volatilityPerDay: Math.max(diffusionStd / Math.sqrt(stepDays), 1e-5),
+            jumpProbPerDay: Math.min(shocks.length / Math.max(totalDays, 1), 0.5),
+            jumpMean: shocks.length > 0 ? shocks.reduce((total, r) => total + r, 0) / shocks.length : this.defaults.jumpMean
+        };
+        this.fits[key] = {
+            distribution: distribution,
+            calibration: { source: 'observed', samples: series.length, days: totalDays }
+        };
+
+        console.log(`[DepegSimulator] ${key}: calibrated from ${series.length} discounts over ${totalDays.toFixed(1)} days`, distribution);
+        return this.fits[key].calibration;
+    }
+
+    /* ==========================================
+       2. SIMULATION
+       ========================================== */
+
+    /**
+     * Sample de-peg paths for `days` from `initial` (the asset's current
+     * market discount) with the asset's fitted distribution, and summarize
+     * the de-peg at the end of the window.
+     * - terminal: end-of-window de-peg per path, ascending
+     * - p5 / p95: 5th and 95th percentile de-peg
+     */
+    simulate(options = {}) {
+        const days = Math.max(0, options.days !== undefined ? options.days : 7);
+        const paths = options.paths || this.paths;
+        const fit = this.fitFor(options.asset);
+        const series = this.observations[String(options.asset).toUpperCase()] || [];
+        const lastObserved = series.length > 0 ? series[series.length - 1].value : 0;
+        const initial = Math.max(0, options.initial !== undefined ? options.initial : lastObserved);
+        const d = { ...fit.distribution, ...(options.distribution || {}) };
+
+        const steps = Math.max(1, Math.ceil(days * this.stepsPerDay));
+        const dt = days / steps;
+        const random = this._random(options.seed || this.randomSeed);
+        const normal = () => {
+            const u = Math.max(random(), 1e-12);
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+        };
+
+        const terminal = new Float64Array(paths);
+        for (let p = 0; p < paths; p++) {
+            let depeg = initial;
+            for (let s = 0; s < steps && dt > 0; s++) {
+                depeg += d.reversionPerDay * (d.meanLevel - depeg) * dt + d.volatilityPerDay * Math.sqrt(dt) * normal();
+                if (random() < d.jumpProbPerDay * dt) depeg += -d.jumpMean * Math.log(Math.max(random(), 1e-12));
+                depeg = Math.min(Math.max(depeg, 0), 1);
+            }
+            terminal[p] = depeg;
+        }
+        terminal.sort();
+
+        return {
+            paths: paths,
+            days: days,
+            initial: initial,
+            distribution: d,
+            calibration: fit.calibration,
+            terminal: terminal,
+            mean: terminal.reduce((total, value) => total + value, 0) / paths,
+            p5: this.quantile(terminal, 0.05),
+            p95: this.quantile(terminal, 0.95)
+        };
+    }
+
+    /* ==========================================
+       3. UTILITY FUNCTIONS
+       ========================================== */
+
+    /**
+     * Linear-interpolated quantile of an ascending array
+     */
+    quantile(sorted, q) {
+        if (sorted.length === 0) return null;
+        const pos = (sorted.length - 1) * q;
+        const lower = Math.floor(pos);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+    }
+
+    /**
+     * Internal: Sort samples and keep at most one per minSpacingMs
+     */
+    _thin(samples) {
+        const kept = [];
+        samples
+            .slice()
+            .sort((a, b) => a.ts - b.ts)
+            .forEach(sample => {
+                const last = kept[kept.length - 1];
+                if (!last || sample.ts - last.ts >= this.minSpacingMs) kept.push(sample);
+            });
+        return kept.slice(-this.maxSamples);
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.observations));
+        } catch (error) {
+            console.warn('[DepegSimulator] Could not save observations:', error);
+        }
+    }
+
+    /**
+     * Seeded uniform generator (mulberry32)
+     */
+    _random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const depegSimulator = new DepegSimulator({
+    paths: 5000,
+    history: typeof window !== 'undefined' ? window.pulseHistory || null : null
+});
+
+depegSimulator.ready = depegSimulator.seed();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    // Every poll on this page adds the polled discounts
+    window.addEventListener('pulseScoreUpdate', (e) => depegSimulator.recordPoll(e.detail));
+
+    window.DepegSimulator = DepegSimulator;
+    window.depegSimulator = depegSimulator;
+}
@@ -0,0 +1,280 @@
+/* ========================================
+   YIELDGUARD AI - EVENT BUS
+   event-bus.js
+   Typed application events with replay
+   of the last value and a debug inspector
+   ======================================== */
+
+/**
+ * Documented events. Field types: 'string' | 'number' | 'boolean' |
+ * 'object' | 'array' | 'any'; a trailing '?' marks the field optional.
+ */
+const EVENT_TYPES = {
+    scoreChanged: {
+        description: 'A protocol or market PulseScore differs from the previous poll',
+        fields: { key: 'string', protocol: 'string', previous: 'number?', score: 'number', status: 'string' }
+    },
+    statusTransition: {
+        description: 'A protocol or market moved between Safe / Monitor / Warning / Critical',
+        fields: { key: 'string', protocol: 'string', from: 'string', to: 'string', score: 'number' }
+    },
+    sourceFailed: {
+        description: 'A webhook fetch failed (network, HTTP status or rejected payload)',
+        fields: { source: 'string', error: 'string', errorType: 'string', failures: 'number', circuit: 'string' }
+    },
+    exitCalculated: {
+        description: 'ExitOptimizer compared redemption against the best-ranked instant DEX exit',
+        fields: { input: 'object', redemptionPath: 'object', marketPath: 'object', liquidityGain: 'object', routes: 'array?' }
+    },
+    exitExecuted: {
+        description: 'An exit transaction was submitted (or failed to submit)',
+        fields: { success: 'boolean', txHash: 'string?', error: 'string?', transaction: 'object' }
+    },
+    exitConfirmed: {
+        description: 'A submitted exit transaction confirmed, reverted or timed out',
+        fields: { txHash: 'string', status: 'string', blockNumber: 'number?', confirmations: 'number' }
+    },
+    exportGenerated: {
+        description: 'A report or tax export was produced',
+        fields: { kind: 'string', currency: 'string?', rows: 'number', filename: 'string?' }
+    },
+    agentResponse: {
+        description: 'Nairobi answered (or failed to answer) a user message',
+        fields: { message: 'string', response: 'string', error: 'boolean' }
+    }
+};
+
+class EventBus {
+    constructor(config = {}) {
+        this.types = new Map(Object.entries(config.types || EVENT_TYPES));
+        this.historySize = config.historySize || 200;
+        this.handlers = new Map();   // type -> Set of handlers ('*' receives everything)
+        this.lastEvents = new Map(); // type -> last envelope, for replay
+        this.history = [];           // newest last, capped at historySize
+        this.seq = 0;
+        this.inspector = null;
+    }
+
+    /* ==========================================
+       1. EVENT TYPES
+       ========================================== */
+
+    define(type, spec) {
+        if (!type || !spec || typeof spec.fields !== 'object') {
+            throw new Error('Event type requires a name and a fields spec');
+        }
+        this.types.set(type, spec);
+        return this;
+    }
+
+    /**
+     * Throw a TypeError if the payload does not match the event's fields
+     */
+    validate(type, payload) {
+        const spec = this.types.get(type);
+        if (!spec) throw new Error(`Unknown event type: ${type}`);
+        if (!payload || typeof payload !== 'object') throw new TypeError(`${type} payload must be an object`);
+
+        Object.entries(spec.fields).forEach(([field, declared]) => {
+            const optional = declared.endsWith('?');
+            const expected = optional ? declared.slice(0, -1) : declared;
+            const value = payload[field];
+
+            if (value === undefined || value === null) {
+                if (!optional) throw new TypeError(`${type}.${field} is required`);
+                return;
+            }
+
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (expected !== 'any' && actual !== expected) {
+                throw new TypeError(`${type}.${field} must be ${expected}, got ${actual}`);
+            }
+        });
+    }
+
+    /* ==========================================
+       2. PUBLISH & SUBSCRIBE
+       ========================================== */
+
+    /**
+     * Subscribe to one event type ('*' for all). `replay: true` delivers
+     * the last emitted value immediately. Returns an unsubscribe function.
+     */
+    on(type, handler, options = {}) {
+        if (type !== '*' && !this.types.has(type)) throw new Error(`Unknown event type: ${type}`);
+
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+
+        if (options.replay && this.lastEvents.has(type)) {
+            this._call(handler, this.lastEvents.get(type));
+        }
+
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler, options = {}) {
+        const unsubscribe = this.on(type, (payload, event) => {
+            unsubscribe();
+            handler(payload, event);
+        }, options);
+        return unsubscribe;
+    }
+
+    off(type, handler) {
+        const set = this.handlers.get(type);
+        if (set) set.delete(handler);
+    }
+
+    /**
+     * Validate and deliver an event; handlers receive (payload, envelope)
+     */
+    emit(type, payload) {
+        this.validate(type, payload);
+
+        const event = {
+            seq: ++this.seq,
+            type: type,
+            timestamp: new Date().toISOString(),
+            payload: payload
+        };
+
+        this.lastEvents.set(type, event);
+        this.history.push(event);
+        if (this.history.length > this.historySize) this.history.shift();
+
+        [...(this.handlers.get(type) || []), ...(this.handlers.get('*') || [])]
+            .forEach(handler => this._call(handler, event));
+
+        if (this.inspector) this.renderInspector();
+        return event;
+    }
+
+    /**
+     * Last emitted payload of a type (null if none yet)
+     */
+    last(type) {
+        const event = this.lastEvents.get(type);
+        return event ? event.payload : null;
+    }
+
+    /**
+     * Internal: A failing subscriber must not break the emitter
+     */
+    _call(handler, event) {
+        try {
+            handler(event.payload, event);
+        } catch (error) {
+            console.error(`[EventBus] ${event.type} handler failed:`, error);
+        }
+    }
+
+    /* ==========================================
+       3. DEBUG INSPECTOR
+       ========================================== */
+
+    /**
+     * Recent events, optionally filtered by type, newest first
+     */
+    inspect(type = null, limit = 50) {
+        return this.history
+            .filter(event => !type || event.type === type)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Summary of every type: subscribers, emit count and last emit time
+     */
+    describe() {
+        return Array.from(this.types.entries()).map(([type, spec]) => {
+            const events = this.history.filter(event => event.type === type);
+            const last = this.lastEvents.get(type);
+            return {
+                type: type,
+                description: spec.description || '',
+                subscribers: (this.handlers.get(type) || new Set()).size,
+                emitted: events.length,
+                lastAt: last ? last.timestamp : null
+            };
+        });
+    }
+
+    /**
+     * Floating panel listing live events (Ctrl+Shift+E or ?debug=events)
+     */
+    toggleInspector() {
+        if (typeof document === 'undefined') return;
+
+        if (this.inspector) {
+            this.inspector.remove();
+            this.inspector = null;
+            return;
+        }
+
+        this.inspector = document.createElement('div');
+        this.inspector.dataset.eventInspector = '';
+        this.inspector.className = 'fixed bottom-4 right-4 z-50 w-96 max-h-96 overflow-y-auto bg-slate-900/95 border border-slate-700 rounded-lg p-3 text-xs font-mono shadow-xl';
+        document.body.appendChild(this.inspector);
+        this.renderInspector();
+    }
+
+    renderInspector() {
+        if (!this.inspector) return;
+
+        const counts = this.describe()
+            .map(t => `<span class="${t.emitted ? 'text-slate-300' : 'text-slate-600'}" title="${t.description}">${t.type} ${t.emitted}/${t.subscribers}</span>`)
+            .join(' · ');
+
+        const rows = this.inspect(null, 30).map(event => `
+            <li class="border-t border-slate-800 pt-1">
+                <span class="text-slate-500">#${event.seq} ${event.timestamp.slice(11, 19)}</span>
+                <span class="text-green-400">${event.type}</span>
+                <pre class="text-slate-400 whitespace-pre-wrap break-all">${this._escape(JSON.stringify(event.payload)).slice(0, 300)}</pre>
+            </li>
+        `).join('');
+
+        this.inspector.innerHTML = `
+            <div class="flex justify-between items-center mb-2">
+                <span class="font-semibold text-slate-200">Event bus</span>
+                <span class="text-slate-500">emitted/subscribers</span>
+            </div>
+            <p class="mb-2 leading-relaxed">${counts}</p>
+            <ul class="space-y-1">${rows || '<li class="text-slate-500">No events yet</li>'}</ul>
+        `;
+    }
+
+    _escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const eventBus = new EventBus();
+
+// Page bootstrap - inspector shortcut and ?debug=events
+if (typeof document !== 'undefined') {
+    document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'e') {
+            e.preventDefault();
+            eventBus.toggleInspector();
+        }
+    });
+
+    if (new URLSearchParams(window.location.search).get('debug') === 'events') {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => eventBus.toggleInspector());
+        } else {
+            eventBus.toggleInspector();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+    window.eventBus = eventBus;
+}
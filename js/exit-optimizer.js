@@ -5,17 +5,33 @@
    Calculates Liquidity Gain & Exit Strategy
    ======================================== */
 
+/**
+ * Venues quoted for an instant exit. `gasEstimate` (USD) applies when
+ * the venue's market-price payload carries no gasUsd of its own.
+ */
+const EXIT_VENUES = [
+    { id: 'uniswap-v4', name: 'Uniswap V4', kind: 'amm', gasEstimate: 5 },
+    { id: 'curve', name: 'Curve', kind: 'amm', gasEstimate: 8 },
+    { id: '1inch', name: '1inch', kind: 'aggregator', gasEstimate: 14 }
+];
+
 class ExitOptimizer {
     constructor(config = {}) {
         this.n8nBaseUrl = config.n8nUrl || 'https://your-n8n-instance.com';
-        this.slippageEstimate = config.slippageEstimate || 0.004; // 0.4%
+        this.slippageEstimate = config.slippageEstimate || 0.004; // 0.4%, only when the DEX reports no depth
+        this.maxSlippage = config.maxSlippage || 0.01; // Size shown as the comfortable exit limit
+        this.priceImpact = config.priceImpact || new PriceImpactModel();
         this.gasEstimate = config.gasEstimate || 5; // USD
+        this.slippageTolerance = config.slippageTolerance || 0.005; // Below the quoted output a swap may fill at
+        this.swapEncoder = config.swapEncoder || new UniswapV4Encoder();
+        this.chainId = config.chainId || 1;
         this.dailyYieldRate = config.dailyYieldRate || 0.024; // ~2.4% APY / 365
-        this.depegRiskScenarios = {
-            best: 0,        // No de-peg
-            mid: 0.005,     // 0.5% de-peg
-            worst: 0.02     // 2% de-peg
-        };
+        this.schemas = config.schemas || null;
+        this.events = config.events || null;
+        this.venues = config.venues || EXIT_VENUES;
+        this.bestRoute = null; // Market path of the last calculation
+        this.executableRoute = null; // Best route of the last calculation on a venue with calldata, used to execute
+        this.depegSimulator = config.depegSimulator || new DepegSimulator(); // De-peg paths over the cooldown
     }
 
     /* ==========================================
@@ -56,31 +72,35 @@ class ExitOptimizer {
             
             const data = await response.json();
             console.log(`[ExitOptimizer] Redemption NAV for ${asset}:`, data);
-            
+
+            // A missing NAV must not be priced as 1.0
+            if (this.schemas) this.schemas.assert('redemption-value', data);
+
             return {
                 asset: asset,
-                nav: parseFloat(data.nav) || 1.0,
-                cooldownDays: parseFloat(data.cooldownDays) || 7,
+                nav: parseFloat(data.nav),
+                cooldownDays: parseFloat(data.cooldownDays),
                 unlockDate: data.unlockDate,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
             console.error('[ExitOptimizer] Redemption fetch failed:', error);
+            if (error.name === 'PayloadValidationError') throw error;
             return null;
         }
     }
 
     /**
-     * Fetch current market price from DEX (via n8n)
+     * Fetch current market price from one venue (via n8n)
      */
-    async fetchMarketPrice(asset) {
+    async fetchMarketPrice(asset, dex = 'uniswap-v4') {
         try {
             const response = await fetch(`${this.n8nBaseUrl}/webhook/market-price`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     asset: asset,
-                    dex: 'uniswap-v4',
+                    dex: dex,
                     action: 'fetch_price',
                     timestamp: new Date().toISOString()
                 })
@@ -89,21 +109,55 @@ class ExitOptimizer {
             if (!response.ok) throw new Error(`Market price error: ${response.status}`);
             
             const data = await response.json();
-            console.log(`[ExitOptimizer] Market price for ${asset}:`, data);
-            
+            console.log(`[ExitOptimizer] Market price for ${asset} on ${dex}:`, data);
+
+            if (this.schemas) this.schemas.assert('market-price', data);
+
             return {
                 asset: asset,
-                price: parseFloat(data.price) || 1.0,
+                price: parseFloat(data.price),
                 liquidity: parseFloat(data.liquidity),
-                dex: data.dex,
+                pool: data.pool || null,
+                gasUsd: parseFloat(data.gasUsd),
+                dex: data.dex || dex,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
             console.error('[ExitOptimizer] Market price fetch failed:', error);
+            if (error.name === 'PayloadValidationError') throw error;
             return null;
         }
     }
 
+    /**
+     * Quote every venue in parallel. A venue that fails is left out;
+     * a rejected payload is rethrown only when no venue could quote.
+     */
+    async fetchVenueQuotes(asset) {
+        const results = await Promise.allSettled(this.venues.map(venue => this.fetchMarketPrice(asset, venue.id)));
+        const quotes = [];
+
+        results.forEach((result, idx) => {
+            const venue = this.venues[idx];
+            if (result.status === 'fulfilled' && result.value) {
+                quotes.push({
+                    ...result.value,
+                    dex: venue.id,
+                    venue: venue.name,
+                    venueKind: venue.kind,
+                    gasUsd: isNaN(result.value.gasUsd) ? venue.gasEstimate : result.value.gasUsd
+                });
+            } else {
+                console.warn(`[ExitOptimizer] No quote from ${venue.name}`);
+            }
+        });
+
+        const rejected = results.find(result => result.status === 'rejected');
+        if (quotes.length === 0 && rejected) throw rejected.reason;
+
+        return quotes;
+    }
+
     /* ==========================================
        3. COMPARISON ENGINE
        ========================================== */
@@ -120,6 +174,7 @@ class ExitOptimizer {
         
         return {
             strategy: 'Redemption (Cooldown)',
+            asset: redemptionData.asset,
             amount: amount,
             nav: nav,
             finalValue: amount * nav + yieldAccrued,
@@ -141,12 +196,18 @@ class ExitOptimizer {
      */
     calculateMarketPath(amount, marketData) {
         const price = marketData.price;
+        const pool = this.priceImpact.poolFrom(marketData);
+        const gasEstimate = this._gasFor(marketData);
+
+        // Slippage grows with trade size against pool depth; flat estimate only without depth data
+        const quote = pool ? this.priceImpact.quote(pool, amount) : null;
+        const comfortableSize = pool ? this.priceImpact.maxSizeForSlippage(pool, this.maxSlippage) : null;
+        const slippage = quote ? quote.slippage : this.slippageEstimate;
+        const filled = quote ? quote.filled : amount;
+        const slippageLoss = filled * price * slippage;
         
-        // Slippage loss
-        const slippageLoss = amount * price * this.slippageEstimate;
-        
-        // Final value after slippage and gas
-        const finalValue = (amount * price) - slippageLoss - this.gasEstimate;
+        // Final value after slippage and gas; an unfilled remainder cannot exit instantly
+        const finalValue = (filled * price) - slippageLoss - gasEstimate;
         
         return {
             strategy: 'Instant Liquidity (DEX)',
@@ -154,11 +215,21 @@ class ExitOptimizer {
             price: price,
             finalValue: finalValue,
             slippageLoss: slippageLoss,
-            gasEstimate: this.gasEstimate,
-            totalCost: slippageLoss + this.gasEstimate,
-            haircut: (this.slippageEstimate * 100).toFixed(2),
+            gasEstimate: gasEstimate,
+            totalCost: slippageLoss + gasEstimate,
+            haircut: (slippage * 100).toFixed(2),
+            slippageModel: quote ? quote.model : 'flat',
+            priceImpact: quote ? quote.priceImpact : null,
+            filledAmount: filled,
+            expectedAmountOut: filled * price - slippageLoss, // Output before gas; sets the swap's minimum out
+            unfilledAmount: quote ? quote.unfilled : 0,
+            insufficientLiquidity: quote ? quote.insufficientLiquidity : false,
+            maxSizeWithinSlippage: comfortableSize,
+            impactCurve: pool ? this._impactCurve(pool, amount, comfortableSize) : [],
             timeToLiquidity: '2-5 minutes',
             dex: marketData.dex,
+            venue: marketData.venue || marketData.dex,
+            feeRate: pool ? pool.fee : null,
             liquidity: marketData.liquidity,
             risks: [
                 'DEX slippage impact',
@@ -168,6 +239,34 @@ class ExitOptimizer {
         };
     }
 
+    /**
+     * Price the same exit on every quoted venue, best first. Venues that
+     * cannot fill the whole exit rank after those that can.
+     */
+    rankRoutes(amount, quotes) {
+        return quotes
+            .map(marketData => this.calculateMarketPath(amount, marketData))
+            .sort((a, b) => (a.insufficientLiquidity - b.insufficientLiquidity) || (b.finalValue - a.finalValue))
+            .map((route, idx) => ({ ...route, rank: idx + 1 }));
+    }
+
+    /**
+     * Internal: Gas in USD for a venue quote, falling back to the configured estimate
+     */
+    _gasFor(marketData) {
+        return isFinite(marketData.gasUsd) ? marketData.gasUsd : this.gasEstimate;
+    }
+
+    /**
+     * Internal: Slippage curve reaching past both the exit size and the comfortable size
+     */
+    _impactCurve(pool, amount, comfortableSize) {
+        let maxAmount = Math.max(amount, comfortableSize) * 1.5;
+        const capacity = this.priceImpact.capacity(pool);
+        if (isFinite(capacity)) maxAmount = Math.max(amount, Math.min(maxAmount, capacity * 1.2));
+        return this.priceImpact.curve(pool, maxAmount);
+    }
+
     /* ==========================================
        4. LIQUIDITY GAIN METRIC
        ========================================== */
@@ -184,7 +283,10 @@ class ExitOptimizer {
         const netDifference = redemptionValue - marketValue;
         
         // If market is better by factor of capital efficiency
-        const recommendation = netDifference > 0 ? 'WAIT' : 'EXIT_NOW';
+        let recommendation = netDifference > 0 ? 'WAIT' : 'EXIT_NOW';
+
+        // The pool cannot absorb the whole exit, so an instant exit is not on offer
+        if (marketPath.insufficientLiquidity) recommendation = 'WAIT';
         
         return {
             liquidityGainHours: cooldownHours,
@@ -196,11 +298,7 @@ class ExitOptimizer {
                 depegPercent: this._calculateBreakeven(redemptionPath, marketPath),
                 description: 'De-peg % that makes waiting equal to exiting'
             },
-            analysis: {
-                bestCase: this._scenarioAnalysis(redemptionPath, marketPath, 'best'),
-                midCase: this._scenarioAnalysis(redemptionPath, marketPath, 'mid'),
-                worstCase: this._scenarioAnalysis(redemptionPath, marketPath, 'worst')
-            }
+            analysis: this._depegAnalysis(redemptionPath, marketPath)
         };
     }
 
@@ -218,23 +316,43 @@ class ExitOptimizer {
     }
 
     /**
-     * Internal: Scenario analysis for different de-peg levels
+     * Internal: Distribution of the waiting outcome over simulated de-peg
+     * paths through the cooldown, against exiting now at a known value
      */
-    _scenarioAnalysis(redemptionPath, marketPath, scenario) {
-        const depegRisk = this.depegRiskScenarios[scenario];
-        const redemptionValue = redemptionPath.amount * (1 - depegRisk) + redemptionPath.yieldAccrued;
+    _depegAnalysis(redemptionPath, marketPath) {
+        const simulation = this.depegSimulator.simulate({
+            asset: redemptionPath.asset,
+            initial: this._currentDepeg(marketPath.price, redemptionPath.nav),
+            days: redemptionPath.cooldownDays
+        });
+        const valueAt = (depeg) => redemptionPath.amount * redemptionPath.nav * (1 - depeg) + redemptionPath.yieldAccrued;
         const marketValue = marketPath.finalValue;
-        
+        const waitWins = simulation.terminal.filter(depeg => valueAt(depeg) > marketValue).length;
+        const expectedValue = valueAt(simulation.mean);
+
         return {
-            scenario: scenario.charAt(0).toUpperCase() + scenario.slice(1),
-            depegPercent: (depegRisk * 100).toFixed(2),
-            redemptionValue: redemptionValue.toFixed(2),
-            marketValue: marketValue.toFixed(2),
-            recommendation: redemptionValue > marketValue ? 'WAIT' : 'EXIT_NOW',
-            gainLoss: (redemptionValue - marketValue).toFixed(2)
+            paths: simulation.paths,
+            days: simulation.days,
+            calibration: simulation.calibration,
+            initialDepeg: simulation.initial,
+            expectedDepeg: simulation.mean,
+            expectedValue: expectedValue,
+            p5Value: valueAt(simulation.p95),    // Worst 5% of outcomes: deepest de-peg
+            p95Value: valueAt(simulation.p5),
+            marketValue: marketValue,
+            probWaitBeatsExit: waitWins / simulation.paths,
+            recommendation: expectedValue > marketValue ? 'WAIT' : 'EXIT_NOW'
         };
     }
 
+    /**
+     * Internal: De-peg to start the paths from - the asset's own market
+     * discount to NAV right now
+     */
+    _currentDepeg(marketPrice, nav) {
+        return nav > 0 ? Math.max(0, 1 - marketPrice / nav) : 0;
+    }
+
     /* ==========================================
        5. DOM UPDATES
        ========================================== */
@@ -242,12 +360,13 @@ class ExitOptimizer {
     /**
      * Render comparison view to HTML
      */
-    renderComparison(input, redemptionPath, marketPath, liquidityGain) {
+    renderComparison(input, redemptionPath, marketPath, liquidityGain, routes = [marketPath]) {
         console.log('[ExitOptimizer] Rendering comparison...', {
             input,
             redemption: redemptionPath,
             market: marketPath,
-            liquidity: liquidityGain
+            liquidity: liquidityGain,
+            routes: routes.length
         });
 
         // Update Redemption (Left) side
@@ -262,10 +381,19 @@ class ExitOptimizer {
         // Update scenario table
         this._updateScenarioTable(liquidityGain.analysis);
 
+        // Update price-impact curve
+        this._renderImpactCurve(marketPath);
+
+        // Update venue ranking
+        this._renderRouteTable(routes);
+
+        // Update execute button
+        this._renderExecuteAction(marketPath);
+
         // Emit event for other modules
-        window.dispatchEvent(new CustomEvent('exitComparison', { 
-            detail: { input, redemptionPath, marketPath, liquidityGain } 
-        }));
+        if (this.events) {
+            this.events.emit('exitCalculated', { input, redemptionPath, marketPath, liquidityGain, routes });
+        }
     }
 
     /**
@@ -292,6 +420,126 @@ class ExitOptimizer {
         if (priceEl) priceEl.textContent = `$${marketPath.finalValue.toFixed(2)}`;
         if (haircutEl) haircutEl.textContent = `${marketPath.haircut}%`;
         if (finalEl) finalEl.textContent = `$${marketPath.finalValue.toFixed(2)}`;
+
+        const lossEl = document.querySelector('[data-market-loss]');
+        if (lossEl) lossEl.textContent = `-$${marketPath.slippageLoss.toFixed(2)}`;
+
+        const venueEl = document.querySelector('[data-market-venue]');
+        const venueTimeEl = document.querySelector('[data-market-venue-time]');
+        if (venueEl) venueEl.textContent = `The Fast Path: Exit immediately on ${marketPath.venue}`;
+        if (venueTimeEl) venueTimeEl.textContent = `Est. time via ${marketPath.venue}`;
+    }
+
+    /**
+     * Internal: Point the execute button at the executable route, and say
+     * why when the top-ranked venue is quote-only
+     */
+    _renderExecuteAction(marketPath) {
+        if (typeof document === 'undefined') return;
+        const executeBtn = document.getElementById('execute-exit');
+        const noteEl = document.querySelector('[data-execute-note]');
+        const route = this.executableRoute;
+
+        if (executeBtn) {
+            executeBtn.disabled = !route;
+            executeBtn.textContent = route ? `Execute Exit on ${route.venue}` : 'Execute Exit';
+        }
+        if (noteEl) {
+            if (!route) {
+                noteEl.textContent = 'No executable route can fill this amount. Only Uniswap V4 swaps are sent from here.';
+            } else if (route.dex !== marketPath.dex) {
+                noteEl.textContent = `${marketPath.venue} ranks first but is quote-only here; executing on ${route.venue} ` +
+                    `($${route.finalValue.toFixed(2)} vs $${marketPath.finalValue.toFixed(2)}).`;
+            } else {
+                noteEl.textContent = '';
+            }
+        }
+    }
+
+    /**
+     * Internal: Rank venues in [data-route-table]; the top row feeds the market card
+     */
+    _renderRouteTable(routes) {
+        const tbody = document.querySelector('[data-route-table] tbody');
+        if (!tbody) return;
+
+        const usd = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+        tbody.innerHTML = routes.map(route => `
+            <tr class="${route.rank === 1 ? 'text-green-400 font-semibold' : ''}">
+                <td>${route.rank}</td>
+                <td>${route.venue}${route.insufficientLiquidity ? ' <span class="text-red-400 text-xs">(too shallow)</span>' : ''}</td>
+                <td class="scenario-table-mono">$${route.price.toFixed(4)}</td>
+                <td class="scenario-table-mono">${route.liquidity ? '$' + Math.round(route.liquidity).toLocaleString('en-US') : '—'}</td>
+                <td class="scenario-table-mono">${route.feeRate !== null ? (route.feeRate * 100).toFixed(2) + '%' : '—'}</td>
+                <td class="scenario-table-mono">${usd(route.gasEstimate)}</td>
+                <td class="scenario-table-mono">${route.haircut}%</td>
+                <td class="scenario-table-mono">${usd(route.finalValue)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Internal: Plot slippage against exit size into #price-impact-curve
+     */
+    _renderImpactCurve(marketPath) {
+        const container = document.getElementById('price-impact-curve');
+        if (!container) return;
+
+        const summaryEl = document.querySelector('[data-impact-summary]');
+        const curve = marketPath.impactCurve;
+        const fmt = (n) => Math.round(n).toLocaleString('en-US');
+
+        if (curve.length === 0) {
+            container.innerHTML = `<p class="text-sm text-slate-500">No pool depth reported; using a flat ${marketPath.haircut}% slippage estimate.</p>`;
+            if (summaryEl) summaryEl.textContent = '';
+            return;
+        }
+
+        const width = 320;
+        const height = 160;
+        const pad = 32;
+        const maxAmount = curve[curve.length - 1].amount;
+        const maxSlippage = Math.max(this.maxSlippage * 1.5, ...curve.map(p => p.slippage));
+        const x = (amount) => pad + (Math.min(amount, maxAmount) / maxAmount) * (width - pad - 8);
+        const y = (slippage) => (height - pad) - (Math.min(slippage, maxSlippage) / maxSlippage) * (height - pad - 8);
+
+        const filledPoints = curve.filter(p => !p.insufficientLiquidity);
+        const line = [{ amount: 0, slippage: curve[0].slippage }, ...filledPoints]
+            .map(p => `${x(p.amount).toFixed(1)},${y(p.slippage).toFixed(1)}`)
+            .join(' ');
+        const cliff = curve.filter(p => p.insufficientLiquidity)
+            .map(p => `<circle cx="${x(p.amount)}" cy="${y(p.slippage)}" r="2" fill="#ef4444"><title>Pool cannot fill ${fmt(p.amount)}</title></circle>`)
+            .join('');
+        const currentSlippage = parseFloat(marketPath.haircut) / 100;
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="Slippage by exit size">
+                <line x1="${pad}" y1="${height - pad}" x2="${width - 8}" y2="${height - pad}" stroke="#334155" />
+                <line x1="${pad}" y1="8" x2="${pad}" y2="${height - pad}" stroke="#334155" />
+                <line x1="${pad}" y1="${y(this.maxSlippage)}" x2="${width - 8}" y2="${y(this.maxSlippage)}" stroke="#f97316" stroke-dasharray="4 3">
+                    <title>${(this.maxSlippage * 100).toFixed(1)}% slippage limit</title></line>
+                <polyline points="${line}" fill="none" stroke="#22c55e" stroke-width="2" />
+                ${cliff}
+                <circle cx="${x(marketPath.amount)}" cy="${y(currentSlippage)}" r="4" fill="#0f172a" stroke="#e2e8f0" stroke-width="2">
+                    <title>This exit: ${marketPath.haircut}%</title></circle>
+                <text x="${pad - 4}" y="14" font-size="9" text-anchor="end" fill="#94a3b8">${(maxSlippage * 100).toFixed(1)}%</text>
+                <text x="${pad - 4}" y="${height - pad}" font-size="9" text-anchor="end" fill="#94a3b8">0%</text>
+                <text x="${pad}" y="${height - pad + 14}" font-size="9" fill="#94a3b8">0</text>
+                <text x="${width - 8}" y="${height - pad + 14}" font-size="9" text-anchor="end" fill="#94a3b8">${fmt(maxAmount)}</text>
+                <text x="${(width + pad) / 2}" y="${height - 4}" font-size="9" text-anchor="middle" fill="#64748b">Exit size</text>
+            </svg>
+        `;
+
+        if (summaryEl) {
+            let summary = `Exit of ${fmt(marketPath.amount)}: ${marketPath.haircut}% slippage incl. fees, pool price moves ${(marketPath.priceImpact * 100).toFixed(2)}%. ` +
+                `Up to ${fmt(marketPath.maxSizeWithinSlippage)} stays within ${(this.maxSlippage * 100).toFixed(1)}%.`;
+            if (marketPath.insufficientLiquidity) {
+                summary += ` Pool depth covers only ${fmt(marketPath.filledAmount)}; ${fmt(marketPath.unfilledAmount)} cannot exit instantly.`;
+            }
+            summaryEl.textContent = summary;
+            summaryEl.className = `text-xs mt-3 ${marketPath.insufficientLiquidity ? 'text-red-400' : 'text-slate-500'}`;
+        }
     }
 
     /**
@@ -321,18 +569,34 @@ class ExitOptimizer {
         const table = document.querySelector('[data-scenario-table]');
         if (!table) return;
 
-        const rows = [analysis.bestCase, analysis.midCase, analysis.worstCase];
+        const usd = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const better = (waitValue) => (waitValue > analysis.marketValue ? 'WAIT' : 'EXIT NOW');
+        const rows = [
+            [usd(analysis.expectedValue), usd(analysis.marketValue), better(analysis.expectedValue)],
+            [usd(analysis.p5Value), usd(analysis.marketValue), better(analysis.p5Value)],
+            [usd(analysis.p95Value), usd(analysis.marketValue), better(analysis.p95Value)],
+            [`${(analysis.probWaitBeatsExit * 100).toFixed(1)}%`, `of ${analysis.paths.toLocaleString('en-US')} paths`, analysis.probWaitBeatsExit >= 0.5 ? 'WAIT' : 'EXIT NOW']
+        ];
         const tableRows = table.querySelectorAll('tbody tr');
 
-        rows.forEach((scenario, idx) => {
+        rows.forEach((values, idx) => {
             if (!tableRows[idx]) return;
             const cells = tableRows[idx].querySelectorAll('td');
             if (cells.length >= 4) {
-                cells[1].textContent = scenario.redemptionValue;
-                cells[2].textContent = scenario.marketValue;
-                cells[3].textContent = scenario.recommendation;
+                cells[1].textContent = values[0];
+                cells[2].textContent = values[1];
+                cells[3].textContent = values[2];
             }
         });
+
+        const assumptionsEl = document.querySelector('[data-scenario-assumptions]');
+        if (assumptionsEl) {
+            const source = analysis.calibration.source === 'observed'
+                ? `calibrated from ${analysis.calibration.samples} observed discounts to NAV`
+                : `default distribution (${analysis.calibration.samples} of ${this.depegSimulator.minSamples} observed discounts needed)`;
+            assumptionsEl.textContent = `${analysis.paths.toLocaleString('en-US')} simulated de-peg paths over the ${analysis.days}-day cooldown, ` +
+                `starting at ${(analysis.initialDepeg * 100).toFixed(2)}%, ${source}. Expected de-peg at unlock: ${(analysis.expectedDepeg * 100).toFixed(2)}%.`;
+        }
     }
 
     /* ==========================================
@@ -340,65 +604,604 @@ class ExitOptimizer {
        ========================================== */
 
     /**
-     * Prepare Uniswap V4 swap transaction
+     * Prepare the exit swap for the venue a route was priced on.
+     * options: expectedAmountOut (the route's quoted output, USD),
+     * slippageTolerance, deadline (unix seconds), chainId
      */
-    prepareUniswapTransaction(amount, asset, walletAddress) {
-        return {
+    prepareExitTransaction(dex, amount, asset, walletAddress, options = {}) {
+        if (dex === 'curve') return this.prepareCurveTransaction(amount, asset, walletAddress, options);
+        if (dex === '1inch') return this.prepareAggregatorTransaction(amount, asset, walletAddress, options);
+        return this.prepareUniswapTransaction(amount, asset, walletAddress, options);
+    }
+
+    /**
+     * Prepare Uniswap V4 swap through the Universal Router. Without a
+     * registered token or pool for the chain the transaction carries no
+     * calldata and `encodingError` says why.
+     */
+    prepareUniswapTransaction(amount, asset, walletAddress, options = {}) {
+        const terms = this._swapTerms(options);
+        const chainId = options.chainId || this.chainId;
+        const transaction = {
             dex: 'uniswap-v4',
             operation: 'EXACT_INPUT_SWAP',
+            chainId: chainId,
             tokenIn: asset,
             tokenOut: 'USDC', // or user preference
             amountIn: amount,
-            minAmountOut: amount * 0.995, // 0.5% slippage tolerance
+            expectedAmountOut: terms.expectedAmountOut,
+            minAmountOut: terms.minAmountOut,
             recipient: walletAddress,
-            deadline: Math.floor(Date.now() / 1000) + 300, // 5 min
+            deadline: terms.deadline,
             payload: {
                 asset: asset,
                 amount: amount,
-                slippagePercent: 0.5,
+                slippagePercent: terms.slippageTolerance * 100,
                 gasEstimate: this.gasEstimate
             }
         };
+
+        try {
+            const swap = this.swapEncoder.buildExactInSwap({
+                chainId: chainId,
+                tokenIn: asset,
+                tokenOut: transaction.tokenOut,
+                amountIn: amount,
+                expectedAmountOut: terms.expectedAmountOut,
+                slippageTolerance: terms.slippageTolerance,
+                deadline: terms.deadline
+            });
+
+            return {
+                ...transaction,
+                tokenIn: swap.tokenIn.address,
+                tokenInDecimals: swap.tokenIn.decimals,
+                tokenOut: swap.tokenOut.address,
+                minAmountOutBaseUnits: swap.minAmountOut,
+                to: swap.to,
+                data: swap.data,
+                value: 0,
+                spender: swap.permit2.address, // ERC-20 approval goes to Permit2, which the router pulls through
+                permit2: swap.permit2
+            };
+        } catch (error) {
+            console.warn('[ExitOptimizer] Uniswap V4 calldata not built:', error.message);
+            return { ...transaction, encodingError: error.message };
+        }
+    }
+
+    /**
+     * Venues prepareExitTransaction builds calldata for. Curve and the
+     * aggregator are quoted and planned, but not sent from the browser.
+     */
+    canExecute(dex) {
+        return dex === 'uniswap-v4';
+    }
+
+    /**
+     * Prepare Curve pool exchange (sell asset for USDC). Quote-only: the
+     * result carries no calldata and `encodingError` says so.
+     */
+    prepareCurveTransaction(amount, asset, walletAddress, options = {}) {
+        const terms = this._swapTerms(options);
+        return {
+            dex: 'curve',
+            operation: 'EXCHANGE',
+            encodingError: 'Curve exchanges are quoted but not encoded',
+            tokenIn: asset,
+            tokenOut: 'USDC',
+            amountIn: amount,
+            expectedAmountOut: terms.expectedAmountOut,
+            minAmountOut: terms.minAmountOut,
+            recipient: walletAddress,
+            deadline: terms.deadline,
+            payload: {
+                asset: asset,
+                amount: amount,
+                slippagePercent: terms.slippageTolerance * 100,
+                gasEstimate: this._venueGas('curve')
+            }
+        };
+    }
+
+    /**
+     * Prepare aggregator swap; the aggregator chooses the pools at execution.
+     * Quote-only, like Curve.
+     */
+    prepareAggregatorTransaction(amount, asset, walletAddress, options = {}) {
+        const terms = this._swapTerms(options);
+        return {
+            dex: '1inch',
+            operation: 'AGGREGATOR_SWAP',
+            encodingError: 'Aggregator swaps are quoted but not encoded',
+            tokenIn: asset,
+            tokenOut: 'USDC',
+            amountIn: amount,
+            expectedAmountOut: terms.expectedAmountOut,
+            minAmountOut: terms.minAmountOut,
+            recipient: walletAddress,
+            deadline: terms.deadline,
+            payload: {
+                asset: asset,
+                amount: amount,
+                slippagePercent: terms.slippageTolerance * 100,
+                allowPartialFill: false,
+                gasEstimate: this._venueGas('1inch')
+            }
+        };
+    }
+
+    /**
+     * Internal: Minimum output from the quoted output and slippage tolerance
+     * (null without a quote), and the deadline (default 5 min)
+     */
+    _swapTerms(options) {
+        const slippageTolerance = options.slippageTolerance !== undefined ? options.slippageTolerance : this.slippageTolerance;
+        const expectedAmountOut = options.expectedAmountOut > 0 ? options.expectedAmountOut : null;
+        return {
+            slippageTolerance: slippageTolerance,
+            expectedAmountOut: expectedAmountOut,
+            minAmountOut: expectedAmountOut !== null ? expectedAmountOut * (1 - slippageTolerance) : null,
+            deadline: options.deadline || Math.floor(Date.now() / 1000) + 300
+        };
+    }
+
+    /**
+     * Internal: Configured gas estimate (USD) for a venue
+     */
+    _venueGas(dex) {
+        const venue = this.venues.find(v => v.id === dex);
+        return venue ? venue.gasEstimate : this.gasEstimate;
     }
 
     /**
-     * Execute exit (stub - connects to wallet)
+     * Execute exit through a wallet connector (wallet-connector.js): it checks
+     * balance and allowance and simulates before submitting, then the
+     * receipt is tracked to confirmation when the connector supports it
      */
     async executeExit(transactionData, walletConnector) {
         try {
             console.log('[ExitOptimizer] Preparing exit transaction:', transactionData);
             
-            // This would integrate with wallet (MetaMask, etc)
             if (!walletConnector) {
                 throw new Error('Wallet connector not available');
             }
+            // Nothing reaches the wallet, so nothing is announced as executed
+            if (!transactionData.data && transactionData.encodingError) {
+                return { success: false, errorCode: 'NO_CALLDATA', error: transactionData.encodingError };
+            }
 
             const txHash = await walletConnector.sendTransaction(transactionData);
             
             console.log('[ExitOptimizer] Exit executed:', txHash);
+            this._emitExecuted({ success: true, txHash: txHash ? String(txHash) : null, transaction: transactionData });
+
+            let confirmation = null;
+            if (typeof walletConnector.waitForReceipt === 'function') {
+                confirmation = await walletConnector.waitForReceipt(txHash);
+                if (this.events) {
+                    this.events.emit('exitConfirmed', {
+                        txHash: String(txHash),
+                        status: confirmation.status,
+                        blockNumber: confirmation.blockNumber,
+                        confirmations: confirmation.confirmations
+                    });
+                }
+            }
             
             return {
-                success: true,
+                success: !confirmation || confirmation.status === 'confirmed',
                 txHash: txHash,
+                status: confirmation ? confirmation.status : 'submitted',
+                blockNumber: confirmation ? confirmation.blockNumber : null,
+                error: confirmation && confirmation.status !== 'confirmed' ? `Transaction ${confirmation.status}` : undefined,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            console.error('[ExitOptimizer] Exit failed:', error);
+            // An allowance shortfall is settled by approving and retrying, not a failed exit
+            const needsApproval = error.code === 'INSUFFICIENT_ALLOWANCE' || error.code === 'INSUFFICIENT_PERMIT2_ALLOWANCE';
+            if (needsApproval) {
+                console.warn('[ExitOptimizer] Exit needs approval:', error.message);
+            } else {
+                console.error('[ExitOptimizer] Exit failed:', error);
+                this._emitExecuted({ success: false, error: error.message, transaction: transactionData || {} });
+            }
             return {
                 success: false,
-                error: error.message
+                needsApproval: needsApproval,
+                error: error.message,
+                errorType: error.name,
+                errorCode: error.code || null,
+                details: error.details || null
             };
         }
     }
 
+    /**
+     * Internal: Announce an exit attempt on the event bus
+     */
+    _emitExecuted(result) {
+        if (this.events) this.events.emit('exitExecuted', result);
+    }
+
     /* ==========================================
-       7. CALCULATOR FLOW
+       7. SPLIT-ORDER EXIT PLANNER
+       ========================================== */
+
+    /**
+     * Split an exit into `tranches` equal swaps spread evenly over
+     * `windowHours` (first at the start, last at the end of the window).
+     * Each tranche is quoted against the full pool: arbitrage is assumed
+     * to restore depth between tranches. Unsold tokens keep earning
+     * dailyYieldRate until their tranche executes.
+     */
+    planSplitExit(amount, marketData, options = {}) {
+        const tranches = Math.max(1, Math.floor(options.tranches || 4));
+        const windowHours = tranches > 1 ? Math.max(0, options.windowHours !== undefined ? options.windowHours : 24) : 0;
+        const startAt = options.startAt || Date.now();
+        const intervalHours = tranches > 1 ? windowHours / (tranches - 1) : 0;
+        const trancheAmount = amount / tranches;
+
+        const pool = this.priceImpact.poolFrom(marketData);
+        const quote = pool ? this.priceImpact.quote(pool, trancheAmount) : null;
+        const slippage = quote ? quote.slippage : this.slippageEstimate;
+        const filled = quote ? quote.filled : trancheAmount;
+        const proceeds = filled * marketData.price * (1 - slippage);
+        const gasEstimate = this._gasFor(marketData);
+
+        const schedule = Array.from({ length: tranches }, (_, i) => {
+            const hoursFromStart = i * intervalHours;
+            const executeAt = startAt + hoursFromStart * 60 * 60 * 1000;
+            const yieldAccrued = trancheAmount * this.dailyYieldRate * hoursFromStart / 24;
+            // Not valid before its slot; the swap deadline runs from the slot, not from now
+            const transaction = this.prepareExitTransaction(marketData.dex, trancheAmount, options.asset, options.walletAddress, {
+                expectedAmountOut: proceeds,
+                slippageTolerance: options.slippageTolerance,
+                deadline: Math.floor(executeAt / 1000) + 300,
+                chainId: options.chainId
+            });
+
+            return {
+                index: i + 1,
+                executeAt: new Date(executeAt).toISOString(),
+                amount: trancheAmount,
+                slippage: slippage,
+                priceImpact: quote ? quote.priceImpact : null,
+                proceeds: proceeds,
+                gasEstimate: gasEstimate,
+                yieldAccrued: yieldAccrued,
+                netValue: proceeds - gasEstimate + yieldAccrued,
+                unfilledAmount: trancheAmount - filled,
+                transaction: { ...transaction, notBefore: Math.floor(executeAt / 1000) }
+            };
+        });
+
+        const sum = (field) => schedule.reduce((total, tranche) => total + tranche[field], 0);
+
+        return {
+            strategy: `Split Order (${tranches} × ${windowHours}h)`,
+            amount: amount,
+            venue: marketData.venue || marketData.dex,
+            tranches: tranches,
+            windowHours: windowHours,
+            intervalHours: intervalHours,
+            slippageModel: quote ? quote.model : 'flat',
+            schedule: schedule,
+            finalValue: sum('netValue'),
+            slippageLoss: filled * marketData.price * slippage * tranches,
+            gasTotal: sum('gasEstimate'),
+            yieldAccrued: sum('yieldAccrued'),
+            unfilledAmount: sum('unfilledAmount'),
+            insufficientLiquidity: quote ? quote.insufficientLiquidity : false,
+            completesAt: schedule[schedule.length - 1].executeAt,
+            transactions: schedule.map(tranche => tranche.transaction)
+        };
+    }
+
+    /**
+     * Compare a split schedule against one swap and against redemption.
+     * With `options.quotes` the single swap goes to its own best venue.
+     */
+    compareSplitExit(amount, marketData, redemptionData, options = {}) {
+        const plan = this.planSplitExit(amount, marketData, options);
+        const singleSwap = options.quotes
+            ? this.rankRoutes(amount, options.quotes)[0]
+            : this.calculateMarketPath(amount, marketData);
+        const redemption = this.calculateRedemptionPath(amount, redemptionData);
+
+        // An option that leaves part of the position unsold is not a full exit
+        const candidates = [
+            { strategy: `${plan.strategy} on ${plan.venue}`, finalValue: plan.finalValue, hoursToLiquidity: plan.windowHours, complete: !plan.insufficientLiquidity },
+            { strategy: `${singleSwap.strategy} on ${singleSwap.venue}`, finalValue: singleSwap.finalValue, hoursToLiquidity: 0, complete: !singleSwap.insufficientLiquidity },
+            { strategy: redemption.strategy, finalValue: redemption.finalValue, hoursToLiquidity: redemption.cooldownDays * 24, complete: true }
+        ];
+        const best = candidates
+            .filter(candidate => candidate.complete)
+            .reduce((a, b) => (b.finalValue > a.finalValue ? b : a));
+
+        return {
+            plan: plan,
+            singleSwap: singleSwap,
+            redemption: redemption,
+            candidates: candidates,
+            best: best.strategy,
+            vsSingleSwap: plan.finalValue - singleSwap.finalValue,
+            vsRedemption: plan.finalValue - redemption.finalValue
+        };
+    }
+
+    /**
+     * Planner flow - called from the split-order form
+     */
+    async planExit(assetType, amount, options = {}) {
+        try {
+            const [redemptionData, quotes] = await Promise.all([
+                this.fetchRedemptionValue(assetType),
+                this.fetchVenueQuotes(assetType)
+            ]);
+
+            if (!redemptionData || quotes.length === 0) {
+                throw new Error('Failed to fetch market data');
+            }
+
+            // Tranches go to the venue that prices one tranche best
+            const trancheSize = parseFloat(amount) / Math.max(1, Math.floor(options.tranches || 4));
+            const bestRoute = this.rankRoutes(trancheSize, quotes)[0];
+            const marketData = quotes.find(quote => quote.dex === bestRoute.dex);
+
+            const comparison = this.compareSplitExit(parseFloat(amount), marketData, redemptionData, {
+                ...options,
+                quotes: quotes,
+                asset: assetType.toUpperCase()
+            });
+            this.renderSplitPlan(comparison);
+
+            return { success: true, ...comparison };
+        } catch (error) {
+            console.error('[ExitOptimizer] Split planning failed:', error);
+            return {
+                success: false,
+                error: error.message,
+                errorType: error.name,
+                issues: error.issues || []
+            };
+        }
+    }
+
+    /**
+     * Render the tranche schedule and comparison
+     */
+    renderSplitPlan(comparison) {
+        const { plan, candidates, best } = comparison;
+        const usd = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+        const tbody = document.querySelector('[data-split-schedule] tbody');
+        if (tbody) {
+            tbody.innerHTML = plan.schedule.map(tranche => `
+                <tr>
+                    <td>${tranche.index}</td>
+                    <td class="scenario-table-mono">${tranche.executeAt.replace('T', ' ').slice(0, 16)} UTC</td>
+                    <td class="scenario-table-mono">${Math.round(tranche.amount).toLocaleString('en-US')}</td>
+                    <td class="scenario-table-mono">${(tranche.slippage * 100).toFixed(2)}%</td>
+                    <td class="scenario-table-mono">${usd(tranche.yieldAccrued)}</td>
+                    <td class="scenario-table-mono">${usd(tranche.netValue)}</td>
+                </tr>
+            `).join('');
+        }
+
+        const summaryEl = document.querySelector('[data-split-summary]');
+        if (summaryEl) {
+            summaryEl.innerHTML = candidates.map(candidate => `
+                <div class="flex justify-between ${candidate.strategy === best ? 'text-green-400 font-semibold' : 'text-slate-400'}">
+                    <span>${candidate.strategy}${candidate.complete ? '' : ' (pool too shallow)'}</span>
+                    <span class="scenario-table-mono">${usd(candidate.finalValue)} · ${candidate.hoursToLiquidity}h</span>
+                </div>
+            `).join('');
+        }
+
+        console.log('[ExitOptimizer] Split plan rendered:', plan.strategy, 'best:', best);
+    }
+
+    /* ==========================================
+       8. PARTIAL EXIT OPTIMIZER
+       ========================================== */
+
+    /**
+     * Value of selling `ratio` of the position now and redeeming the rest.
+     * The sale goes to its best-ranked venue; the redeemed part earns
+     * yield through the cooldown and carries the simulated de-peg
+     * (`simulation` from DepegSimulator.simulate).
+     */
+    evaluateSplitRatio(amount, ratio, quotes, redemptionData, simulation) {
+        const sellAmount = amount * ratio;
+        const redeemAmount = amount - sellAmount;
+        const sale = sellAmount > 0 ? this.rankRoutes(sellAmount, quotes)[0] : null;
+        const redemption = this.calculateRedemptionPath(redeemAmount, redemptionData);
+        const instantValue = sale ? sale.finalValue : 0;
+
+        const valueAt = (depeg) => instantValue + redeemAmount * redemptionData.nav * (1 - depeg) + redemption.yieldAccrued;
+
+        return {
+            ratio: ratio,
+            sellAmount: sellAmount,
+            redeemAmount: redeemAmount,
+            venue: sale ? sale.venue : null,
+            instantValue: instantValue,
+            slippage: sale ? parseFloat(sale.haircut) / 100 : 0,
+            yieldAccrued: redemption.yieldAccrued,
+            expectedValue: valueAt(simulation.mean),
+            worstValue: valueAt(simulation.p95), // 5th percentile outcome
+            insufficientLiquidity: sale ? sale.insufficientLiquidity : false
+        };
+    }
+
+    /**
+     * Best fraction to sell now. Ratios are scanned in `steps` increments,
+     * plus the smallest ratio whose instant proceeds cover `liquidityNeed`
+     * (USD); only ratios that cover the need and fill completely qualify.
+     */
+    optimizePartialExit(amount, quotes, redemptionData, options = {}) {
+        const liquidityNeed = Math.max(0, options.liquidityNeed || 0);
+        const steps = Math.max(2, Math.floor(options.steps || 20));
+        const meetsNeed = (point) => !point.insufficientLiquidity && point.instantValue >= liquidityNeed;
+        const simulation = this.depegSimulator.simulate({
+            asset: redemptionData.asset,
+            initial: this._currentDepeg(this.rankRoutes(amount / steps, quotes)[0].price, redemptionData.nav),
+            days: redemptionData.cooldownDays
+        });
+        const evaluate = (ratio) => {
+            const point = this.evaluateSplitRatio(amount, ratio, quotes, redemptionData, simulation);
+            point.meetsNeed = meetsNeed(point);
+            return point;
+        };
+
+        const points = Array.from({ length: steps + 1 }, (_, i) => evaluate(i / steps));
+
+        // Proceeds grow with the ratio, so the need boundary sits between two grid points
+        let minRatio = null;
+        const firstMet = points.findIndex(point => point.meetsNeed);
+        if (firstMet === 0) {
+            minRatio = 0;
+        } else if (firstMet > 0) {
+            let lo = points[firstMet - 1].ratio;
+            let hi = points[firstMet].ratio;
+            for (let i = 0; i < 30; i++) {
+                const mid = (lo + hi) / 2;
+                if (meetsNeed(evaluate(mid))) hi = mid;
+                else lo = mid;
+            }
+            minRatio = hi;
+            points.splice(firstMet, 0, evaluate(hi));
+        }
+
+        const feasible = points.filter(point => point.meetsNeed);
+        const best = feasible.length > 0
+            ? feasible.reduce((a, b) => (b.expectedValue > a.expectedValue ? b : a))
+            : points.filter(point => !point.insufficientLiquidity).reduce((a, b) => (b.instantValue > a.instantValue ? b : a));
+
+        let recommendation = 'PARTIAL';
+        if (best.ratio === 0) recommendation = 'WAIT';
+        if (best.ratio === 1) recommendation = 'EXIT_NOW';
+
+        return {
+            amount: amount,
+            liquidityNeed: liquidityNeed,
+            needMet: feasible.length > 0,
+            minRatio: minRatio,
+            points: points,
+            best: best,
+            allRedeem: points[0],
+            allSell: points[points.length - 1],
+            expectedDepeg: simulation.mean,
+            recommendation: recommendation
+        };
+    }
+
+    /**
+     * Partial-exit flow - called from the optimizer form
+     */
+    async optimizeExit(assetType, amount, options = {}) {
+        try {
+            const [redemptionData, quotes] = await Promise.all([
+                this.fetchRedemptionValue(assetType),
+                this.fetchVenueQuotes(assetType)
+            ]);
+
+            if (!redemptionData || quotes.length === 0) {
+                throw new Error('Failed to fetch market data');
+            }
+
+            await this.depegSimulator.ready;
+            this.depegSimulator.observe(assetType, this.rankRoutes(parseFloat(amount), quotes)[0].price, redemptionData.nav);
+            const result = this.optimizePartialExit(parseFloat(amount), quotes, redemptionData, options);
+            this.renderPartialExit(result);
+
+            return { success: true, ...result };
+        } catch (error) {
+            console.error('[ExitOptimizer] Partial exit optimization failed:', error);
+            return {
+                success: false,
+                error: error.message,
+                errorType: error.name,
+                issues: error.issues || []
+            };
+        }
+    }
+
+    /**
+     * Plot expected and worst-case value against the sold fraction
+     */
+    renderPartialExit(result) {
+        const { points, best } = result;
+        const usd = (n) => `$${Math.round(n).toLocaleString('en-US')}`;
+        const pct = (r) => `${(r * 100).toFixed(1)}%`;
+
+        const container = document.getElementById('partial-exit-curve');
+        if (container) {
+            const width = 320;
+            const height = 160;
+            const pad = 32;
+            const values = points.flatMap(p => [p.expectedValue, p.worstValue]);
+            const minValue = Math.min(...values);
+            const maxValue = Math.max(...values);
+            const span = (maxValue - minValue) || 1;
+            const x = (ratio) => pad + ratio * (width - pad - 8);
+            const y = (value) => (height - pad) - ((value - minValue) / span) * (height - pad - 8);
+            const line = (field) => points
+                .filter(p => !p.insufficientLiquidity)
+                .map(p => `${x(p.ratio).toFixed(1)},${y(p[field]).toFixed(1)}`)
+                .join(' ');
+            const blockedUntil = result.needMet ? result.minRatio : 1;
+
+            container.innerHTML = `
+                <svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="Value by fraction sold now">
+                    ${blockedUntil > 0 ? `<rect x="${pad}" y="8" width="${x(blockedUntil) - pad}" height="${height - pad - 8}" fill="#ef4444" fill-opacity="0.08">
+                        <title>Does not cover the liquidity need</title></rect>` : ''}
+                    <line x1="${pad}" y1="${height - pad}" x2="${width - 8}" y2="${height - pad}" stroke="#334155" />
+                    <line x1="${pad}" y1="8" x2="${pad}" y2="${height - pad}" stroke="#334155" />
+                    <polyline points="${line('worstValue')}" fill="none" stroke="#f97316" stroke-width="1.5" stroke-dasharray="4 3" />
+                    <polyline points="${line('expectedValue')}" fill="none" stroke="#22c55e" stroke-width="2" />
+                    <circle cx="${x(best.ratio)}" cy="${y(best.expectedValue)}" r="4" fill="#0f172a" stroke="#e2e8f0" stroke-width="2">
+                        <title>Sell ${pct(best.ratio)}: ${usd(best.expectedValue)} expected</title></circle>
+                    <text x="${pad - 4}" y="14" font-size="9" text-anchor="end" fill="#94a3b8">${usd(maxValue)}</text>
+                    <text x="${pad - 4}" y="${height - pad}" font-size="9" text-anchor="end" fill="#94a3b8">${usd(minValue)}</text>
+                    <text x="${pad}" y="${height - pad + 14}" font-size="9" fill="#94a3b8">0%</text>
+                    <text x="${width - 8}" y="${height - pad + 14}" font-size="9" text-anchor="end" fill="#94a3b8">100%</text>
+                    <text x="${(width + pad) / 2}" y="${height - 4}" font-size="9" text-anchor="middle" fill="#64748b">Sold now (rest redeemed)</text>
+                </svg>
+            `;
+        }
+
+        const summaryEl = document.querySelector('[data-partial-summary]');
+        if (summaryEl) {
+            const plan = best.ratio === 0
+                ? `Redeem all ${Math.round(result.amount).toLocaleString('en-US')} through the cooldown`
+                : `Sell ${pct(best.ratio)} (${Math.round(best.sellAmount).toLocaleString('en-US')}) now on ${best.venue} for ${usd(best.instantValue)}, redeem ${Math.round(best.redeemAmount).toLocaleString('en-US')}`;
+            const shortfall = result.needMet ? '' : `<p class="text-red-400">No split raises ${usd(result.liquidityNeed)} instantly; pool depth allows ${usd(best.instantValue)}.</p>`;
+
+            summaryEl.innerHTML = `
+                <p class="text-green-400 font-semibold">${plan}</p>
+                ${shortfall}
+                <div class="flex justify-between text-slate-400"><span>Expected value</span><span class="scenario-table-mono">${usd(best.expectedValue)}</span></div>
+                <div class="flex justify-between text-slate-400"><span>5th percentile</span><span class="scenario-table-mono">${usd(best.worstValue)}</span></div>
+                <div class="flex justify-between text-slate-500"><span>Redeem everything</span><span class="scenario-table-mono">${usd(result.allRedeem.expectedValue)}</span></div>
+                <div class="flex justify-between text-slate-500"><span>Sell everything</span><span class="scenario-table-mono">${result.allSell.insufficientLiquidity ? 'pool too shallow' : usd(result.allSell.expectedValue)}</span></div>
+            `;
+        }
+
+        console.log('[ExitOptimizer] Partial exit rendered:', result.recommendation, pct(best.ratio));
+    }
+
+    /* ==========================================
+       9. CALCULATOR FLOW
        ========================================== */
 
     /**
      * Main calculation flow - called from UI
      */
     async calculateExit(assetType, amount) {
+        // Routes keep the amount they were priced for; it must compare as a number
+        amount = parseFloat(amount);
         try {
             console.log('[ExitOptimizer] Starting calculation:', { assetType, amount });
 
@@ -406,30 +1209,36 @@ class ExitOptimizer {
             const input = this.parseUserInput(assetType, amount);
 
             // 2. Fetch data in parallel
-            const [redemptionData, marketData] = await Promise.all([
+            const [redemptionData, quotes] = await Promise.all([
                 this.fetchRedemptionValue(assetType),
-                this.fetchMarketPrice(assetType)
+                this.fetchVenueQuotes(assetType)
             ]);
 
-            if (!redemptionData || !marketData) {
+            if (!redemptionData || quotes.length === 0) {
                 throw new Error('Failed to fetch market data');
             }
 
-            // 3. Calculate both paths
+            // 3. Calculate both paths; the best-ranked venue is the market path
             const redemptionPath = this.calculateRedemptionPath(amount, redemptionData);
-            const marketPath = this.calculateMarketPath(amount, marketData);
+            const routes = this.rankRoutes(amount, quotes);
+            const marketPath = routes[0];
+            this.bestRoute = marketPath;
+            this.executableRoute = routes.find(route => this.canExecute(route.dex) && !route.insufficientLiquidity) || null;
 
-            // 4. Calculate liquidity gain
+            // 4. Calculate liquidity gain (de-peg paths need the calibrated distribution)
+            await this.depegSimulator.ready;
+            this.depegSimulator.observe(assetType, marketPath.price, redemptionData.nav);
             const liquidityGain = this.calculateLiquidityGain(redemptionPath, marketPath);
 
             // 5. Render to UI
-            this.renderComparison(input, redemptionPath, marketPath, liquidityGain);
+            this.renderComparison(input, redemptionPath, marketPath, liquidityGain, routes);
 
             return {
                 success: true,
                 input,
                 redemptionPath,
                 marketPath,
+                routes,
                 liquidityGain
             };
 
@@ -437,7 +1246,9 @@ class ExitOptimizer {
             console.error('[ExitOptimizer] Calculation failed:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorType: error.name,
+                issues: error.issues || []
             };
         }
     }
@@ -448,38 +1259,19 @@ class ExitOptimizer {
    ========================================== */
 
 const exitOptimizer = new ExitOptimizer({
-    n8nUrl: process.env.N8N_URL || 'https://your-n8n-instance.com',
+    n8nUrl: (typeof process !== 'undefined' && process.env.N8N_URL) || 'https://your-n8n-instance.com',
     slippageEstimate: 0.004,
+    maxSlippage: 0.01,
     gasEstimate: 5,
-    dailyYieldRate: 0.024
+    dailyYieldRate: 0.024,
+    slippageTolerance: 0.005,
+    depegSimulator: window.depegSimulator,
+    swapEncoder: window.uniswapV4Encoder,
+    schemas: window.webhookSchemas,
+    events: window.eventBus
 });
 
-// Wire up calculate button
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        const calculateBtn = document.getElementById('calculate-btn');
-        if (calculateBtn) {
-            calculateBtn.addEventListener('click', async () => {
-                const assetType = document.getElementById('asset-type')?.value;
-                const amount = document.getElementById('exit-amount')?.value;
-                if (assetType && amount) {
-                    await exitOptimizer.calculateExit(assetType, amount);
-                }
-            });
-        }
-    });
-} else {
-    const calculateBtn = document.getElementById('calculate-btn');
-    if (calculateBtn) {
-        calculateBtn.addEventListener('click', async () => {
-            const assetType = document.getElementById('asset-type')?.value;
-            const amount = document.getElementById('exit-amount')?.value;
-            if (assetType && amount) {
-                await exitOptimizer.calculateExit(assetType, amount);
-            }
-        });
-    }
-}
+// The calculate button is wired in arbitrage-init.js
 
 // Export for use in other modules
 if (typeof window !== 'undefined') {
@@ -0,0 +1,364 @@
+/* ========================================
+   YIELDGUARD AI - OFFLINE FIXTURE MODE
+   fixture-mode.js
+   Local stand-in for every n8n webhook and
+   Airtable table, with scripted scenarios
+   ======================================== */
+
+const FIXTURE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Exit venues quoted by the market-price webhook, keyed by `dex`.
+ * Uniswap is tightest for small sizes, Curve deepest near spot,
+ * the aggregator pays no pool fee but the most gas.
+ */
+const FIXTURE_VENUE_BOOKS = {
+    'uniswap-v4': {
+        price: 0.998,
+        liquidity: 4500000,
+        gasUsd: 5,
+        // Liquidity per range below spot, nearest first (about 1.8M sUSDe before it runs out)
+        pool: {
+            type: 'concentrated',
+            fee: 0.0005,
+            ticks: [
+                { priceLower: 0.995, liquidity: 2e8 },
+                { priceLower: 0.99, liquidity: 1.2e8 },
+                { priceLower: 0.98, liquidity: 6e7 },
+                { priceLower: 0.95, liquidity: 3e7 },
+                { priceLower: 0.9, liquidity: 1.5e7 }
+            ]
+        }
+    },
+    curve: {
+        price: 0.997,
+        liquidity: 12000000,
+        gasUsd: 8,
+        // Stableswap depth is packed close to the peg (about 3.9M before it runs out)
+        pool: {
+            type: 'concentrated',
+            fee: 0.0004,
+            ticks: [
+                { priceLower: 0.99, liquidity: 6e8 },
+                { priceLower: 0.97, liquidity: 1e8 },
+                { priceLower: 0.9, liquidity: 2e7 }
+            ]
+        }
+    },
+    '1inch': {
+        price: 0.9975,
+        liquidity: 9000000,
+        gasUsd: 14,
+        pool: {
+            type: 'concentrated',
+            fee: 0,
+            ticks: [
+                { priceLower: 0.995, liquidity: 2.5e8 },
+                { priceLower: 0.99, liquidity: 2e8 },
+                { priceLower: 0.98, liquidity: 8e7 },
+                { priceLower: 0.95, liquidity: 3e7 }
+            ]
+        }
+    }
+};
+
+/**
+ * Baseline responses for each webhook contract.
+ * Each handler receives the parsed request body.
+ */
+const WEBHOOK_FIXTURES = {
+    'pendle-apy': () => ({
+        apy: 14.2,
+        maturityDate: new Date(Date.now() + 4 * FIXTURE_DAY_MS).toISOString(),
+        confidence: 0.96,
+        markets: [
+            {
+                market: 'pt-susde-near',
+                name: 'PT-sUSDe (near)',
+                positionType: 'PT',
+                impliedApy: 14.2,
+                underlyingApy: 11.8,
+                maturityDate: new Date(Date.now() + 4 * FIXTURE_DAY_MS).toISOString(),
+                confidence: 0.96
+            },
+            {
+                market: 'yt-susde-far',
+                name: 'YT-sUSDe (far)',
+                positionType: 'YT',
+                impliedApy: 9.6,
+                underlyingApy: 11.8,
+                maturityDate: new Date(Date.now() + 95 * FIXTURE_DAY_MS).toISOString(),
+                confidence: 0.93
+            }
+        ]
+    }),
+    'ethena-funding': () => ({
+        fundingRate: 0.012,
+        apy: 12.4,
+        depegRisk: 0.004,
+        lastUpdate: new Date().toISOString()
+    }),
+    'falcon-cooldown': () => ({
+        cooldownDays: 7,
+        cooldownEndDate: new Date(Date.now() + 7 * FIXTURE_DAY_MS).toISOString(),
+        apy: 9.1,
+        lockupExpiration: new Date(Date.now() + 7 * FIXTURE_DAY_MS).toISOString()
+    }),
+    'redemption-value': (body) => ({
+        asset: body.asset,
+        nav: 1.0,
+        cooldownDays: 7,
+        unlockDate: new Date(Date.now() + 7 * FIXTURE_DAY_MS).toISOString()
+    }),
+    'market-price': (body) => ({
+        asset: body.asset,
+        dex: body.dex || 'uniswap-v4',
+        ...(FIXTURE_VENUE_BOOKS[body.dex] || FIXTURE_VENUE_BOOKS['uniswap-v4'])
+    }),
+    'exchange-rate': (body) => ({
+        rate: body.currency === 'KES' ? 129.5 : 1.0,
+        currency: body.currency,
+        source: 'Fixture'
+    }),
+    'nairobi-agent': (body) => ({
+        response: `[Fixture] Nairobi received: "${body.userMessage}". ` +
+            'All monitored positions are within Safe thresholds in this offline scenario.'
+    })
+};
+
+const AIRTABLE_FIXTURES = {
+    Watchlist: [
+        { id: 'recFixture1', fields: { Protocol: 'Ethena', Amount: 200000, DateAdded: '2026-01-05T09:00:00Z', Status: 'Active' } },
+        { id: 'recFixture2', fields: { Protocol: 'Pendle', Amount: 45000, DateAdded: '2026-02-11T12:30:00Z', Status: 'Active' } },
+        { id: 'recFixture3', fields: { Protocol: 'Falcon', Amount: 500, DateAdded: '2026-03-02T16:45:00Z', Status: 'Active' } }
+    ],
+    UserProfile: [
+        { id: 'recProfile1', fields: { RiskTolerance: 'Moderate', TotalExposure: 245500, Location: 'Nairobi, KE' } }
+    ],
+    YieldLogs: [
+        { id: 'recLog1', fields: { Timestamp: '2026-09-19T14:30:00Z', Asset: 'sUSDe', Protocol: 'Ethena', RewardAmount: 84.7, ExchangeRate: 129.4, Currency: 'KES', RiskScore: 78 } },
+        { id: 'recLog2', fields: { Timestamp: '2026-09-26T14:30:00Z', Asset: 'PT-sUSDe', Protocol: 'Pendle', RewardAmount: 31.2, ExchangeRate: 129.1, Currency: 'KES', RiskScore: 81 } },
+        { id: 'recLog3', fields: { Timestamp: '2026-10-03T14:30:00Z', Asset: 'USDf', Protocol: 'Falcon', RewardAmount: 0.9, ExchangeRate: 129.6, Currency: 'KES', RiskScore: 62 } }
+    ]
+};
+
+/**
+ * Scripted scenarios. Each webhook advances through `steps` on its own
+ * call count and stays on the last step; `{ status }` simulates an error.
+ */
+const FIXTURE_SCENARIOS = {
+    baseline: {
+        description: 'Healthy markets, all sources up',
+        steps: [{}]
+    },
+    depeg: {
+        description: 'sUSDe drifts off peg over four polls',
+        steps: [
+            { 'ethena-funding': { depegRisk: 0.006 }, 'market-price': { price: 0.994 } },
+            { 'ethena-funding': { depegRisk: 0.012 }, 'market-price': { price: 0.988 } },
+            { 'ethena-funding': { depegRisk: 0.025, fundingRate: -0.01 }, 'market-price': { price: 0.975, liquidity: 1800000 } },
+            { 'ethena-funding': { depegRisk: 0.04, fundingRate: -0.03 }, 'market-price': { price: 0.96, liquidity: 900000 } }
+        ]
+    },
+    'funding-flip': {
+        description: 'Ethena funding turns and stays negative',
+        steps: [
+            { 'ethena-funding': { fundingRate: 0.004 } },
+            { 'ethena-funding': { fundingRate: -0.008 } },
+            { 'ethena-funding': { fundingRate: -0.03, apy: 3.1 } },
+            { 'ethena-funding': { fundingRate: -0.06, apy: 0.4 } }
+        ]
+    },
+    outage: {
+        description: 'Falcon source fails after the first poll, then recovers',
+        steps: [
+            {},
+            { 'falcon-cooldown': { status: 503 } },
+            { 'falcon-cooldown': { status: 503 } },
+            { 'falcon-cooldown': { status: 503 } },
+            { 'falcon-cooldown': { status: 503 } },
+            { 'falcon-cooldown': { status: 503 } },
+            {}
+        ]
+    },
+    malformed: {
+        description: 'Ethena and exit-price webhooks return payloads that break their schema',
+        steps: [
+            {},
+            {
+                'ethena-funding': { fundingRate: 'n/a', apy: null },
+                'market-price': { price: undefined },
+                'redemption-value': { nav: 'NaN' }
+            }
+        ]
+    }
+};
+
+class WebhookFixtureServer {
+    constructor(config = {}) {
+        this.scenario = FIXTURE_SCENARIOS[config.scenario] ? config.scenario : 'baseline';
+        this.callCounts = {};
+        this.tables = JSON.parse(JSON.stringify(AIRTABLE_FIXTURES));
+        // Placeholder Airtable credentials so modules skip their "not configured" guard
+        this.credentials = { airtableKey: 'fixture-key', airtableBaseId: 'appFixture' };
+    }
+
+    setScenario(name) {
+        if (!FIXTURE_SCENARIOS[name]) throw new Error(`Unknown fixture scenario: ${name}`);
+        this.scenario = name;
+        this.callCounts = {};
+        console.log('[Fixtures] Scenario set:', name);
+    }
+
+    listScenarios() {
+        return Object.entries(FIXTURE_SCENARIOS).map(([name, s]) => ({ name, description: s.description }));
+    }
+
+    /**
+     * Resolve one webhook call to { status, body }
+     */
+    handleWebhook(webhook, body = {}) {
+        const fixture = WEBHOOK_FIXTURES[webhook];
+        if (!fixture) return { status: 404, body: { error: `No fixture for webhook: ${webhook}` } };
+
+        const count = this.callCounts[webhook] || 0;
+        this.callCounts[webhook] = count + 1;
+
+        const steps = FIXTURE_SCENARIOS[this.scenario].steps;
+        const overrides = steps[Math.min(count, steps.length - 1)][webhook] || {};
+
+        if (overrides.status) {
+            return { status: overrides.status, body: { error: `Simulated source outage (scenario: ${this.scenario})` } };
+        }
+
+        return { status: 200, body: { ...fixture(body), ...overrides } };
+    }
+
+    /**
+     * Resolve an Airtable REST call against in-memory copies of the tables.
+     * Supports list, create, PATCH by id, PATCH upsert (performUpsert) and DELETE.
+     */
+    handleAirtable(table, method = 'GET', body = {}, recordIds = []) {
+        const records = this.tables[table];
+        if (!records) return { status: 404, body: { error: `No fixture for table: ${table}` } };
+
+        if (method === 'GET') return { status: 200, body: { records } };
+
+        if (method === 'DELETE') {
+            this.tables[table] = records.filter(r => !recordIds.includes(r.id));
+            return { status: 200, body: { records: recordIds.map(id => ({ id, deleted: true })) } };
+        }
+
+        const mergeOn = body.performUpsert ? body.performUpsert.fieldsToMergeOn : null;
+        const written = (body.records || [{ id: recordIds[0], fields: body.fields }]).map(r => {
+            const existing = r.id
+                ? records.find(rec => rec.id === r.id)
+                : mergeOn && records.find(rec => mergeOn.every(f => rec.fields[f] === r.fields[f]));
+
+            if (existing) {
+                existing.fields = { ...existing.fields, ...r.fields };
+                return existing;
+            }
+
+            const created = {
+                id: `recFixture${Date.now()}${Math.random().toString(36).slice(2, 6)}`,
+                createdTime: new Date().toISOString(),
+                fields: r.fields
+            };
+            records.push(created);
+            return created;
+        });
+        return { status: 200, body: { records: written } };
+    }
+}
+
+/* ==========================================
+   BROWSER & WORKER: FETCH INTERCEPTION
+   ========================================== */
+
+/**
+ * Route /webhook/* and api.airtable.com requests to the fixture server
+ * instead of the network. Everything else passes through.
+ * Patches `globalThis.fetch`, so the page, the monitor worker and the
+ * Node CLI all install it the same way.
+ */
+function installFixtureFetch(server, latencyMs = 150) {
+    const networkFetch = globalThis.fetch.bind(globalThis);
+
+    globalThis.fetch = async (input, init = {}) => {
+        const base = globalThis.location ? globalThis.location.href : undefined;
+        const url = new URL(typeof input === 'string' ? input : input.url, base);
+        const method = (init.method || 'GET').toUpperCase();
+        let body = {};
+        try {
+            body = init.body ? JSON.parse(init.body) : {};
+        } catch (error) {
+            body = {};
+        }
+
+        let result = null;
+        const webhookMatch = url.pathname.match(/\/webhook\/([\w-]+)$/);
+        if (webhookMatch) {
+            result = server.handleWebhook(webhookMatch[1], body);
+        } else if (url.hostname === 'api.airtable.com') {
+            // /v0/{baseId}/{table}[/{recordId}] or ?records[]=id for batch deletes
+            const parts = url.pathname.split('/');
+            const recordIds = parts[4] ? [parts[4]] : url.searchParams.getAll('records[]');
+            result = server.handleAirtable(decodeURIComponent(parts[3] || ''), method, body, recordIds);
+        }
+
+        if (!result) return networkFetch(input, init);
+
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+        console.log(`[Fixtures] ${method} ${url.pathname} -> ${result.status}`);
+        return new Response(JSON.stringify(result.body), {
+            status: result.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    };
+}
+
+/**
+ * Show a corner badge so demos are never mistaken for live data
+ */
+function renderFixtureBadge(server) {
+    const badge = document.createElement('div');
+    badge.className = 'fixed bottom-4 right-4 z-50 px-3 py-2 rounded-lg bg-yellow-500/20 border border-yellow-500/40 text-xs text-yellow-300';
+    badge.textContent = `FIXTURE MODE · ${server.scenario}`;
+    badge.title = FIXTURE_SCENARIOS[server.scenario].description;
+    document.body.appendChild(badge);
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+if (typeof window !== 'undefined') {
+    // ?mode=fixtures&scenario=depeg switches on (and persists); ?mode=live switches off
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('mode')) localStorage.setItem('yieldguard_data_mode', params.get('mode'));
+    if (params.get('scenario')) localStorage.setItem('yieldguard_fixture_scenario', params.get('scenario'));
+
+    const dataMode = localStorage.getItem('yieldguard_data_mode') || 'live';
+    window.yieldguardDataMode = dataMode;
+
+    if (dataMode === 'fixtures') {
+        const fixtureServer = new WebhookFixtureServer({
+            scenario: localStorage.getItem('yieldguard_fixture_scenario') || 'baseline'
+        });
+        installFixtureFetch(fixtureServer);
+        window.fixtureServer = fixtureServer;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => renderFixtureBadge(fixtureServer));
+        } else {
+            renderFixtureBadge(fixtureServer);
+        }
+        console.log('[Fixtures] Offline fixture mode active, scenario:', fixtureServer.scenario);
+    }
+}
+
+// CommonJS export for the local mock server (scripts/mock-n8n-server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebhookFixtureServer, WEBHOOK_FIXTURES, AIRTABLE_FIXTURES, FIXTURE_SCENARIOS };
+}
@@ -0,0 +1,222 @@
+/* ========================================
+   YIELDGUARD AI - FUNDING FORECAST
+   funding-forecast.js
+   EWMA + trend projection of Ethena funding
+   to warn of sustained negative funding
+   ======================================== */
+
+class FundingForecaster {
+    constructor(config = {}) {
+        this.history = config.history || null;
+        this.protocol = config.protocol || 'ethena';
+        this.field = config.field || 'fundingRate';
+        this.alpha = config.alpha || 0.3;                 // EWMA smoothing (higher = more reactive)
+        this.horizonHours = config.horizonHours || 24;    // How far ahead to project
+        this.lookbackMs = config.lookbackMs || 7 * 24 * 60 * 60 * 1000;
+        this.maxSamples = config.maxSamples || 2000;
+        this.series = [];                                 // [{ ts, value }] oldest first
+        this.ready = Promise.resolve();
+    }
+
+    /* ==========================================
+       1. FUNDING SERIES
+       ========================================== */
+
+    /**
+     * Load the lookback window from PulseScore history
+     */
+    async seed(now = Date.now()) {
+        if (!this.history) return;
+
+        const records = await this.history.query(this.protocol, now - this.lookbackMs);
+        records.forEach(record => {
+            if (!record.data) return;
+            this.add(new Date(record.data.timestamp || record.ts).getTime(), record.data[this.field]);
+        });
+
+        console.log(`[FundingForecast] Seeded ${this.series.length} ${this.field} samples`);
+    }
+
+    /**
+     * Append a sample; repeats of the same fetch (stale last-good values) are ignored
+     */
+    add(ts, value) {
+        const numeric = parseFloat(value);
+        if (isNaN(ts) || isNaN(numeric)) return;
+
+        const last = this.series[this.series.length - 1];
+        if (last && ts <= last.ts) return;
+
+        this.series.push({ ts, value: numeric });
+        if (this.series.length > this.maxSamples) this.series.shift();
+    }
+
+    /* ==========================================
+       2. FORECAST
+       ========================================== */
+
+    /**
+     * Project funding `horizonHours` ahead.
+     *
+     * - ewma / ewmaStd: exponentially weighted level and dispersion
+     * - slopePerHour:   least-squares trend over the lookback window
+     * - varPerHour:     variance of funding changes per hour of elapsed time, so
+     *                   the estimate does not depend on how often we poll
+     * - probNegative:   P(funding < 0 at the horizon), normal around the projection
+     *                   with variance ewmaStd² + varPerHour × horizonHours
+     * - expectedNegativeHours: if funding is already negative, hours until the
+     *   trend brings it back above zero (capped at the lookback); otherwise the
+     *   average length of past negative runs, or half the horizon when none
+     */
+    forecast(now = Date.now(), series = this.series) {
+        const samples = series.filter(s => s.ts >= now - this.lookbackMs);
+        if (samples.length < 3) {
+            return { samples: samples.length, probNegative: null, expectedNegativeHours: null };
+        }
+
+        // EWMA level and variance
+        let ewma = samples[0].value;
+        let variance = 0;
+        samples.slice(1).forEach(s => {
+            const diff = s.value - ewma;
+            ewma += this.alpha * diff;
+            variance = (1 - this.alpha) * (variance + this.alpha * diff * diff);
+        });
+        const ewmaStd = Math.max(Math.sqrt(variance), 1e-6);
+
+        const slopePerHour = this._trendPerHour(samples);
+        const projected = ewma + slopePerHour * this.horizonHours;
+
+        // Uncertainty grows like a random walk over the horizon's hours, not its poll count
+        const varPerHour = this._variancePerHour(samples);
+        const horizonStd = Math.sqrt(ewmaStd * ewmaStd + varPerHour * this.horizonHours);
+        const probNegative = this._normalCdf(-projected / horizonStd);
+
+        const current = samples[samples.length - 1].value;
+        const capHours = this.lookbackMs / (60 * 60 * 1000);
+        let expectedNegativeHours;
+        if (current < 0) {
+            expectedNegativeHours = slopePerHour > 0 ? Math.min(-current / slopePerHour, capHours) : capHours;
+        } else {
+            expectedNegativeHours = this._averageNegativeRunHours(samples) || this.horizonHours / 2;
+        }
+
+        return {
+            samples: samples.length,
+            current: current,
+            ewma: ewma,
+            ewmaStd: ewmaStd,
+            slopePerHour: slopePerHour,
+            varPerHour: varPerHour,
+            projected: projected,
+            horizonHours: this.horizonHours,
+            probNegative: probNegative,
+            expectedNegativeHours: expectedNegativeHours
+        };
+    }
+
+    /**
+     * Record this poll's funding sample and attach the forecast to the
+     * protocol entry (`fundingForecast`, plus `negativeFundingProb` for rules)
+     */
+    async enrich(data) {
+        const protocolData = data[this.protocol];
+        if (!protocolData) return data;
+
+        await this.ready;
+        this.add(new Date(protocolData.timestamp).getTime(), protocolData[this.field]);
+
+        const forecast = this.forecast();
+        protocolData.fundingForecast = forecast;
+        protocolData.negativeFundingProb = forecast.probNegative;
+        return data;
+    }
+
+    /**
+     * Forecast as if funding read `value` at `at` instead of the recorded
+     * sample, without changing the series (what-if inputs)
+     */
+    forecastWith(value, at = Date.now()) {
+        const numeric = parseFloat(value);
+        const series = this.series.filter(s => s.ts < at);
+        if (!isNaN(numeric)) series.push({ ts: at, value: numeric });
+        return this.forecast(at, series);
+    }
+
+    /* ==========================================
+       3. UTILITY FUNCTIONS
+       ========================================== */
+
+    /**
+     * Internal: Sum of squared changes over total elapsed hours
+     */
+    _variancePerHour(samples) {
+        let squared = 0;
+        let hours = 0;
+        samples.slice(1).forEach((s, i) => {
+            const change = s.value - samples[i].value;
+            squared += change * change;
+            hours += (s.ts - samples[i].ts) / (60 * 60 * 1000);
+        });
+        return hours > 0 ? squared / hours : 0;
+    }
+
+    _trendPerHour(samples) {
+        const t0 = samples[0].ts;
+        const xs = samples.map(s => (s.ts - t0) / (60 * 60 * 1000));
+        const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const meanY = samples.reduce((a, s) => a + s.value, 0) / samples.length;
+
+        let num = 0;
+        let den = 0;
+        xs.forEach((x, i) => {
+            num += (x - meanX) * (samples[i].value - meanY);
+            den += (x - meanX) * (x - meanX);
+        });
+        return den > 0 ? num / den : 0;
+    }
+
+    _averageNegativeRunHours(samples) {
+        const runs = [];
+        let start = null;
+
+        samples.forEach((s, i) => {
+            if (s.value < 0 && start === null) start = s.ts;
+            const ended = s.value >= 0 || i === samples.length - 1;
+            if (start !== null && ended) {
+                runs.push((s.ts - start) / (60 * 60 * 1000));
+                start = null;
+            }
+        });
+
+        const completed = runs.filter(r => r > 0);
+        return completed.length ? completed.reduce((a, b) => a + b, 0) / completed.length : null;
+    }
+
+    /**
+     * Standard normal CDF (Abramowitz & Stegun 7.1.26)
+     */
+    _normalCdf(z) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-(z * z) / 2);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const fundingForecaster = new FundingForecaster({
+    history: typeof pulseHistory !== 'undefined' ? pulseHistory : null,
+    alpha: 0.3,
+    horizonHours: 24
+});
+
+fundingForecaster.ready = fundingForecaster.seed();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.fundingForecaster = fundingForecaster;
+}
@@ -0,0 +1,117 @@
+/* ========================================
+   YIELDGUARD AI - SHARED MONITOR WORKER
+   monitor-worker.js
+   Runs the one polling & scoring loop and
+   feeds every open tab over MessagePorts
+   ======================================== */
+
+importScripts(
+    'fixture-mode.js',
+    'webhook-schemas.js',
+    'protocol-adapters.js',
+    'pulse-rules.js',
+    'source-health.js',
+    'pulse-history.js',
+    'funding-forecast.js',
+    'contagion-graph.js',
+    'risk-core.js'
+);
+
+const ports = new Set();
+let monitor = null;
+
+/**
+ * Send a message to every connected tab
+ */
+function broadcast(message) {
+    ports.forEach(port => port.postMessage(message));
+}
+
+function pulseDataMessage(data) {
+    return {
+        type: 'pulseData',
+        data: data,
+        scores: monitor.buildScoreSnapshot(data),
+        sourceHealth: monitor.health.sources
+    };
+}
+
+/**
+ * Build the engine from the first tab's config and start polling
+ */
+function startMonitor(config) {
+    if (config.dataMode === 'fixtures') {
+        installFixtureFetch(new WebhookFixtureServer({ scenario: config.scenario }), 0);
+        console.log('[MonitorWorker] Fixture mode, scenario:', config.scenario);
+    }
+
+    monitor = new RiskCoreEngine({
+        n8nUrl: config.n8nUrl,
+        pollingInterval: config.pollingInterval,
+        adapters: protocolAdapters,
+        history: pulseHistory,
+        rules: pulseRules,
+        forecaster: fundingForecaster,
+        contagion: contagionGraph,
+        schemas: webhookSchemas
+    });
+
+    monitor.startMonitoringLoop(data => broadcast(pulseDataMessage(data)));
+}
+
+/**
+ * Load a tab's rule set and pass it on to the other tabs (ignores echoes)
+ */
+function applyRules(rules, sender) {
+    if (!rules || JSON.stringify(rules) === JSON.stringify(pulseRules.active)) return;
+
+    pulseRules.load(rules);
+    ports.forEach(port => {
+        if (port !== sender) port.postMessage({ type: 'rules', rules: rules });
+    });
+}
+
+function handleMessage(port, message) {
+    switch (message.type) {
+        case 'subscribe':
+            ports.add(port);
+            applyRules(message.rules, port);
+
+            if (!monitor) {
+                startMonitor(message.config);
+            } else if (!monitor.isPolling) {
+                monitor.startMonitoringLoop(data => broadcast(pulseDataMessage(data)));
+            } else if (monitor.lastData) {
+                // Late joiner: show the latest poll right away
+                port.postMessage(pulseDataMessage(monitor.lastData));
+            }
+            // A visible newcomer resumes a loop paused for hidden tabs
+            if (monitor.isPolling) monitor.setClientVisibility(port, !!message.hidden);
+            console.log('[MonitorWorker] Tab subscribed, total:', ports.size);
+            break;
+
+        case 'rules':
+            applyRules(message.rules, port);
+            break;
+
+        case 'visibility':
+            if (monitor) monitor.setClientVisibility(port, message.hidden);
+            break;
+
+        case 'unsubscribe':
+            ports.delete(port);
+            if (monitor) monitor.removeClient(port);
+            console.log('[MonitorWorker] Tab left, total:', ports.size);
+            if (ports.size === 0 && monitor) monitor.stopMonitoringLoop();
+            break;
+
+        default:
+            console.warn('[MonitorWorker] Unknown message:', message.type);
+    }
+}
+
+self.onconnect = (event) => {
+    const port = event.ports[0];
+    port.onmessage = (e) => handleMessage(port, e.data);
+    port.start();
+};
@@ -5,7 +5,8 @@
    ======================================== */
 
 class GlobalNairobiAgent {
-    constructor() {
+    constructor(config = {}) {
+        this.agent = config.agent || null; // NairobiAgent answering the modal
         this.modal = null;
         this.input = null;
         this.triggerBtn = null;
@@ -39,9 +40,9 @@ class GlobalNairobiAgent {
         this._setupEventListeners();
 
         // Initialize with original NairobiAgent if available
-        if (window.nairobi && typeof window.nairobi.initialize === 'function') {
+        if (this.agent && typeof this.agent.initialize === 'function') {
             try {
-                await window.nairobi.initialize();
+                await this.agent.initialize();
                 console.log('[Nairobi] Original nairobi-agent.js initialized');
             } catch (err) {
                 console.warn('[Nairobi] Could not initialize nairobi-agent.js:', err);
@@ -194,8 +195,8 @@ class GlobalNairobiAgent {
 
         try {
             // Send via nairobi instance if available
-            if (window.nairobi && typeof window.nairobi.sendMessage === 'function') {
-                const response = await window.nairobi.sendMessage(message);
+            if (this.agent && typeof this.agent.sendMessage === 'function') {
+                const response = await this.agent.sendMessage(message);
                 this._removeTypingIndicator();
                 if (response) {
                     this.renderMessage(response, false);
@@ -341,7 +342,9 @@ class GlobalNairobiAgent {
    GLOBAL INITIALIZATION
    ========================================== */
 
-const globalNairobi = new GlobalNairobiAgent();
+const globalNairobi = new GlobalNairobiAgent({
+    agent: window.nairobi
+});
 
 // Auto-initialize when DOM is ready
 if (document.readyState === 'loading') {
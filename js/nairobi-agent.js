@@ -9,12 +9,17 @@ class NairobiAgent {
         this.n8nBaseUrl = config.n8nUrl || 'https://your-n8n-instance.com';
         this.airtableApiKey = config.airtableKey;
         this.airtableBaseId = config.airtableBaseId;
+        this.watchlist = config.watchlist || null;
+        this.schemas = config.schemas || null;
+        this.events = config.events || null;
         this.aiModel = config.aiModel || 'gemini-pro'; // or 'gpt-4'
         this.conversationHistory = [];
         this.userWatchlist = [];
         this.userProfile = {};
         this.isProcessing = false;
         this.maxContextTokens = 4000;
+        this.recentEvents = [];
+        this.maxRecentEvents = 8;
     }
 
     /* ==========================================
@@ -22,37 +27,19 @@ class NairobiAgent {
        ========================================== */
 
     /**
-     * Fetch user's Watchlist from Airtable
+     * Read user's Watchlist from the watchlist manager (synced with Airtable)
      */
     async fetchUserWatchlist() {
-        if (!this.airtableApiKey || !this.airtableBaseId) {
-            console.warn('[Nairobi] Airtable credentials not configured');
+        if (!this.watchlist) {
+            console.warn('[Nairobi] Watchlist manager not loaded');
             return [];
         }
 
-        try {
-            const response = await fetch(
-                `https://api.airtable.com/v0/${this.airtableBaseId}/Watchlist`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${this.airtableApiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+        await this.watchlist.ready;
+        this.userWatchlist = this.watchlist.getActive().map(item => this.watchlist.toFields(item));
 
-            if (!response.ok) throw new Error(`Airtable error: ${response.status}`);
-            
-            const data = await response.json();
-            this.userWatchlist = data.records.map(r => r.fields);
-            
-            console.log('[Nairobi] Watchlist fetched:', this.userWatchlist);
-            return this.userWatchlist;
-        } catch (error) {
-            console.error('[Nairobi] Watchlist fetch failed:', error);
-            return [];
-        }
+        console.log('[Nairobi] Watchlist fetched:', this.userWatchlist);
+        return this.userWatchlist;
     }
 
     /**
@@ -89,6 +76,28 @@ class NairobiAgent {
         }
     }
 
+    /**
+     * Keep recent risk and exit events (from the event bus) in the agent's context
+     */
+    trackEvents() {
+        if (!this.events) return;
+
+        const summaries = {
+            statusTransition: e => `${e.protocol} moved ${e.from} -> ${e.to} (PulseScore ${e.score})`,
+            sourceFailed: e => `${e.source} data source failing (${e.failures} failures, circuit ${e.circuit})`,
+            exitCalculated: e => `Exit quote for ${e.input.amount} ${e.input.asset}: ${e.liquidityGain.recommendation}, net difference $${e.liquidityGain.netDifference.toFixed(2)}`,
+            exitExecuted: e => e.success ? `Exit transaction submitted (${e.txHash})` : `Exit transaction failed: ${e.error}`,
+            exitConfirmed: e => `Exit transaction ${e.txHash} ${e.status}${e.blockNumber ? ` in block ${e.blockNumber}` : ''}`
+        };
+
+        Object.entries(summaries).forEach(([type, summarize]) => {
+            this.events.on(type, (payload, event) => {
+                this.recentEvents.push(`${event.timestamp.slice(11, 16)} UTC ${summarize(payload)}`);
+                this.recentEvents = this.recentEvents.slice(-this.maxRecentEvents);
+            }, { replay: true });
+        });
+    }
+
     /**
      * Build system context for AI agent
      */
@@ -107,6 +116,9 @@ USER CONTEXT:
 CURRENT WATCHLIST:
 ${watchlistSummary || 'No positions tracked'}
 
+RECENT EVENTS:
+${this.recentEvents.map(line => `- ${line}`).join('\n') || 'None this session'}
+
 INSTRUCTIONS:
 1. Always provide specific, actionable advice based on their positions
 2. Reference the PulseScore when discussing risk (0-100 scale, 75+ is Safe)
@@ -166,6 +178,7 @@ TONE: Professional but approachable. Confident but humble about limitations.`;
             if (!response.ok) throw new Error(`Agent error: ${response.status}`);
             
             const data = await response.json();
+            if (this.schemas) this.schemas.assert('nairobi-agent', data);
             const agentResponse = data.response || data.message || 'No response from agent';
 
             // Add response to history
@@ -176,12 +189,15 @@ TONE: Professional but approachable. Confident but humble about limitations.`;
             });
 
             console.log('[Nairobi] Response:', agentResponse);
+            if (this.events) this.events.emit('agentResponse', { message: userMessage, response: agentResponse, error: false });
             
             return agentResponse;
 
         } catch (error) {
             console.error('[Nairobi] Message send failed:', error);
-            return `Error: Unable to process your request. ${error.message}`;
+            const errorResponse = `Error: Unable to process your request. ${error.message}`;
+            if (this.events) this.events.emit('agentResponse', { message: userMessage, response: errorResponse, error: true });
+            return errorResponse;
         } finally {
             this.isProcessing = false;
         }
@@ -401,12 +417,19 @@ TONE: Professional but approachable. Confident but humble about limitations.`;
    ========================================== */
 
 const nairobi = new NairobiAgent({
-    n8nUrl: process.env.N8N_URL || 'https://your-n8n-instance.com',
-    airtableKey: process.env.AIRTABLE_KEY,
-    airtableBaseId: process.env.AIRTABLE_BASE_ID,
-    aiModel: 'gemini-pro'
+    n8nUrl: (typeof process !== 'undefined' && process.env.N8N_URL) || 'https://your-n8n-instance.com',
+    airtableKey: (typeof process !== 'undefined' && process.env.AIRTABLE_KEY) || window.fixtureServer?.credentials.airtableKey,
+    airtableBaseId: (typeof process !== 'undefined' && process.env.AIRTABLE_BASE_ID) || window.fixtureServer?.credentials.airtableBaseId,
+    aiModel: 'gemini-pro',
+    watchlist: window.watchlistManager,
+    schemas: window.webhookSchemas,
+    events: window.eventBus
 });
 
+// Keep agent context in step with watchlist edits and risk / exit events
+window.addEventListener('watchlistChanged', () => nairobi.fetchUserWatchlist());
+nairobi.trackEvents();
+
 // Auto-initialize on page load if agent panel exists
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', async () => {
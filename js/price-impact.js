@@ -0,0 +1,186 @@
+/* ========================================
+   YIELDGUARD AI - PRICE IMPACT
+   price-impact.js
+   Size-dependent slippage from pool depth:
+   constant-product and concentrated liquidity
+   ======================================== */
+
+class PriceImpactModel {
+    constructor(config = {}) {
+        this.defaultFee = config.defaultFee !== undefined ? config.defaultFee : 0.0005; // 5 bps pool tier
+        this.curvePoints = config.curvePoints || 24;
+    }
+
+    /* ==========================================
+       1. POOL DESCRIPTION
+       ========================================== */
+
+    /**
+     * Pool to quote a sell of the asset against, from a market-price payload.
+     * Prices are quote (USD) per asset.
+     * - pool.type 'concentrated': `ticks` [{ priceLower, liquidity }] give the
+     *   liquidity L of each range below spot, nearest first; a range spans from
+     *   the previous boundary (or spot) down to its priceLower
+     * - pool.type 'constant-product': `reserveAsset` / `reserveQuote`
+     * - otherwise a 50/50 constant-product pool holding `liquidity` USD
+     * Returns null when the payload carries no depth at all.
+     */
+    poolFrom(marketData) {
+        const price = parseFloat(marketData.price);
+        const pool = marketData.pool || {};
+        const fee = pool.fee !== undefined ? parseFloat(pool.fee) : this.defaultFee;
+        if (!(price > 0)) return null;
+
+        if (pool.type === 'concentrated' && Array.isArray(pool.ticks)) {
+            const ranges = pool.ticks
+                .map(tick => ({ priceLower: parseFloat(tick.priceLower), liquidity: parseFloat(tick.liquidity) }))
+                .filter(range => range.priceLower > 0 && range.priceLower < price && range.liquidity >= 0)
+                .sort((a, b) => b.priceLower - a.priceLower);
+            if (ranges.length > 0) return { type: 'concentrated', price, fee, ranges };
+        }
+
+        const reserveAsset = parseFloat(pool.reserveAsset);
+        const reserveQuote = parseFloat(pool.reserveQuote);
+        if (pool.type === 'constant-product' && reserveAsset > 0 && reserveQuote > 0) {
+            return { type: 'constant-product', price: reserveQuote / reserveAsset, fee, reserveAsset, reserveQuote };
+        }
+
+        const liquidity = parseFloat(marketData.liquidity);
+        if (liquidity > 0) {
+            return {
+                type: 'constant-product',
+                price: price,
+                fee: fee,
+                reserveAsset: liquidity / 2 / price,
+                reserveQuote: liquidity / 2
+            };
+        }
+
+        return null;
+    }
+
+    /* ==========================================
+       2. QUOTES
+       ========================================== */
+
+    /**
+     * Proceeds of selling `amountIn` of the asset into the pool.
+     * - slippage:    execution shortfall against spot, fee included
+     * - priceImpact: how far the trade moves the pool price
+     * - unfilled:    amount left over when the ranges run out of liquidity
+     */
+    quote(pool, amountIn) {
+        const amount = Math.max(0, parseFloat(amountIn) || 0);
+        const input = amount * (1 - pool.fee);
+        let amountOut = 0;
+        let endPrice = pool.price;
+        let remaining = 0;
+
+        if (pool.type === 'concentrated') {
+            // Within a range L is constant: dx = L * (1/sqrtP' - 1/sqrtP), dy = L * (sqrtP - sqrtP')
+            let sqrtP = Math.sqrt(pool.price);
+            remaining = input;
+
+            for (const range of pool.ranges) {
+                if (remaining <= 0) break;
+                const sqrtLower = Math.sqrt(range.priceLower);
+
+                if (range.liquidity > 0) {
+                    const capacity = range.liquidity * (1 / sqrtLower - 1 / sqrtP);
+                    if (remaining <= capacity) {
+                        const sqrtNext = 1 / (1 / sqrtP + remaining / range.liquidity);
+                        amountOut += range.liquidity * (sqrtP - sqrtNext);
+                        sqrtP = sqrtNext;
+                        remaining = 0;
+                        break;
+                    }
+                    amountOut += range.liquidity * (sqrtP - sqrtLower);
+                    remaining -= capacity;
+                }
+                sqrtP = sqrtLower;
+            }
+            endPrice = sqrtP * sqrtP;
+        } else {
+            // x * y = k
+            amountOut = pool.reserveQuote * input / (pool.reserveAsset + input);
+            endPrice = (pool.reserveQuote - amountOut) / (pool.reserveAsset + input);
+        }
+
+        const filled = pool.fee < 1 ? amount - remaining / (1 - pool.fee) : amount;
+        const spotValue = filled * pool.price;
+
+        return {
+            model: pool.type,
+            amountIn: amount,
+            filled: filled,
+            unfilled: amount - filled,
+            amountOut: amountOut,
+            effectivePrice: filled > 0 ? amountOut / filled : pool.price,
+            spotPrice: pool.price,
+            endPrice: endPrice,
+            feePaid: filled * pool.fee * pool.price,
+            priceImpact: 1 - endPrice / pool.price,
+            slippage: spotValue > 0 ? 1 - amountOut / spotValue : 0,
+            insufficientLiquidity: remaining > 1e-9 * Math.max(input, 1)
+        };
+    }
+
+    /**
+     * Largest sell the pool can absorb (Infinity for constant-product)
+     */
+    capacity(pool) {
+        if (pool.type !== 'concentrated') return Infinity;
+
+        let sqrtP = Math.sqrt(pool.price);
+        let total = 0;
+        pool.ranges.forEach(range => {
+            const sqrtLower = Math.sqrt(range.priceLower);
+            total += range.liquidity * (1 / sqrtLower - 1 / sqrtP);
+            sqrtP = sqrtLower;
+        });
+        return total / (1 - pool.fee);
+    }
+
+    /**
+     * Largest sell whose slippage stays within `maxSlippage` (bisection)
+     */
+    maxSizeForSlippage(pool, maxSlippage) {
+        if (this.quote(pool, 1e-6).slippage > maxSlippage) return 0;
+
+        let hi = Math.min(this.capacity(pool), 1);
+        const within = (size) => {
+            const q = this.quote(pool, size);
+            return !q.insufficientLiquidity && q.slippage <= maxSlippage;
+        };
+
+        // Grow the bracket, never past what the pool can fill
+        while (within(hi) && hi < this.capacity(pool) && hi < 1e15) {
+            hi = Math.min(hi * 2, this.capacity(pool));
+        }
+        if (within(hi)) return hi;
+
+        let lo = 0;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (within(mid)) lo = mid;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Slippage at evenly spaced sizes up to `maxAmount`, for plotting
+     */
+    curve(pool, maxAmount, points = this.curvePoints) {
+        return Array.from({ length: points }, (_, i) => {
+            const amount = maxAmount * (i + 1) / points;
+            const q = this.quote(pool, amount);
+            return { amount, slippage: q.slippage, priceImpact: q.priceImpact, insufficientLiquidity: q.insufficientLiquidity };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PriceImpactModel = PriceImpactModel;
+}
@@ -0,0 +1,231 @@
+/* ========================================
+   YIELDGUARD AI - PROTOCOL ADAPTERS
+   protocol-adapters.js
+   Registry of monitored protocols: webhook,
+   normalized fields and ticker display
+   ======================================== */
+
+class ProtocolAdapterRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    /* ==========================================
+       1. REGISTRATION
+       ========================================== */
+
+    /**
+     * Register a protocol adapter
+     *
+     * Adapter shape:
+     * - id:         key used for data maps and [data-protocol] cards
+     * - name:       display name (also the `protocol` field of normalized data)
+     * - subtitle:   card subtitle when the dashboard has no markup for it
+     * - webhook:    n8n webhook path under /webhook/
+     * - action:     action name sent in the webhook body
+     * - fields:     normalized output fields { name: { type, default } }
+     * - scoreRules: fallback PulseScore rules (see pulse-rules.js), used only
+     *               when the active rule set has none for this protocol
+     * - ticker:     { field, color } shown on the PulseTicker
+     * - polling:    optional { minMs, maxMs } bounds for adaptive polling;
+     *               engine defaults apply when omitted
+     * - markets:    optional { field, key, fields } for payloads listing several
+     *               markets; each market is normalized on its own and scored
+     *               and displayed under the key `${id}:${market[key]}`
+     */
+    register(adapter) {
+        if (!adapter || !adapter.id || !adapter.webhook) {
+            throw new Error('Adapter requires an id and a webhook');
+        }
+
+        this.adapters.set(adapter.id, {
+            name: adapter.id,
+            action: 'fetch',
+            fields: {},
+            scoreRules: [],
+            ticker: { field: 'apy', color: 'text-green-400' },
+            ...adapter
+        });
+
+        console.log('[Adapters] Registered protocol:', adapter.id);
+        return this;
+    }
+
+    /**
+     * Remove a protocol adapter
+     */
+    unregister(id) {
+        return this.adapters.delete(id);
+    }
+
+    /* ==========================================
+       2. LOOKUP
+       ========================================== */
+
+    get(id) {
+        return this.adapters.get(id) || null;
+    }
+
+    /**
+     * Find an adapter by display name ('Pendle') or id ('pendle')
+     */
+    find(protocol) {
+        if (!protocol) return null;
+        if (this.adapters.has(protocol)) return this.adapters.get(protocol);
+
+        for (const adapter of this.adapters.values()) {
+            if (adapter.name === protocol) return adapter;
+        }
+        return null;
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    /* ==========================================
+       3. NORMALIZATION
+       ========================================== */
+
+    /**
+     * Map a raw webhook payload onto the adapter's declared fields.
+     * Multi-market payloads also get a normalized `markets` list.
+     */
+    normalize(adapter, data) {
+        const normalized = {
+            protocol: adapter.name,
+            protocolId: adapter.id,
+            ...this._normalizeFields(adapter.fields, data)
+        };
+
+        if (adapter.markets && Array.isArray(data[adapter.markets.field])) {
+            normalized.markets = data[adapter.markets.field].map(raw => {
+                const market = this._normalizeFields(adapter.markets.fields, raw);
+                const marketId = String(raw[adapter.markets.key]);
+                return {
+                    protocol: adapter.name,
+                    protocolId: adapter.id,
+                    marketKey: `${adapter.id}:${marketId}`,
+                    displayName: `${adapter.name} ${market.name || marketId}`,
+                    ...market,
+                    // Ticker and alerts read `apy`; a market's headline rate is its implied APY
+                    apy: isNaN(market.apy) ? market.impliedApy : market.apy,
+                    timestamp: new Date().toISOString()
+                };
+            });
+        }
+
+        normalized.timestamp = new Date().toISOString();
+        return normalized;
+    }
+
+    /**
+     * Flatten a poll value into data-map entries: one per market for
+     * multi-market payloads, otherwise the value under the adapter id
+     */
+    expand(adapter, value) {
+        if (value && Array.isArray(value.markets) && value.markets.length > 0) {
+            const entries = {};
+            value.markets.forEach(market => {
+                entries[market.marketKey] = { ...market, freshness: value.freshness };
+            });
+            return entries;
+        }
+        return { [adapter.id]: value };
+    }
+
+    /**
+     * Internal: Apply { name: { type, default } } specs to a raw object
+     */
+    _normalizeFields(fields, data) {
+        const normalized = {};
+
+        Object.entries(fields).forEach(([field, spec]) => {
+            const raw = data[field];
+            let value = spec.type === 'number' ? parseFloat(raw) : raw;
+
+            // Mirrors the `value || default` fallback used by the original fetchers
+            if (spec.default !== undefined && !value) {
+                value = spec.default;
+            }
+
+            normalized[field] = value;
+        });
+
+        return normalized;
+    }
+}
+
+/* ==========================================
+   DEFAULT ADAPTERS
+   ========================================== */
+
+const protocolAdapters = new ProtocolAdapterRegistry();
+
+protocolAdapters
+    .register({
+        id: 'pendle',
+        name: 'Pendle',
+        subtitle: 'Yield Token',
+        webhook: 'pendle-apy',
+        action: 'fetch_current_apy',
+        fields: {
+            apy: { type: 'number' },
+            maturityDate: { type: 'date' },
+            confidence: { type: 'number', default: 0.95 }
+        },
+        // One card and maturity penalty per PT/YT market
+        markets: {
+            field: 'markets',
+            key: 'market',
+            fields: {
+                market: { type: 'string' },
+                name: { type: 'string' },
+                positionType: { type: 'string', default: 'PT' },
+                impliedApy: { type: 'number' },
+                underlyingApy: { type: 'number' },
+                apy: { type: 'number' },
+                maturityDate: { type: 'date' },
+                confidence: { type: 'number', default: 0.95 }
+            }
+        },
+        ticker: { field: 'apy', color: 'text-green-400' }
+    })
+    .register({
+        id: 'ethena',
+        name: 'Ethena',
+        subtitle: 'Synthetic USD',
+        webhook: 'ethena-funding',
+        action: 'fetch_funding_rate',
+        fields: {
+            fundingRate: { type: 'number' },
+            apy: { type: 'number' },
+            depegRisk: { type: 'number', default: 0.01 },
+            lastUpdate: { type: 'date' }
+        },
+        // Funding and peg can move fast; never wait more than 2 minutes
+        polling: { minMs: 10000, maxMs: 2 * 60 * 1000 },
+        ticker: { field: 'apy', color: 'text-green-400' }
+    })
+    .register({
+        id: 'falcon',
+        name: 'Falcon',
+        subtitle: 'LST Derivative',
+        webhook: 'falcon-cooldown',
+        action: 'fetch_cooldown_state',
+        fields: {
+            cooldownDays: { type: 'number' },
+            cooldownEndDate: { type: 'date' },
+            apy: { type: 'number' },
+            lockupExpiration: { type: 'date' }
+        },
+        // Cooldown state moves in days, not seconds
+        polling: { minMs: 60000, maxMs: 15 * 60 * 1000 },
+        ticker: { field: 'apy', color: 'text-yellow-400' }
+    });
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProtocolAdapterRegistry = ProtocolAdapterRegistry;
+    window.protocolAdapters = protocolAdapters;
+}
@@ -0,0 +1,356 @@
+/* ========================================
+   YIELDGUARD AI - PULSESCORE HISTORY
+   pulse-history.js
+   Persists every poll result to IndexedDB
+   Renders 24h/7d/30d sparklines and deltas
+   ======================================== */
+
+class PulseHistoryStore {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'yieldguard';
+        this.storeName = config.storeName || 'pulseHistory';
+        this.retentionDays = config.retentionDays || 30;
+        this.maxSparklinePoints = config.maxSparklinePoints || 60;
+        this.ranges = {
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '30d': 30 * 24 * 60 * 60 * 1000
+        };
+        this.selectedRange = {};
+        this.db = null;
+        this._opening = null;
+    }
+
+    /* ==========================================
+       1. INDEXEDDB SETUP
+       ========================================== */
+
+    /**
+     * Open (and upgrade) the history database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this._opening) return this._opening;
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+
+        this._opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('protocol_ts', ['protocol', 'ts']);
+                    store.createIndex('ts', 'ts');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                console.log('[PulseHistory] Database opened');
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this._opening = null;
+                reject(request.error);
+            };
+        });
+
+        return this._opening;
+    }
+
+    /* ==========================================
+       2. RECORDING
+       ========================================== */
+
+    /**
+     * Store one poll cycle: raw protocol data plus computed score, status
+     * and the rule breakdown that produced it. Protocols that returned no
+     * data are skipped so they don't read as a score of 0.
+     */
+    async recordPoll(data, snapshot) {
+        try {
+            const db = await this.open();
+            const ts = Date.now();
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+
+            const recorded = Object.entries(snapshot).filter(([protocol]) => data[protocol]);
+            recorded.forEach(([protocol, entry]) => {
+                store.add({
+                    protocol: protocol,
+                    ts: ts,
+                    timestamp: new Date(ts).toISOString(),
+                    score: entry.score,
+                    status: entry.status,
+                    breakdown: entry.breakdown || [],
+                    ruleSetVersion: entry.ruleSetVersion || null,
+                    data: data[protocol]
+                });
+            });
+
+            await this._complete(tx);
+            console.log('[PulseHistory] Recorded poll for', recorded.length, 'protocols');
+        } catch (error) {
+            console.error('[PulseHistory] Record failed:', error);
+        }
+    }
+
+    /**
+     * Delete records older than the retention window
+     */
+    async prune() {
+        try {
+            const db = await this.open();
+            const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const index = tx.objectStore(this.storeName).index('ts');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+
+            await this._complete(tx);
+        } catch (error) {
+            console.error('[PulseHistory] Prune failed:', error);
+        }
+    }
+
+    /* ==========================================
+       3. QUERIES
+       ========================================== */
+
+    /**
+     * Fetch a protocol's records since a timestamp (ms), oldest first
+     */
+    async query(protocol, sinceMs = 0) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.storeName, 'readonly');
+            const index = tx.objectStore(this.storeName).index('protocol_ts');
+            const range = IDBKeyRange.bound([protocol, sinceMs], [protocol, Infinity]);
+
+            return await new Promise((resolve, reject) => {
+                const request = index.getAll(range);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('[PulseHistory] Query failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * First record of a protocol at or after each timestamp (null when there
+     * is none). One index cursor per timestamp, so the cost doesn't grow with
+     * the number of records in the window.
+     */
+    async firstSince(protocol, timestamps) {
+        try {
+            const db = await this.open();
+            const index = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).index('protocol_ts');
+            return await Promise.all(timestamps.map(ts =>
+                this._cursorValue(index.openCursor(IDBKeyRange.bound([protocol, ts], [protocol, Infinity])))
+            ));
+        } catch (error) {
+            console.error('[PulseHistory] Query failed:', error);
+            return timestamps.map(() => null);
+        }
+    }
+
+    /**
+     * A protocol's most recent record, or null
+     */
+    async latest(protocol) {
+        try {
+            const db = await this.open();
+            const index = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).index('protocol_ts');
+            return await this._cursorValue(index.openCursor(IDBKeyRange.bound([protocol, -Infinity], [protocol, Infinity]), 'prev'));
+        } catch (error) {
+            console.error('[PulseHistory] Query failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Up to `points` records spread evenly over [sinceMs, now]: the first
+     * record in each time slice, plus the latest
+     */
+    async sample(protocol, sinceMs, points = this.maxSparklinePoints, now = Date.now()) {
+        const sliceMs = (now - sinceMs) / points;
+        const starts = Array.from({ length: points }, (_, idx) => sinceMs + idx * sliceMs);
+        const [firsts, last] = await Promise.all([this.firstSince(protocol, starts), this.latest(protocol)]);
+
+        // An empty slice returns the next slice's first record; keep each record once
+        const seen = new Set();
+        return [...firsts, last].filter(record => {
+            if (!record || record.ts < sinceMs || seen.has(record.id)) return false;
+            seen.add(record.id);
+            return true;
+        });
+    }
+
+    /**
+     * Score change over a window: latest score minus the oldest in range
+     */
+    calculateDelta(first, latest) {
+        if (!first || !latest || first.id === latest.id) return null;
+        return latest.score - first.score;
+    }
+
+    /* ==========================================
+       4. DOM UPDATES - SPARKLINES & DELTAS
+       ========================================== */
+
+    /**
+     * Refresh trend blocks on every [data-protocol] card in #pulse-tower
+     */
+    async updateTrendViews(protocols) {
+        const tower = document.getElementById('pulse-tower');
+        if (!tower) return;
+
+        for (const protocol of protocols) {
+            const card = tower.querySelector(`[data-protocol="${protocol}"]`);
+            if (card) await this.updateCardTrend(protocol, card);
+        }
+    }
+
+    /**
+     * Render sparkline for the selected range and deltas for all ranges.
+     * Reads only each range's first record, the latest record and a
+     * sparkline's worth of samples.
+     */
+    async updateCardTrend(protocol, card) {
+        const block = this._ensureTrendBlock(protocol, card);
+        const now = Date.now();
+        const selected = this.selectedRange[protocol] || '24h';
+        const ranges = Object.entries(this.ranges);
+
+        const [firsts, latest, points] = await Promise.all([
+            this.firstSince(protocol, ranges.map(([, windowMs]) => now - windowMs)),
+            this.latest(protocol),
+            this.sample(protocol, now - this.ranges[selected], this.maxSparklinePoints, now)
+        ]);
+
+        ranges.forEach(([range], idx) => {
+            const delta = this.calculateDelta(firsts[idx], latest);
+            const deltaEl = block.querySelector(`[data-delta="${range}"]`);
+            if (!deltaEl) return;
+
+            if (delta === null) {
+                deltaEl.textContent = '--';
+                deltaEl.className = 'text-slate-500';
+            } else {
+                deltaEl.textContent = `${delta > 0 ? '+' : ''}${delta}`;
+                deltaEl.className = delta > 0 ? 'text-green-400' : delta < 0 ? 'text-red-400' : 'text-slate-400';
+            }
+        });
+
+        const sparkline = block.querySelector('[data-sparkline]');
+        if (sparkline) sparkline.innerHTML = this._buildSparklineSVG(points);
+    }
+
+    /**
+     * Internal: Inject trend markup (sparkline + range deltas) into a card once
+     */
+    _ensureTrendBlock(protocol, card) {
+        let block = card.querySelector('[data-trend]');
+        if (block) return block;
+
+        block = document.createElement('div');
+        block.dataset.trend = '';
+        block.className = 'mt-3 pt-3 border-t border-slate-800';
+        block.innerHTML = `
+            <div class="h-8 mb-2" data-sparkline></div>
+            <div class="flex justify-between text-xs">
+                ${Object.keys(this.ranges).map(range => `
+                    <button class="trend-range-btn ${range === '24h' ? 'active' : ''}" data-range="${range}">
+                        <span class="text-slate-500">${range}</span>
+                        <span data-delta="${range}" class="text-slate-500">--</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        card.appendChild(block);
+
+        block.querySelectorAll('[data-range]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                block.querySelectorAll('[data-range]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.selectedRange[protocol] = btn.dataset.range;
+                this.updateCardTrend(protocol, card);
+            });
+        });
+
+        return block;
+    }
+
+    /**
+     * Internal: Build a 0-100 score sparkline as inline SVG from sampled records
+     */
+    _buildSparklineSVG(sampled) {
+        if (sampled.length < 2) {
+            return '<p class="text-xs text-slate-600">Collecting history...</p>';
+        }
+
+        const width = 100;
+        const height = 30;
+        const points = sampled.map((r, idx) => {
+            const x = (idx / (sampled.length - 1)) * width;
+            const y = height - (r.score / 100) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        const last = sampled[sampled.length - 1].score;
+        const color = last >= 75 ? '#22c55e' : last >= 50 ? '#eab308' : last >= 25 ? '#f97316' : '#ef4444';
+
+        return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="w-full h-full">
+            <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" vector-effect="non-scaling-stroke" />
+        </svg>`;
+    }
+
+    /* ==========================================
+       5. UTILITY FUNCTIONS
+       ========================================== */
+
+    _cursorValue(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const pulseHistory = new PulseHistoryStore({
+    retentionDays: 30
+});
+
+// Drop expired records once per page load
+pulseHistory.prune();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.pulseHistory = pulseHistory;
+}
@@ -0,0 +1,492 @@
+/* ========================================
+   YIELDGUARD AI - PULSESCORE RULE SET
+   pulse-rules.js
+   Declarative, versioned scoring rules
+   Evaluates scores with a per-rule breakdown
+   ======================================== */
+
+/**
+ * Default rule set - the penalties PulseScore has always applied.
+ *
+ * Rule shape:
+ * - id:        stable identifier shown in breakdowns
+ * - protocol:  adapter id, or '*' for every protocol reporting the field
+ * - factor:    'temporal' | 'depeg' | 'liveness'
+ * - label:     human-readable description
+ * - field:     normalized protocol field used as input
+ * - transform: optional 'daysUntil' | 'hoursUntil' | 'abs'
+ * - unit:      optional unit shown next to the input
+ * - tiers:     checked in order, first match applies [{ lt|gt, penalty }]
+ */
+const DEFAULT_PULSE_RULES = {
+    name: 'YieldGuard Default',
+    version: '1.1.0',
+    rules: [
+        {
+            id: 'pendle.maturity',
+            protocol: 'pendle',
+            factor: 'temporal',
+            label: 'Maturity approaching',
+            field: 'maturityDate',
+            transform: 'daysUntil',
+            unit: 'days',
+            tiers: [{ lt: 1, penalty: 30 }, { lt: 3, penalty: 20 }, { lt: 7, penalty: 10 }]
+        },
+        {
+            id: 'falcon.cooldown',
+            protocol: 'falcon',
+            factor: 'temporal',
+            label: 'Short cooldown window',
+            field: 'cooldownDays',
+            unit: 'days',
+            tiers: [{ lt: 3, penalty: 25 }, { lt: 5, penalty: 15 }, { lt: 7, penalty: 5 }]
+        },
+        {
+            id: 'ethena.funding',
+            protocol: 'ethena',
+            factor: 'depeg',
+            label: 'Funding rate instability',
+            field: 'fundingRate',
+            transform: 'abs',
+            tiers: [{ gt: 0.05, penalty: 20 }, { gt: 0.02, penalty: 10 }]
+        },
+        {
+            id: 'ethena.depeg',
+            protocol: 'ethena',
+            factor: 'depeg',
+            label: 'De-peg risk',
+            field: 'depegRisk',
+            tiers: [{ gt: 0.02, penalty: 15 }, { gt: 0.01, penalty: 8 }]
+        },
+        {
+            id: 'ethena.negative-funding',
+            protocol: 'ethena',
+            factor: 'depeg',
+            label: 'Negative funding forecast',
+            field: 'negativeFundingProb',
+            tiers: [{ gt: 0.6, penalty: 20 }, { gt: 0.3, penalty: 10 }]
+        },
+        {
+            id: 'liveness.confidence',
+            protocol: '*',
+            factor: 'liveness',
+            label: 'Low data confidence',
+            field: 'confidence',
+            tiers: [{ lt: 0.8, penalty: 30 }, { lt: 0.9, penalty: 15 }, { lt: 0.95, penalty: 5 }]
+        }
+    ]
+};
+
+/**
+ * Rules added to the defaults after a release. Saved rule sets based on
+ * an older default version get them on load, so user edits don't hide
+ * new warnings.
+ */
+const PULSE_RULE_MIGRATIONS = [
+    { version: '1.1.0', addRules: ['ethena.negative-funding'] }
+];
+
+class PulseRuleSet {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'yieldguard_pulse_rules';
+        this.defaults = config.defaults || DEFAULT_PULSE_RULES;
+        this.migrations = config.migrations || PULSE_RULE_MIGRATIONS;
+        this.active = this._clone(this.defaults);
+    }
+
+    /* ==========================================
+       1. LOADING & PERSISTENCE
+       ========================================== */
+
+    /**
+     * Replace the active rule set (object or JSON string)
+     */
+    load(ruleSet) {
+        const parsed = typeof ruleSet === 'string' ? JSON.parse(ruleSet) : ruleSet;
+        this.validate(parsed);
+
+        this.active = this._clone(parsed);
+        console.log(`[PulseRules] Loaded rule set ${this.active.name || 'Custom'} v${this.active.version}`);
+        this._notifyChange();
+        return this.active;
+    }
+
+    /**
+     * Restore user rule set saved in localStorage, if any, migrated to the
+     * current default version
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const { ruleSet, added } = this.migrate(JSON.parse(saved));
+                this.load(ruleSet);
+                if (added.length > 0) this.save();
+            }
+        } catch (error) {
+            console.warn('[PulseRules] Could not load saved rule set:', error);
+        }
+        return this.active;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.active));
+            console.log('[PulseRules] Rule set saved');
+        } catch (error) {
+            console.warn('[PulseRules] Could not save rule set:', error);
+        }
+    }
+
+    /**
+     * Revert to the default rule set and forget saved edits
+     */
+    reset() {
+        this.active = this._clone(this.defaults);
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('[PulseRules] Could not clear saved rule set:', error);
+        }
+        console.log('[PulseRules] Rule set reset to defaults');
+        this._notifyChange();
+    }
+
+    export() {
+        return JSON.stringify(this.active, null, 2);
+    }
+
+    /**
+     * Add default rules introduced since the set's base version.
+     * `baseVersion` records the default a saved set was derived from; sets
+     * saved before it existed are based on their own version. Rules the
+     * set already has (by id) are left as edited.
+     */
+    migrate(ruleSet) {
+        const migrated = this._clone(ruleSet);
+        const base = migrated.baseVersion || migrated.version;
+        const added = [];
+
+        this.migrations
+            .filter(migration => this._compareVersions(migration.version, base) > 0)
+            .forEach(migration => {
+                migration.addRules.forEach(id => {
+                    const rule = this.defaults.rules.find(r => r.id === id);
+                    if (!rule || migrated.rules.some(r => r.id === id)) return;
+                    migrated.rules.push(this._clone(rule));
+                    added.push(id);
+                });
+            });
+
+        if (this._compareVersions(this.defaults.version, base) > 0) migrated.baseVersion = this.defaults.version;
+        if (added.length > 0) console.log(`[PulseRules] Migrated saved rule set, added ${added.join(', ')}`);
+        return { ruleSet: migrated, added };
+    }
+
+    /* ==========================================
+       2. EDITING
+       ========================================== */
+
+    /**
+     * Patch one rule by id and bump the version to mark the edit
+     */
+    updateRule(ruleId, changes) {
+        const idx = this.active.rules.findIndex(r => r.id === ruleId);
+        if (idx === -1) throw new Error(`Unknown rule: ${ruleId}`);
+
+        const candidate = this._clone(this.active);
+        candidate.rules[idx] = { ...candidate.rules[idx], ...changes, id: ruleId };
+        candidate.version = this._bumpVersion(candidate.version);
+
+        return this.load(candidate);
+    }
+
+    /**
+     * Throw if a rule set is malformed
+     */
+    validate(ruleSet) {
+        if (!ruleSet || typeof ruleSet.version !== 'string') {
+            throw new Error('Rule set requires a version string');
+        }
+        if (!Array.isArray(ruleSet.rules)) {
+            throw new Error('Rule set requires a rules array');
+        }
+
+        ruleSet.rules.forEach((rule, idx) => {
+            if (!rule.id || !rule.field || !rule.protocol) {
+                throw new Error(`Rule #${idx} requires id, protocol and field`);
+            }
+            if (rule.transform && !PulseRuleSet.transforms[rule.transform]) {
+                throw new Error(`Rule ${rule.id} has unknown transform: ${rule.transform}`);
+            }
+            if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+                throw new Error(`Rule ${rule.id} requires at least one tier`);
+            }
+            rule.tiers.forEach(tier => {
+                const threshold = tier.lt !== undefined ? tier.lt : tier.gt;
+                if (!Number.isFinite(threshold) || !Number.isFinite(tier.penalty)) {
+                    throw new Error(`Rule ${rule.id} has a tier without a numeric lt/gt and penalty`);
+                }
+                if (tier.penalty < 0) {
+                    throw new Error(`Rule ${rule.id} has a negative penalty`);
+                }
+            });
+        });
+
+        return true;
+    }
+
+    /* ==========================================
+       3. EVALUATION
+       ========================================== */
+
+    /**
+     * Rules that apply to a protocol. Adapters may ship their own
+     * scoreRules, used when the active set has none for that protocol.
+     */
+    rulesFor(adapter) {
+        const protocolId = adapter ? adapter.id : null;
+        const own = this.active.rules.filter(r => r.protocol === protocolId);
+        const shared = this.active.rules.filter(r => r.protocol === '*');
+
+        if (own.length === 0 && adapter && adapter.scoreRules.length > 0) {
+            return [...adapter.scoreRules.map((rule, idx) => ({
+                id: `${adapter.id}.rule${idx + 1}`,
+                protocol: adapter.id,
+                label: rule.field,
+                ...rule
+            })), ...shared];
+        }
+        return [...own, ...shared];
+    }
+
+    /**
+     * Score protocol data and list every rule that fired.
+     * `asOf` (ms) anchors date transforms, e.g. for historical replays.
+     */
+    evaluate(protocolData, adapter, asOf = Date.now()) {
+        let score = 100; // Start at max
+        const breakdown = [];
+
+        this.rulesFor(adapter).forEach(rule => {
+            const transform = PulseRuleSet.transforms[rule.transform];
+            const input = transform ? transform(protocolData[rule.field], asOf) : protocolData[rule.field];
+
+            const tier = rule.tiers.find(t =>
+                (t.lt !== undefined && input < t.lt) ||
+                (t.gt !== undefined && input > t.gt)
+            );
+            if (!tier) return;
+
+            score -= tier.penalty;
+            breakdown.push({
+                ruleId: rule.id,
+                label: rule.label,
+                factor: rule.factor,
+                field: rule.field,
+                input: input,
+                unit: rule.unit || '',
+                condition: tier.lt !== undefined ? `< ${tier.lt}` : `> ${tier.gt}`,
+                penalty: tier.penalty
+            });
+        });
+
+        return {
+            // Clamp between 0-100
+            score: Math.max(0, Math.min(100, score)),
+            breakdown: breakdown,
+            ruleSetVersion: this.active.version
+        };
+    }
+
+    /* ==========================================
+       4. UI WIRING (dashboard.html)
+       ========================================== */
+
+    /**
+     * Wire import / export / reset controls and the threshold editor,
+     * and show the active version
+     */
+    initializeUI() {
+        const importInput = document.getElementById('import-rules');
+        if (importInput) {
+            importInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    this.load(await file.text());
+                    this.save();
+                } catch (error) {
+                    console.error('[PulseRules] Import failed:', error);
+                    alert('Rule set import failed: ' + error.message);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const exportBtn = document.getElementById('export-rules');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const blob = new Blob([this.export()], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `pulse-rules-v${this.active.version}.json`;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+            });
+        }
+
+        const resetBtn = document.getElementById('reset-rules');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.reset());
+        }
+
+        // One form per rule; saving goes through updateRule, which validates the edit
+        const editor = document.getElementById('rule-editor-list');
+        if (editor) {
+            editor.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const form = e.target;
+                const ruleId = form.dataset.ruleId;
+                try {
+                    this.updateRule(ruleId, { tiers: this._readTiers(form, ruleId) });
+                    this.save();
+                } catch (error) {
+                    console.error('[PulseRules] Rule update failed:', error);
+                    alert('Rule update failed: ' + error.message);
+                }
+            });
+        }
+
+        this._renderVersion();
+        this.renderEditor();
+        console.log('[PulseRules] UI initialized');
+    }
+
+    /**
+     * Render threshold and penalty inputs for every tier of every active rule
+     */
+    renderEditor() {
+        if (typeof document === 'undefined') return;
+        const editor = document.getElementById('rule-editor-list');
+        if (!editor) return;
+
+        const inputClass = 'w-full px-2 py-1 rounded bg-slate-800 border border-slate-700 text-slate-300';
+        editor.innerHTML = this.active.rules.map(rule => `
+            <form data-rule-id="${this._escape(rule.id)}" class="space-y-2 pt-3 border-t border-slate-800">
+                <p class="text-slate-300">${this._escape(rule.label || rule.id)}
+                    <span class="text-slate-500">${this._escape(rule.protocol)} &middot; ${this._escape(rule.field)}${rule.unit ? ` (${this._escape(rule.unit)})` : ''}</span>
+                </p>
+                ${rule.tiers.map(tier => `
+                    <div class="grid grid-cols-2 gap-2">
+                        <label class="flex items-center gap-2 text-slate-500">${tier.lt !== undefined ? '&lt;' : '&gt;'}
+                            <input name="threshold" type="number" step="any" required value="${tier.lt !== undefined ? tier.lt : tier.gt}" class="${inputClass}" />
+                        </label>
+                        <label class="flex items-center gap-2 text-slate-500">-
+                            <input name="penalty" type="number" step="any" min="0" required value="${tier.penalty}" class="${inputClass}" />
+                            pts
+                        </label>
+                    </div>
+                `).join('')}
+                <button type="submit" class="text-slate-400 hover:text-green-400 transition">Save</button>
+            </form>
+        `).join('');
+    }
+
+    /* ==========================================
+       5. UTILITY FUNCTIONS
+       ========================================== */
+
+    _notifyChange() {
+        this._renderVersion();
+        this.renderEditor();
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('pulseRulesChanged', { detail: this.active }));
+        }
+    }
+
+    _renderVersion() {
+        if (typeof document === 'undefined') return;
+        const versionEl = document.getElementById('rule-set-version');
+        if (versionEl) versionEl.textContent = `${this.active.name || 'Custom'} v${this.active.version}`;
+    }
+
+    /**
+     * Internal: Tiers from an editor form, keeping each tier's lt/gt direction
+     */
+    _readTiers(form, ruleId) {
+        const rule = this.active.rules.find(r => r.id === ruleId);
+        if (!rule) throw new Error(`Unknown rule: ${ruleId}`);
+
+        const thresholds = form.querySelectorAll('[name="threshold"]');
+        const penalties = form.querySelectorAll('[name="penalty"]');
+        return rule.tiers.map((tier, idx) => ({
+            [tier.lt !== undefined ? 'lt' : 'gt']: parseFloat(thresholds[idx].value),
+            penalty: parseFloat(penalties[idx].value)
+        }));
+    }
+
+    /**
+     * Internal: Labels and ids come from imported rule sets, escape before innerHTML
+     */
+    _escape(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    _bumpVersion(version) {
+        const parts = String(version).split('.');
+        const last = parseInt(parts[parts.length - 1], 10);
+        parts[parts.length - 1] = isNaN(last) ? '1' : String(last + 1);
+        return parts.join('.');
+    }
+
+    _compareVersions(a, b) {
+        const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+        }
+        return 0;
+    }
+
+    _clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+PulseRuleSet.transforms = {
+    daysUntil: (dateString, asOf = Date.now()) => {
+        const diffMs = new Date(dateString) - asOf;
+        return Math.ceil(diffMs / (1000 * 60 * 60 * 24));
+    },
+    hoursUntil: (dateString, asOf = Date.now()) => {
+        const diffMs = new Date(dateString) - asOf;
+        return diffMs / (1000 * 60 * 60);
+    },
+    abs: (value) => Math.abs(value)
+};
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const pulseRules = new PulseRuleSet();
+
+// Pages restore saved edits and wire controls; the monitor worker is sent rules instead
+if (typeof document !== 'undefined') {
+    pulseRules.loadFromStorage();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => pulseRules.initializeUI());
+    } else {
+        pulseRules.initializeUI();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PulseRuleSet = PulseRuleSet;
+    window.pulseRules = pulseRules;
+}
@@ -4,10 +4,18 @@
    Extracted event handlers from reports.html
    ======================================== */
 
+/**
+ * Modules the handlers work with, injected by initializeReports
+ */
+const reportsServices = { audit: null };
+
 /**
  * Initialize reports page interactions
+ * @param {Object} services - { audit: AuditManager }
  */
-function initializeReports() {
+function initializeReports(services = {}) {
+    reportsServices.audit = services.audit || null;
+
     // Filter button handlers
     document.querySelectorAll('.filter-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -17,8 +25,8 @@ function initializeReports() {
             console.log('[Reports] Filtered by:', filterType);
             
             // Call audit-manager.js if available
-            if (window.auditManager) {
-                window.auditManager.filterLogs(filterType);
+            if (reportsServices.audit) {
+                reportsServices.audit.filterLogs(filterType);
             }
         });
     });
@@ -37,8 +45,8 @@ function initializeReports() {
             console.log('[Reports] Filtering by protocol:', protocol);
             
             // Call audit-manager.js if available
-            if (window.auditManager) {
-                window.auditManager.filterByProtocol(protocol);
+            if (reportsServices.audit) {
+                reportsServices.audit.filterByProtocol(protocol);
             }
         });
     }
@@ -60,12 +68,13 @@ function handleDownloadCSV() {
     console.log('[Reports] Generating', currency, 'tax export...');
 
     // Call audit-manager.js if available
-    if (window.auditManager) {
-        window.auditManager.generateTaxCSV(currency)
+    const { audit } = reportsServices;
+    if (audit) {
+        audit.generateTaxCSV(currency)
             .then(csv => {
                 if (csv) {
                     const filename = `yieldguard-tax-export-${currency}-${new Date().toISOString().split('T')[0]}.csv`;
-                    window.auditManager.downloadCSV(csv, filename);
+                    audit.downloadCSV(csv, filename);
                     console.log('[Reports] CSV generated and downloaded:', filename);
                 } else {
                     console.error('[Reports] CSV generation failed');
@@ -83,11 +92,13 @@ function handleDownloadCSV() {
     }
 }
 
-// Auto-initialize on page load
+// Auto-initialize on page load, wiring in the page's module instances
+const bootReports = () => initializeReports({ audit: window.auditManager });
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeReports);
+    document.addEventListener('DOMContentLoaded', bootReports);
 } else {
-    initializeReports();
+    bootReports();
 }
 
 // Export for modular use
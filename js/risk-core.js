@@ -11,9 +11,41 @@ class RiskCoreEngine {
         this.airtableApiKey = config.airtableKey;
         this.airtableBaseId = config.airtableBaseId;
         this.pollingInterval = config.pollingInterval || 30000; // 30s default
+        this.adapters = config.adapters || new ProtocolAdapterRegistry();
+        this.history = config.history || null;
+        this.watchlist = config.watchlist || null;
+        this.forecaster = config.forecaster || null;
+        this.contagion = config.contagion || null;
+        this.schemas = config.schemas || null;
+        this.events = config.events || null;
+        this.rules = config.rules || new PulseRuleSet();
+        this.health = config.health || new SourceHealthMonitor({
+            baseDelayMs: this.pollingInterval,
+            staleAfterMs: this.pollingInterval * 3
+        });
+        this.adaptivePolling = {
+            minMs: 10000,                          // Fastest cadence (Critical / boundary near)
+            maxMs: 5 * 60 * 1000,                  // Slowest cadence (all Safe)
+            boundaryWindowMs: 24 * 60 * 60 * 1000, // Maturity/cooldown closer than this polls at minMs
+            hiddenFactor: 4,                       // Interval multiplier while every tab is hidden
+            ...config.adaptivePolling
+        };
+        this.concentration = {
+            threshold: 0.5,   // Largest share of exposure before the penalty starts
+            maxPenalty: 15,   // Points deducted when a single protocol holds everything
+            ...config.concentration
+        };
         this.activeWatchlist = [];
         this.lastPulseScores = {};
+        this.publishedScores = {};         // Key -> { score, status } last published on the event bus
+        this.reportedFailures = {};        // Adapter id -> lastAttemptAt of the last sourceFailed
+        this.lastData = null;
         this.isPolling = false;
+        this.pollTimer = null;
+        this.pollNow = null;
+        this.nextPollAt = {};              // Adapter id -> ms timestamp it is next due
+        this.clientVisibility = new Map(); // Tab / port -> hidden
+        this.monitorPort = null;
     }
 
     /* ==========================================
@@ -21,101 +53,84 @@ class RiskCoreEngine {
        ========================================== */
 
     /**
-     * Fetch Pendle V2 APY data via n8n
+     * Fetch and normalize one protocol's data via its adapter webhook
      */
-    async fetchPendleAPY() {
+    async fetchProtocolData(adapter) {
         try {
-            const response = await fetch(`${this.n8nBaseUrl}/webhook/pendle-apy`, {
+            const response = await fetch(`${this.n8nBaseUrl}/webhook/${adapter.webhook}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    action: 'fetch_current_apy',
+                    action: adapter.action,
                     timestamp: new Date().toISOString()
                 })
             });
 
-            if (!response.ok) throw new Error(`Pendle API error: ${response.status}`);
+            if (!response.ok) throw new Error(`${adapter.name} API error: ${response.status}`);
             
             const data = await response.json();
-            console.log('[RiskCore] Pendle APY fetched:', data);
-            
-            return {
-                protocol: 'Pendle',
-                apy: parseFloat(data.apy),
-                maturityDate: data.maturityDate,
-                confidence: data.confidence || 0.95,
-                timestamp: new Date().toISOString()
-            };
+            console.log(`[RiskCore] ${adapter.name} data fetched:`, data);
+
+            // Reject broken payloads before they turn into NaN scores
+            if (this.schemas) this.schemas.assert(adapter.webhook, data);
+
+            const normalized = this.adapters.normalize(adapter, data);
+            this.health.recordSuccess(adapter.id, normalized);
+            return normalized;
         } catch (error) {
-            console.error('[RiskCore] Pendle fetch failed:', error);
+            console.error(`[RiskCore] ${adapter.name} fetch failed:`, error);
+            this.health.recordFailure(adapter.id, error);
             return null;
         }
     }
 
+    /**
+     * Fetch every registered protocol in parallel, keyed by adapter id
+     * (or `${id}:${market}` per market for multi-market adapters).
+     * Sources not yet due (adaptive polling) or in backoff (or with an open
+     * circuit) are skipped and served from their last good value; every
+     * value carries a `freshness` summary.
+     */
+    async fetchAllProtocols(now = Date.now()) {
+        const adapters = this.adapters.list();
+        const results = await Promise.all(adapters.map(adapter => {
+            if (now < (this.nextPollAt[adapter.id] || 0)) return null;
+            if (!this.health.canAttempt(adapter.id)) {
+                console.log(`[RiskCore] ${adapter.name} in backoff, serving last good value`);
+                return null;
+            }
+            return this.fetchProtocolData(adapter);
+        }));
+
+        const data = {};
+        adapters.forEach((adapter, idx) => {
+            const value = results[idx]
+                ? { ...results[idx], freshness: this.health.getFreshness(adapter.id) }
+                : this.health.getLastGood(adapter.id);
+            Object.assign(data, this.adapters.expand(adapter, value));
+        });
+        return data;
+    }
+
+    /**
+     * Fetch Pendle V2 APY data via n8n
+     */
+    async fetchPendleAPY() {
+        return this.fetchProtocolData(this.adapters.get('pendle'));
+    }
+
     /**
      * Fetch Ethena funding rates via n8n
      */
     async fetchEthenaFundingRate() {
-        try {
-            const response = await fetch(`${this.n8nBaseUrl}/webhook/ethena-funding`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    action: 'fetch_funding_rate',
-                    timestamp: new Date().toISOString()
-                })
-            });
-
-            if (!response.ok) throw new Error(`Ethena API error: ${response.status}`);
-            
-            const data = await response.json();
-            console.log('[RiskCore] Ethena funding rate fetched:', data);
-            
-            return {
-                protocol: 'Ethena',
-                fundingRate: parseFloat(data.fundingRate),
-                apy: parseFloat(data.apy),
-                depegRisk: parseFloat(data.depegRisk) || 0.01,
-                lastUpdate: data.lastUpdate,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('[RiskCore] Ethena fetch failed:', error);
-            return null;
-        }
+        return this.fetchProtocolData(this.adapters.get('ethena'));
     }
 
     /**
      * Fetch Falcon cooldown state via n8n
      */
     async fetchFalconCooldown() {
-        try {
-            const response = await fetch(`${this.n8nBaseUrl}/webhook/falcon-cooldown`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    action: 'fetch_cooldown_state',
-                    timestamp: new Date().toISOString()
-                })
-            });
-
-            if (!response.ok) throw new Error(`Falcon API error: ${response.status}`);
-            
-            const data = await response.json();
-            console.log('[RiskCore] Falcon cooldown fetched:', data);
-            
-            return {
-                protocol: 'Falcon',
-                cooldownDays: parseFloat(data.cooldownDays),
-                cooldownEndDate: data.cooldownEndDate,
-                apy: parseFloat(data.apy),
-                lockupExpiration: data.lockupExpiration,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('[RiskCore] Falcon fetch failed:', error);
-            return null;
-        }
+        return this.fetchProtocolData(this.adapters.get('falcon'));
     }
 
     /* ==========================================
@@ -129,50 +144,163 @@ class RiskCoreEngine {
      * - Liveness (protocol health)
      */
     calculatePulseScore(protocolData) {
-        let score = 100; // Start at max
+        return this.explainPulseScore(protocolData).score;
+    }
 
-        if (!protocolData) return 0;
+    /**
+     * Calculate PulseScore with the list of rules that fired,
+     * the input that triggered each and the points it cost.
+     * Pass `asOf` (ms) to score a historical snapshot at its own time.
+     * Contagion attached by applyContagion() is deducted as one
+     * breakdown item per upstream dependency.
+     */
+    explainPulseScore(protocolData, asOf = Date.now()) {
+        const result = this.explainBaseScore(protocolData, asOf);
+        const contagion = protocolData && protocolData.contagion;
+        if (!contagion || contagion.penalty <= 0) return result;
 
-        // Factor 1: Temporal Risk (0-30 points)
-        // Penalizes shorter cooldown windows and approaching maturity
-        if (protocolData.protocol === 'Pendle') {
-            const daysToMaturity = this._daysUntilDate(protocolData.maturityDate);
-            if (daysToMaturity < 1) score -= 30;
-            else if (daysToMaturity < 3) score -= 20;
-            else if (daysToMaturity < 7) score -= 10;
-        }
+        const items = contagion.sources
+            .filter(source => source.penalty > 0)
+            .map(source => ({
+                ruleId: `contagion.${source.from}`,
+                label: `Contagion from ${source.name}${source.drivers.length ? ': ' + source.drivers.join(', ') : ''}`,
+                factor: 'contagion',
+                field: 'upstreamScore',
+                input: source.upstreamScore,
+                unit: '',
+                condition: `< ${this.contagion ? this.contagion.safeScore : 75}, weight ${source.weight}`,
+                penalty: source.penalty
+            }));
 
-        if (protocolData.protocol === 'Falcon') {
-            const cooldownDays = protocolData.cooldownDays;
-            if (cooldownDays < 3) score -= 25;
-            else if (cooldownDays < 5) score -= 15;
-            else if (cooldownDays < 7) score -= 5;
+        return {
+            ...result,
+            score: Math.max(0, result.score - contagion.penalty),
+            breakdown: result.breakdown.concat(items)
+        };
+    }
+
+    /**
+     * PulseScore from this protocol's own rules, without contagion
+     */
+    explainBaseScore(protocolData, asOf = Date.now()) {
+        if (!protocolData) {
+            return { score: 0, breakdown: [], ruleSetVersion: this.rules.active.version };
         }
 
-        // Factor 2: De-Peg Deviation (0-35 points)
-        // Penalizes funding rate instability and de-peg risk
-        if (protocolData.protocol === 'Ethena') {
-            const fundingRate = Math.abs(protocolData.fundingRate);
-            const depegRisk = protocolData.depegRisk || 0.01;
+        const adapter = this.adapters.find(protocolData.protocolId || protocolData.protocol);
+        return this.rules.evaluate(protocolData, adapter, asOf);
+    }
 
-            if (fundingRate > 0.05) score -= 20; // High positive funding
-            else if (fundingRate > 0.02) score -= 10;
+    /**
+     * Propagate upstream deterioration through the dependency graph
+     * onto each downstream entry of a poll result
+     */
+    applyContagion(data) {
+        if (!this.contagion) return data;
+        return this.contagion.enrich(data, protocolData => this.explainBaseScore(protocolData));
+    }
 
-            if (depegRisk > 0.02) score -= 15; // >2% de-peg risk
-            else if (depegRisk > 0.01) score -= 8;
-        }
+    /**
+     * Score and status for every protocol in a poll result. Protocols with
+     * no data yet (never fetched, or failing with no last good value) are
+     * left out rather than scored as 0.
+     */
+    buildScoreSnapshot(data) {
+        const snapshot = {};
+        Object.entries(data).forEach(([protocol, protocolData]) => {
+            if (!protocolData) return;
+            const result = this.explainPulseScore(protocolData);
+            snapshot[protocol] = {
+                score: result.score,
+                status: this.getStatusFromScore(result.score).status,
+                breakdown: result.breakdown,
+                ruleSetVersion: result.ruleSetVersion
+            };
+        });
+        return snapshot;
+    }
 
-        // Factor 3: Liveness (0-35 points)
-        // Assumes confidence/health metric is provided
-        if (protocolData.confidence !== undefined) {
-            const confidence = protocolData.confidence;
-            if (confidence < 0.8) score -= 30;
-            else if (confidence < 0.9) score -= 15;
-            else if (confidence < 0.95) score -= 5;
+    /**
+     * Global PulseScore weighted by watchlist USD exposure, less a
+     * concentration penalty when one protocol dominates. Falls back to
+     * equal weights when the watchlist has no amounts for scored protocols.
+     */
+    calculateGlobalScore(data) {
+        const scored = Object.entries(data)
+            .filter(([, protocolData]) => protocolData)
+            .map(([protocol, protocolData]) => ({
+                protocol,
+                adapterId: protocolData.protocolId || protocol,
+                displayName: protocolData.displayName,
+                score: this.calculatePulseScore(protocolData)
+            }));
+
+        if (scored.length === 0) {
+            return { score: 0, baseScore: 0, weighting: 'none', totalExposure: 0, contributions: [], concentration: null };
         }
 
-        // Clamp between 0-100
-        return Math.max(0, Math.min(100, score));
+        // Watchlist amounts are per protocol; split them evenly across its markets
+        const exposure = this._exposureByProtocol();
+        const entriesPerAdapter = {};
+        scored.forEach(s => { entriesPerAdapter[s.adapterId] = (entriesPerAdapter[s.adapterId] || 0) + 1; });
+        const exposureOf = (s) => (exposure[s.adapterId] || 0) / entriesPerAdapter[s.adapterId];
+
+        const totalExposure = scored.reduce((sum, s) => sum + exposureOf(s), 0);
+        const weighting = totalExposure > 0 ? 'exposure' : 'equal';
+
+        const contributions = scored.map(s => {
+            const exposureUsd = exposureOf(s);
+            const weight = weighting === 'exposure' ? exposureUsd / totalExposure : 1 / scored.length;
+            const adapter = this.adapters.get(s.adapterId);
+            return {
+                protocol: s.protocol,
+                name: s.displayName || (adapter ? adapter.name : s.protocol),
+                exposureUsd: exposureUsd,
+                weight: weight,
+                score: s.score,
+                contribution: s.score * weight
+            };
+        }).sort((a, b) => b.weight - a.weight);
+
+        const baseScore = contributions.reduce((sum, c) => sum + c.contribution, 0);
+        const concentration = weighting === 'exposure' ? this._concentrationPenalty(contributions[0]) : null;
+        const penalty = concentration ? concentration.penalty : 0;
+
+        return {
+            score: Math.max(0, Math.round(baseScore - penalty)),
+            baseScore: baseScore,
+            weighting: weighting,
+            totalExposure: totalExposure,
+            contributions: contributions,
+            concentration: concentration
+        };
+    }
+
+    /**
+     * Internal: Linear penalty from 0 at the threshold share to maxPenalty at 100%
+     */
+    _concentrationPenalty(largest) {
+        const { threshold, maxPenalty } = this.concentration;
+        const excess = Math.max(0, largest.weight - threshold) / (1 - threshold);
+        return {
+            protocol: largest.protocol,
+            share: largest.weight,
+            penalty: Math.round(excess * maxPenalty)
+        };
+    }
+
+    /**
+     * Internal: Sum watchlist USD amounts per adapter id
+     */
+    _exposureByProtocol() {
+        const exposure = {};
+        this.activeWatchlist.forEach(item => {
+            const adapter = this.adapters.find(item.protocol);
+            const amount = parseFloat(item.amount);
+            if (!adapter || isNaN(amount)) return;
+            exposure[adapter.id] = (exposure[adapter.id] || 0) + amount;
+        });
+        return exposure;
     }
 
     /**
@@ -203,16 +331,14 @@ class RiskCoreEngine {
 
         // Create ticker items from protocol data
         const items = [];
-        
-        if (data.pendle) {
-            items.push(`Pendle: <span class="text-green-400 font-semibold">${data.pendle.apy?.toFixed(2)}%</span> APR`);
-        }
-        if (data.ethena) {
-            items.push(`Ethena: <span class="text-green-400 font-semibold">${data.ethena.apy?.toFixed(2)}%</span> APR`);
-        }
-        if (data.falcon) {
-            items.push(`Falcon: <span class="text-yellow-400 font-semibold">${data.falcon.apy?.toFixed(2)}%</span> APR`);
-        }
+
+        Object.entries(data).forEach(([key, protocolData]) => {
+            const adapter = this.adapters.find(protocolData ? protocolData.protocolId : key);
+            if (!protocolData || !adapter) return;
+
+            const value = protocolData[adapter.ticker.field];
+            items.push(`${protocolData.displayName || adapter.name}: <span class="${adapter.ticker.color} font-semibold">${value?.toFixed(2)}%</span> APR`);
+        });
 
         console.log('[RiskCore] Updating PulseTicker:', items);
         // Ticker scroll handled by CSS animation
@@ -222,17 +348,25 @@ class RiskCoreEngine {
      * Update PulseScore cards on dashboard.html
      */
     updatePulseScoreCards(scores) {
-        const pulseCards = {
-            'ethena': document.querySelector('[data-protocol="ethena"]'),
-            'falcon': document.querySelector('[data-protocol="falcon"]'),
-            'pendle': document.querySelector('[data-protocol="pendle"]')
-        };
+        this._pruneMarketCards(scores);
 
         Object.entries(scores).forEach(([protocol, score]) => {
-            const card = document.querySelector(`[data-protocol="${protocol}"]`);
+            const adapter = this.adapters.find(score ? score.protocolId : protocol);
+            if (!adapter) return;
+
+            const card = document.querySelector(`[data-protocol="${protocol}"]`) || this._createProtocolCard(adapter, protocol, score);
             if (!card) return;
 
-            const scoreValue = this.calculatePulseScore(score);
+            // Update freshness (live / stale since / source down)
+            this._renderFreshness(card, score ? score.freshness : this.health.getFreshness(protocol));
+
+            if (!score) {
+                this._renderNoData(card);
+                return;
+            }
+
+            const result = this.explainPulseScore(score);
+            const scoreValue = result.score;
             this.lastPulseScores[protocol] = scoreValue;
             
             const status = this.getStatusFromScore(scoreValue);
@@ -265,10 +399,229 @@ class RiskCoreEngine {
                 pulseDot.className = `w-3 h-3 rounded-full pulse-indicator ${status.color.replace('text-', 'bg-')}`;
             }
 
+            // Update market details (Pendle PT/YT markets)
+            if (score.marketKey) this._renderMarketInfo(card, score);
+
+            // Update negative-funding outlook (Ethena)
+            if (score.fundingForecast) this._renderFundingForecast(card, score.fundingForecast);
+
+            // Update score breakdown
+            this._renderBreakdown(card, result);
+
             console.log(`[RiskCore] Updated ${protocol} card: score=${scoreValue}, status=${status.status}`);
         });
     }
 
+    /**
+     * Internal: Show how old a card's data is and whether its source is down
+     */
+    _renderFreshness(card, freshness) {
+        let el = card.querySelector('[data-freshness]');
+        if (!el) {
+            el = document.createElement('p');
+            el.dataset.freshness = '';
+            const body = card.querySelector('.space-y-3');
+            if (body) body.prepend(el);
+            else card.appendChild(el);
+        }
+
+        card.classList.toggle('opacity-60', !!freshness && freshness.state !== 'live');
+
+        if (!freshness || freshness.state === 'live') {
+            el.className = 'hidden';
+            el.textContent = '';
+            return;
+        }
+
+        const since = freshness.lastSuccessAt
+            ? `${freshness.lastSuccessAt.replace('T', ' ').slice(11, 16)} UTC (${this._formatAge(freshness.ageMs)} ago)`
+            : 'never';
+
+        if (freshness.state === 'stale') {
+            el.className = 'text-xs font-semibold text-yellow-400';
+            el.textContent = `Stale since ${since}`;
+        } else {
+            el.className = 'text-xs font-semibold text-red-400';
+            el.textContent = `Source down · last good data: ${since}`;
+        }
+        if (freshness.invalidPayloads > 0) {
+            el.textContent += ` · ${freshness.invalidPayloads} invalid payload${freshness.invalidPayloads === 1 ? '' : 's'}`;
+        }
+        el.title = freshness.lastError || '';
+    }
+
+    /**
+     * Internal: Blank out a card whose source has never returned data
+     */
+    _renderNoData(card) {
+        const scoreEl = card.querySelector('[data-score]');
+        if (scoreEl) {
+            scoreEl.textContent = '--';
+            scoreEl.className = 'font-semibold text-slate-500';
+        }
+
+        const statusIndicator = card.querySelector('[data-status]');
+        if (statusIndicator) {
+            statusIndicator.textContent = 'No Data';
+            statusIndicator.className = 'text-xs text-slate-500';
+        }
+    }
+
+    /**
+     * Internal: Render "why this score" list of fired rules into a card
+     */
+    _renderBreakdown(card, result) {
+        let details = card.querySelector('[data-breakdown]');
+        if (!details) {
+            details = document.createElement('details');
+            details.dataset.breakdown = '';
+            details.className = 'mt-3 text-xs';
+            card.appendChild(details);
+        }
+
+        const rows = result.breakdown.map(item => {
+            const input = typeof item.input === 'number' ? +item.input.toFixed(4) : item.input;
+            return `<li class="flex justify-between gap-2">
+                <span class="text-slate-400">${item.label} <span class="text-slate-600">(${input}${item.unit ? ' ' + item.unit : ''} ${item.condition})</span></span>
+                <span class="text-red-400 font-semibold">-${item.penalty}</span>
+            </li>`;
+        }).join('');
+
+        details.innerHTML = `
+            <summary class="cursor-pointer text-slate-500 hover:text-slate-300">Why this score? (rules v${result.ruleSetVersion})</summary>
+            <ul class="mt-2 space-y-1">
+                ${rows || '<li class="text-slate-500">No penalties applied</li>'}
+            </ul>
+        `;
+    }
+
+    /**
+     * Internal: Append a PulseScore card to #pulse-tower for adapters
+     * (or individual markets) without markup
+     */
+    _createProtocolCard(adapter, key = adapter.id, protocolData = null) {
+        const tower = document.getElementById('pulse-tower');
+        if (!tower) return null;
+
+        const isMarket = !!(protocolData && protocolData.marketKey);
+        const card = document.createElement('div');
+        card.className = 'bg-slate-900 border border-slate-700 rounded-lg p-4 hover:border-slate-600 transition';
+        card.dataset.protocol = key;
+        if (isMarket) card.dataset.market = adapter.id;
+        card.innerHTML = `
+            <div class="flex items-start justify-between mb-4">
+                <div>
+                    <h3 class="font-semibold">${isMarket ? protocolData.displayName : adapter.name}</h3>
+                    <p class="text-xs text-slate-500">${isMarket ? `${protocolData.positionType} · ${adapter.subtitle || ''}` : adapter.subtitle || ''}</p>
+                </div>
+                <div class="w-3 h-3 bg-slate-500 rounded-full pulse-indicator"></div>
+            </div>
+            <div class="space-y-3">
+                <div>
+                    <p class="text-xs text-slate-500 mb-1">PulseScore</p>
+                    <div class="flex items-center gap-2">
+                        <div class="flex-1 h-2 bg-slate-800 rounded-full overflow-hidden">
+                            <div class="h-full w-0 risk-progress-inner"></div>
+                        </div>
+                        <span class="text-sm font-semibold" data-score>--</span>
+                    </div>
+                </div>
+                <div>
+                    <p class="text-xs text-slate-500 mb-1">Status</p>
+                    <p class="text-xs text-slate-400" data-status>Pending</p>
+                </div>
+            </div>
+        `;
+        tower.appendChild(card);
+
+        console.log('[RiskCore] Created card for protocol:', key);
+        return card;
+    }
+
+    /**
+     * Internal: Implied / underlying APY and maturity countdown for a market card
+     */
+    _renderMarketInfo(card, market) {
+        let el = card.querySelector('[data-market-info]');
+        if (!el) {
+            el = document.createElement('div');
+            el.dataset.marketInfo = '';
+            el.className = 'grid grid-cols-3 gap-2 text-xs';
+            const body = card.querySelector('.space-y-3');
+            if (body) body.appendChild(el);
+            else card.appendChild(el);
+        }
+
+        const days = PulseRuleSet.transforms.daysUntil(market.maturityDate);
+        const formatApy = (apy) => isNaN(apy) ? '--' : `${apy.toFixed(2)}%`;
+
+        el.innerHTML = `
+            <div><p class="text-slate-500">Implied</p><p class="text-slate-300 font-semibold">${formatApy(market.impliedApy)}</p></div>
+            <div><p class="text-slate-500">Underlying</p><p class="text-slate-300 font-semibold">${formatApy(market.underlyingApy)}</p></div>
+            <div><p class="text-slate-500">Maturity</p><p class="font-semibold ${days < 3 ? 'text-orange-400' : 'text-slate-300'}">${isNaN(days) ? '--' : days <= 0 ? 'Matured' : `${days}d`}</p></div>
+        `;
+    }
+
+    /**
+     * Internal: Negative-funding probability and expected duration for a card
+     */
+    _renderFundingForecast(card, forecast) {
+        let el = card.querySelector('[data-funding-forecast]');
+        if (!el) {
+            el = document.createElement('div');
+            el.dataset.fundingForecast = '';
+            el.className = 'text-xs';
+            const body = card.querySelector('.space-y-3');
+            if (body) body.appendChild(el);
+            else card.appendChild(el);
+        }
+
+        if (forecast.probNegative === null) {
+            el.innerHTML = `<p class="text-slate-500 mb-1">Funding outlook</p><p class="text-slate-600">Collecting funding history (${forecast.samples} samples)</p>`;
+            return;
+        }
+
+        const prob = forecast.probNegative * 100;
+        const probColor = prob >= 60 ? 'text-red-400' : prob >= 30 ? 'text-orange-400' : 'text-green-400';
+        const trend = forecast.slopePerHour >= 0 ? '↑' : '↓';
+        const hours = forecast.expectedNegativeHours;
+
+        el.innerHTML = `
+            <p class="text-slate-500 mb-1">Funding outlook (${forecast.horizonHours}h)</p>
+            <div class="flex justify-between">
+                <span class="text-slate-400">Negative funding</span>
+                <span class="font-semibold ${probColor}">${prob.toFixed(0)}%</span>
+            </div>
+            <div class="flex justify-between">
+                <span class="text-slate-400">${forecast.current < 0 ? 'Expected to last' : 'Typical episode'}</span>
+                <span class="text-slate-300">~${hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${Math.round(hours)}h`}</span>
+            </div>
+            <div class="flex justify-between">
+                <span class="text-slate-400">EWMA ${trend}</span>
+                <span class="text-slate-300">${(forecast.ewma * 100).toFixed(3)}%</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Internal: Drop cards of markets no longer reported, and hide an adapter's
+     * single-market markup once it reports per-market entries
+     */
+    _pruneMarketCards(scores) {
+        const tower = document.getElementById('pulse-tower');
+        if (!tower) return;
+
+        tower.querySelectorAll('[data-market]').forEach(card => {
+            if (!(card.dataset.protocol in scores)) card.remove();
+        });
+
+        this.adapters.list().forEach(adapter => {
+            const baseCard = tower.querySelector(`[data-protocol="${adapter.id}"]`);
+            const hasMarkets = Object.keys(scores).some(key => key.startsWith(`${adapter.id}:`));
+            if (baseCard) baseCard.classList.toggle('hidden', hasMarkets && !(adapter.id in scores));
+        });
+    }
+
     /**
      * Update global PulseScore gauge on landing page
      */
@@ -276,17 +629,15 @@ class RiskCoreEngine {
         const globalScoreEl = document.getElementById('global-score');
         if (!globalScoreEl) return;
 
-        // Calculate average across protocols
-        const values = Object.values(scores);
-        const avgScore = values.length > 0 
-            ? Math.round(values.reduce((a, b) => a + this.calculatePulseScore(b), 0) / values.length)
-            : 0;
+        // Exposure-weighted score across protocols
+        const result = this.calculateGlobalScore(scores);
+        const globalScore = result.score;
 
-        const status = this.getStatusFromScore(avgScore);
-        const arcPercent = (avgScore / 100) * 283; // Circle circumference
+        const status = this.getStatusFromScore(globalScore);
+        const arcPercent = (globalScore / 100) * 283; // Circle circumference
 
-        // Find SVG circle element
-        const circle = globalScoreEl.querySelector('circle[stroke="#22c55e"]');
+        // Score arc is the second circle (first is the track)
+        const circle = globalScoreEl.querySelector('circle:nth-of-type(2)');
         if (circle) {
             circle.setAttribute('stroke-dasharray', `${arcPercent} ${376.8 - arcPercent}`);
             circle.setAttribute('stroke', this._getHexColor(status.color));
@@ -295,7 +646,7 @@ class RiskCoreEngine {
         // Update score text
         const scoreText = globalScoreEl.querySelector('text:nth-of-type(1)');
         if (scoreText) {
-            scoreText.textContent = avgScore;
+            scoreText.textContent = globalScore;
             scoreText.setAttribute('fill', this._getHexColor(status.color));
         }
 
@@ -305,53 +656,88 @@ class RiskCoreEngine {
             statusText.setAttribute('fill', this._getHexColor(status.color));
         }
 
-        console.log('[RiskCore] Updated global score:', avgScore);
+        this._renderContributions(globalScoreEl, result);
+
+        console.log('[RiskCore] Updated global score:', globalScore, `(${result.weighting} weighting)`);
+    }
+
+    /**
+     * Internal: Hover tooltip listing each protocol's share of the global score
+     */
+    _renderContributions(globalScoreEl, result) {
+        let tooltip = globalScoreEl.querySelector('[data-contributions]');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.dataset.contributions = '';
+            tooltip.className = 'hidden group-hover:block absolute left-1/2 -translate-x-1/2 top-full mt-2 w-72 z-20 bg-slate-900 border border-slate-700 rounded-lg p-3 text-xs shadow-lg';
+            globalScoreEl.classList.add('group');
+            globalScoreEl.appendChild(tooltip);
+        }
+
+        const formatUsd = (amount) => '$' + Math.round(amount).toLocaleString('en-US');
+
+        const rows = result.contributions.map(c => `
+            <li class="flex justify-between gap-2">
+                <span class="text-slate-300">${c.name}
+                    <span class="text-slate-500">${result.weighting === 'exposure' ? formatUsd(c.exposureUsd) + ' · ' : ''}${(c.weight * 100).toFixed(1)}%</span>
+                </span>
+                <span class="text-slate-400">${c.score} → <span class="font-semibold text-slate-200">${c.contribution.toFixed(1)}</span></span>
+            </li>
+        `).join('');
+
+        let footer = '';
+        if (result.weighting === 'equal') {
+            footer = '<p class="mt-2 text-slate-500">No watchlist amounts found, protocols weighted equally</p>';
+        } else if (result.concentration && result.concentration.penalty > 0) {
+            const dominant = result.contributions[0];
+            footer = `<p class="mt-2 flex justify-between text-orange-400">
+                <span>Concentration: ${dominant.name} ${(result.concentration.share * 100).toFixed(0)}% of exposure</span>
+                <span class="font-semibold">-${result.concentration.penalty}</span>
+            </p>`;
+        }
+
+        tooltip.innerHTML = `
+            <p class="text-slate-400 mb-2">Contribution to global score${result.weighting === 'exposure' ? ` (${formatUsd(result.totalExposure)} exposure)` : ''}</p>
+            <ul class="space-y-1">
+                ${rows || '<li class="text-slate-500">No protocol data yet</li>'}
+            </ul>
+            ${footer}
+        `;
     }
 
     /* ==========================================
-       4. AIRTABLE SYNC - WATCHLIST UPDATES
+       4. WATCHLIST - EXPOSURE SOURCE
        ========================================== */
 
     /**
-     * Push user watchlist changes to Airtable
+     * Load active positions (protocol + USD amount) from the watchlist
+     * manager, the single source of truth synced with Airtable
      */
-    async syncWatchlistToAirtable(watchlist) {
-        if (!this.airtableApiKey || !this.airtableBaseId) {
-            console.warn('[RiskCore] Airtable credentials not configured');
-            return;
+    async fetchWatchlist() {
+        if (!this.watchlist) {
+            console.warn('[RiskCore] Watchlist manager not loaded');
+            return this.activeWatchlist;
         }
 
-        try {
-            const response = await fetch(
-                `https://api.airtable.com/v0/${this.airtableBaseId}/Watchlist`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.airtableApiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        records: watchlist.map(item => ({
-                            fields: {
-                                Protocol: item.protocol,
-                                Amount: item.amount,
-                                DateAdded: new Date().toISOString(),
-                                Status: 'Active'
-                            }
-                        }))
-                    })
-                }
-            );
+        await this.watchlist.ready;
+        this.activeWatchlist = this.watchlist.getActive().map(item => ({
+            protocol: item.protocol,
+            amount: item.amount
+        }));
 
-            if (!response.ok) throw new Error(`Airtable error: ${response.status}`);
-            
-            const data = await response.json();
-            console.log('[RiskCore] Watchlist synced to Airtable:', data);
-            return data;
-        } catch (error) {
-            console.error('[RiskCore] Airtable sync failed:', error);
+        console.log('[RiskCore] Watchlist loaded:', this.activeWatchlist);
+        return this.activeWatchlist;
+    }
+
+    /**
+     * Push watchlist changes to Airtable (diff-based upsert / PATCH / DELETE)
+     */
+    async syncWatchlistToAirtable() {
+        if (!this.watchlist) {
+            console.warn('[RiskCore] Watchlist manager not loaded');
             return null;
         }
+        return this.watchlist.sync();
     }
 
     /* ==========================================
@@ -359,9 +745,10 @@ class RiskCoreEngine {
        ========================================== */
 
     /**
-     * Start continuous polling of all protocols
+     * Start continuous polling of all protocols.
+     * `onData` receives each poll result; by default it renders into this page.
      */
-    async startMonitoringLoop() {
+    async startMonitoringLoop(onData = (data) => this.renderPollResult(data)) {
         if (this.isPolling) {
             console.warn('[RiskCore] Monitoring loop already active');
             return;
@@ -372,22 +759,22 @@ class RiskCoreEngine {
 
         const poll = async () => {
             try {
-                // Fetch all protocol data in parallel
-                const [pendle, ethena, falcon] = await Promise.all([
-                    this.fetchPendleAPY(),
-                    this.fetchEthenaFundingRate(),
-                    this.fetchFalconCooldown()
-                ]);
+                // Fetch all registered protocols in parallel
+                const data = await this.fetchAllProtocols();
+                this.lastData = data;
 
-                const data = { pendle, ethena, falcon };
+                // Attach the funding forecast before anything scores this poll
+                if (this.forecaster) {
+                    await this.forecaster.enrich(data);
+                }
+                this.applyContagion(data);
 
-                // Update UI
-                this.updatePulseTicker(data);
-                this.updatePulseScoreCards(data);
-                this.updateGlobalScore(data);
+                // Persist poll result before anyone renders trends from it
+                if (this.history) {
+                    await this.history.recordPoll(data, this.buildScoreSnapshot(data));
+                }
 
-                // Emit event for other modules
-                window.dispatchEvent(new CustomEvent('pulseScoreUpdate', { detail: data }));
+                await onData(data);
 
             } catch (error) {
                 console.error('[RiskCore] Poll cycle failed:', error);
@@ -395,10 +782,12 @@ class RiskCoreEngine {
 
             // Schedule next poll
             if (this.isPolling) {
-                setTimeout(poll, this.pollingInterval);
+                this._scheduleNextPoll(this.lastData || {});
             }
         };
 
+        this.pollNow = poll;
+
         // Initial poll immediately
         poll();
     }
@@ -408,18 +797,305 @@ class RiskCoreEngine {
      */
     stopMonitoringLoop() {
         this.isPolling = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
         console.log('[RiskCore] Monitoring loop stopped');
     }
 
+    /**
+     * Poll right away instead of waiting for the scheduled (or paused) tick
+     */
+    wake() {
+        if (!this.isPolling || !this.pollNow) return;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.nextPollAt = {};
+        this.pollNow();
+    }
+
+    /**
+     * Interval until an adapter's next fetch, from the worst status across
+     * all protocols (Critical -> minMs, Warning -> halfway to the base
+     * interval, Monitor -> base, all Safe -> maxMs), clamped to the adapter's
+     * own `polling` { minMs, maxMs }. A maturity or cooldown boundary inside
+     * `boundaryWindowMs` forces the adapter's minMs.
+     */
+    getPollInterval(adapter, data, now = Date.now()) {
+        const minMs = (adapter.polling && adapter.polling.minMs) || this.adaptivePolling.minMs;
+        const maxMs = (adapter.polling && adapter.polling.maxMs) || this.adaptivePolling.maxMs;
+        const base = Math.min(Math.max(this.pollingInterval, minMs), maxMs);
+
+        const intervals = {
+            Critical: minMs,
+            Warning: Math.round((minMs + base) / 2),
+            Monitor: base,
+            Safe: maxMs
+        };
+        let interval = intervals[this._worstStatus(data)] || base;
+
+        if (this._boundaryNear(adapter, data, now)) {
+            interval = minMs;
+        }
+
+        return interval;
+    }
+
+    /**
+     * Record whether a tab (or worker port) is hidden; the loop slows
+     * down while every known client is hidden and pauses if all is Safe
+     */
+    setClientVisibility(client, hidden) {
+        const wasHidden = this.isHidden();
+        this.clientVisibility.set(client, hidden);
+        if (wasHidden && !this.isHidden()) this.wake();
+    }
+
+    removeClient(client) {
+        this.clientVisibility.delete(client);
+    }
+
+    isHidden() {
+        if (this.clientVisibility.size === 0) return false;
+        return Array.from(this.clientVisibility.values()).every(hidden => hidden);
+    }
+
+    /**
+     * Internal: Set each fetched adapter's next due time and arm the timer
+     * for the earliest one (or pause while hidden and all Safe)
+     */
+    _scheduleNextPoll(data, now = Date.now()) {
+        const hidden = this.isHidden();
+
+        if (hidden && this._worstStatus(data) === 'Safe') {
+            this.pollTimer = null;
+            console.log('[RiskCore] All tabs hidden and all Safe, polling paused');
+            return;
+        }
+
+        let nextAt = Infinity;
+        this.adapters.list().forEach(adapter => {
+            let interval = this.getPollInterval(adapter, data, now);
+            if (hidden) {
+                const maxMs = (adapter.polling && adapter.polling.maxMs) || this.adaptivePolling.maxMs;
+                interval = Math.min(interval * this.adaptivePolling.hiddenFactor, maxMs);
+            }
+
+            // Rising risk pulls a pending slow poll forward; it never pushes one back
+            const pending = this.nextPollAt[adapter.id];
+            this.nextPollAt[adapter.id] = pending > now ? Math.min(pending, now + interval) : now + interval;
+            this.health.setPollInterval(adapter.id, interval);
+
+            // A source in backoff is retried when its backoff ends, not earlier
+            const retryAt = this.health.sources[adapter.id] ? this.health.sources[adapter.id].nextAttemptAt : 0;
+            nextAt = Math.min(nextAt, Math.max(this.nextPollAt[adapter.id], retryAt));
+        });
+
+        const delay = Math.max(1000, (isFinite(nextAt) ? nextAt : now + this.pollingInterval) - now);
+        this.pollTimer = setTimeout(this.pollNow, delay);
+    }
+
+    /**
+     * Internal: Worst status among the scored entries of a poll result
+     */
+    _worstStatus(data) {
+        const order = ['Critical', 'Warning', 'Monitor', 'Safe'];
+        const statuses = Object.values(data)
+            .filter(Boolean)
+            .map(protocolData => this.getStatusFromScore(this.calculatePulseScore(protocolData)).status);
+        if (statuses.length === 0) return 'Monitor';
+        return order.find(status => statuses.includes(status)) || 'Monitor';
+    }
+
+    /**
+     * Internal: Whether any upcoming date field (maturity, cooldown end,
+     * lockup expiry) of an adapter's entries is inside the boundary window
+     */
+    _boundaryNear(adapter, data, now) {
+        const dateFields = Object.entries({ ...adapter.fields, ...(adapter.markets ? adapter.markets.fields : {}) })
+            .filter(([, spec]) => spec.type === 'date')
+            .map(([field]) => field);
+
+        return Object.values(data)
+            .filter(protocolData => protocolData && (protocolData.protocolId || protocolData.protocol) === adapter.id)
+            .some(protocolData => dateFields.some(field => {
+                const until = new Date(protocolData[field]).getTime() - now;
+                return until > 0 && until <= this.adaptivePolling.boundaryWindowMs;
+            }));
+    }
+
+    /**
+     * Publish scoreChanged / statusTransition / sourceFailed for a poll
+     * result. Diffs against the previous publish rather than the poll
+     * loop, so tabs fed by the shared monitor publish the same events.
+     */
+    publishPollEvents(data) {
+        if (!this.events) return;
+
+        Object.entries(data).forEach(([key, protocolData]) => {
+            if (!protocolData) return;
+
+            const score = this.calculatePulseScore(protocolData);
+            const status = this.getStatusFromScore(score).status;
+            const previous = this.publishedScores[key];
+            const protocol = protocolData.displayName || protocolData.protocol || key;
+            this.publishedScores[key] = { score, status };
+
+            if (!previous || previous.score !== score) {
+                this.events.emit('scoreChanged', {
+                    key: key,
+                    protocol: protocol,
+                    previous: previous ? previous.score : null,
+                    score: score,
+                    status: status
+                });
+            }
+
+            if (previous && previous.status !== status) {
+                this.events.emit('statusTransition', { key, protocol, from: previous.status, to: status, score });
+            }
+        });
+
+        // A failure is reported once per attempt, however many polls serve its stale value
+        Object.entries(this.health.sources).forEach(([source, state]) => {
+            if (!state.failures || state.lastAttemptAt === this.reportedFailures[source]) return;
+            this.reportedFailures[source] = state.lastAttemptAt;
+
+            this.events.emit('sourceFailed', {
+                source: source,
+                error: state.lastError || 'Unknown error',
+                errorType: state.lastErrorType || 'Error',
+                failures: state.failures,
+                circuit: state.circuit
+            });
+        });
+    }
+
+    /**
+     * Update this page's UI and notify other modules of a poll result
+     */
+    async renderPollResult(data) {
+        this.lastData = data;
+
+        // Update UI
+        this.updatePulseTicker(data);
+        this.updatePulseScoreCards(data);
+        this.updateGlobalScore(data);
+        if (this.contagion) {
+            this.contagion.renderGraph(data, key => this.calculatePulseScore(data[key]));
+        }
+
+        // Emit events for other modules
+        this.publishPollEvents(data);
+        window.dispatchEvent(new CustomEvent('pulseScoreUpdate', { detail: data }));
+
+        // Refresh trend sparklines
+        if (this.history) {
+            await this.history.updateTrendViews(Object.keys(data));
+        }
+    }
+
+    /**
+     * Receive poll results from the single loop shared by every open tab.
+     * Prefers a SharedWorker; otherwise one tab wins a Web Lock, polls,
+     * and broadcasts to the rest over a BroadcastChannel.
+     */
+    connectSharedMonitor(workerUrl = 'js/monitor-worker.js') {
+        const config = {
+            n8nUrl: this.n8nBaseUrl,
+            pollingInterval: this.pollingInterval,
+            dataMode: window.yieldguardDataMode || 'live',
+            scenario: window.fixtureServer ? window.fixtureServer.scenario : null
+        };
+        const channelName = `yieldguard-monitor-${config.dataMode}`;
+
+        if (typeof SharedWorker !== 'undefined') {
+            try {
+                const worker = new SharedWorker(workerUrl, { name: channelName });
+                this.monitorPort = worker.port;
+                this.monitorPort.onmessage = (e) => this._handleMonitorMessage(e.data);
+                this.monitorPort.start();
+                this.monitorPort.postMessage({ type: 'subscribe', config: config, rules: this.rules.active, hidden: document.hidden });
+
+                window.addEventListener('pulseRulesChanged', () => {
+                    this.monitorPort.postMessage({ type: 'rules', rules: this.rules.active });
+                });
+                window.addEventListener('pagehide', () => {
+                    this.monitorPort.postMessage({ type: 'unsubscribe' });
+                });
+                window.addEventListener('pageshow', (e) => {
+                    // Restored from the back/forward cache
+                    if (e.persisted) {
+                        this.monitorPort.postMessage({ type: 'subscribe', config: config, rules: this.rules.active, hidden: document.hidden });
+                    }
+                });
+                document.addEventListener('visibilitychange', () => {
+                    this.monitorPort.postMessage({ type: 'visibility', hidden: document.hidden });
+                });
+
+                console.log('[RiskCore] Connected to shared monitor worker');
+                return;
+            } catch (error) {
+                console.warn('[RiskCore] SharedWorker failed, falling back to tab election:', error);
+            }
+        }
+
+        const clientId = Math.random().toString(36).slice(2);
+        this.setClientVisibility(clientId, document.hidden);
+
+        if (typeof BroadcastChannel === 'undefined' || !navigator.locks) {
+            console.warn('[RiskCore] No cross-tab support, polling in this tab');
+            document.addEventListener('visibilitychange', () => this.setClientVisibility(clientId, document.hidden));
+            this.startMonitoringLoop();
+            return;
+        }
+
+        const channel = new BroadcastChannel(channelName);
+        channel.onmessage = (e) => this._handleMonitorMessage(e.data);
+
+        // Every tab tracks every tab's visibility so a newly elected leader knows it too
+        document.addEventListener('visibilitychange', () => {
+            this.setClientVisibility(clientId, document.hidden);
+            channel.postMessage({ type: 'visibility', client: clientId, hidden: document.hidden });
+        });
+        window.addEventListener('pagehide', () => channel.postMessage({ type: 'clientLeft', client: clientId }));
+        channel.postMessage({ type: 'visibility', client: clientId, hidden: document.hidden });
+
+        // The lock is held until the tab closes; the next waiting tab then takes over
+        navigator.locks.request(`${channelName}-leader`, () => new Promise(() => {
+            console.log('[RiskCore] This tab is now the monitor leader');
+            this.startMonitoringLoop(async (data) => {
+                await this.renderPollResult(data);
+                channel.postMessage({ type: 'pulseData', data: data, sourceHealth: this.health.sources });
+            });
+        }));
+    }
+
+    /**
+     * Internal: Apply a message from the shared monitor to this tab
+     */
+    _handleMonitorMessage(message) {
+        if (message.type === 'pulseData') {
+            // Mirror the poller's source health so freshness badges match
+            this.health.sources = message.sourceHealth;
+            this.renderPollResult(message.data);
+        } else if (message.type === 'rules') {
+            this.rules.load(message.rules);
+        } else if (message.type === 'visibility') {
+            this.setClientVisibility(message.client, message.hidden);
+        } else if (message.type === 'clientLeft') {
+            this.removeClient(message.client);
+        }
+    }
+
     /* ==========================================
        6. UTILITY FUNCTIONS
        ========================================== */
 
-    _daysUntilDate(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffMs = date - now;
-        return Math.ceil(diffMs / (1000 * 60 * 60 * 24));
+    _formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return `${Math.floor(ms / 1000)}s`;
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
     }
 
     _getHexColor(tailwindColor) {
@@ -437,27 +1113,49 @@ class RiskCoreEngine {
    EXPORT & INITIALIZE
    ========================================== */
 
-const riskCore = new RiskCoreEngine({
-    n8nUrl: process.env.N8N_URL || 'https://your-n8n-instance.com',
-    airtableKey: process.env.AIRTABLE_KEY,
-    airtableBaseId: process.env.AIRTABLE_BASE_ID,
-    pollingInterval: 30000
-});
-
-// Auto-start on page load if in dashboard
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        if (document.getElementById('pulse-tower')) {
-            riskCore.startMonitoringLoop();
-        }
+// Page bootstrap - skipped when loaded into the monitor worker
+if (typeof document !== 'undefined') {
+    const riskCore = new RiskCoreEngine({
+        n8nUrl: (typeof process !== 'undefined' && process.env.N8N_URL) || 'https://your-n8n-instance.com',
+        airtableKey: (typeof process !== 'undefined' && process.env.AIRTABLE_KEY) || window.fixtureServer?.credentials.airtableKey,
+        airtableBaseId: (typeof process !== 'undefined' && process.env.AIRTABLE_BASE_ID) || window.fixtureServer?.credentials.airtableBaseId,
+        pollingInterval: 30000,
+        adapters: protocolAdapters,
+        history: window.pulseHistory,
+        rules: pulseRules,
+        watchlist: window.watchlistManager,
+        forecaster: window.fundingForecaster,
+        contagion: window.contagionGraph,
+        schemas: window.webhookSchemas,
+        events: window.eventBus
     });
-} else {
-    if (document.getElementById('pulse-tower')) {
-        riskCore.startMonitoringLoop();
+
+    // Every page listens to the one shared loop instead of polling itself
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => riskCore.connectSharedMonitor());
+    } else {
+        riskCore.connectSharedMonitor();
     }
-}
 
-// Export for use in other modules
-if (typeof window !== 'undefined') {
+    // Watchlist amounts weight the global score
+    const refreshExposure = () => riskCore.fetchWatchlist().then(() => {
+        if (riskCore.lastData) riskCore.updateGlobalScore(riskCore.lastData);
+    });
+    refreshExposure();
+    window.addEventListener('watchlistChanged', refreshExposure);
+
+    // Re-score cards immediately when the rule set is edited
+    window.addEventListener('pulseRulesChanged', () => {
+        if (riskCore.lastData) {
+            riskCore.applyContagion(riskCore.lastData);
+            riskCore.updatePulseScoreCards(riskCore.lastData);
+            riskCore.updateGlobalScore(riskCore.lastData);
+            if (riskCore.contagion) {
+                riskCore.contagion.renderGraph(riskCore.lastData, key => riskCore.calculatePulseScore(riskCore.lastData[key]));
+            }
+        }
+    });
+
+    // Export for use in other modules
     window.riskCore = riskCore;
 }
\ No newline at end of file
@@ -0,0 +1,172 @@
+/* ========================================
+   YIELDGUARD AI - SOURCE HEALTH
+   source-health.js
+   Per-source exponential backoff, circuit
+   breaker and last-good-value tracking
+   ======================================== */
+
+class SourceHealthMonitor {
+    constructor(config = {}) {
+        this.baseDelayMs = config.baseDelayMs || 30000;        // First retry delay
+        this.maxDelayMs = config.maxDelayMs || 15 * 60 * 1000;  // Backoff ceiling
+        this.failureThreshold = config.failureThreshold || 5;   // Failures before circuit opens
+        this.openDurationMs = config.openDurationMs || 5 * 60 * 1000;
+        this.staleAfterMs = config.staleAfterMs || 90000;
+        this.sources = {};
+    }
+
+    /* ==========================================
+       1. SOURCE STATE
+       ========================================== */
+
+    _state(source) {
+        if (!this.sources[source]) {
+            this.sources[source] = {
+                circuit: 'closed',        // closed | open | half-open
+                failures: 0,
+                nextAttemptAt: 0,
+                openedAt: null,
+                lastAttemptAt: null,
+                lastSuccessAt: null,
+                lastError: null,
+                lastErrorType: null,
+                invalidPayloads: 0,       // Payloads rejected by their webhook schema
+                pollIntervalMs: 0,        // Current adaptive cadence, widens the stale threshold
+                lastGood: null
+            };
+        }
+        return this.sources[source];
+    }
+
+    /**
+     * Whether a source may be fetched now (backoff elapsed, circuit not open)
+     */
+    canAttempt(source, now = Date.now()) {
+        const state = this._state(source);
+
+        if (state.circuit === 'open') {
+            if (now - state.openedAt < this.openDurationMs) return false;
+            // Cool-down over: allow a single trial request
+            state.circuit = 'half-open';
+            console.log(`[SourceHealth] ${source} circuit half-open, sending trial request`);
+            return true;
+        }
+
+        return now >= state.nextAttemptAt;
+    }
+
+    /* ==========================================
+       2. RECORDING OUTCOMES
+       ========================================== */
+
+    recordSuccess(source, value, now = Date.now()) {
+        const state = this._state(source);
+
+        if (state.circuit !== 'closed') {
+            console.log(`[SourceHealth] ${source} recovered, circuit closed`);
+        }
+
+        state.circuit = 'closed';
+        state.failures = 0;
+        state.nextAttemptAt = 0;
+        state.openedAt = null;
+        state.lastAttemptAt = now;
+        state.lastSuccessAt = now;
+        state.lastError = null;
+        state.lastErrorType = null;
+        state.lastGood = value;
+    }
+
+    recordFailure(source, error, now = Date.now()) {
+        const state = this._state(source);
+
+        state.failures += 1;
+        state.lastAttemptAt = now;
+        state.lastError = error ? String(error.message || error) : 'Unknown error';
+        state.lastErrorType = error && error.name ? error.name : 'Error';
+        if (state.lastErrorType === 'PayloadValidationError') state.invalidPayloads += 1;
+
+        if (state.circuit === 'half-open' || state.failures >= this.failureThreshold) {
+            state.circuit = 'open';
+            state.openedAt = now;
+            state.nextAttemptAt = now + this.openDurationMs;
+            console.warn(`[SourceHealth] ${source} circuit open after ${state.failures} failures`);
+            return;
+        }
+
+        state.nextAttemptAt = now + this.getBackoffDelay(state.failures);
+        console.warn(`[SourceHealth] ${source} failure #${state.failures}, retry in ${Math.round((state.nextAttemptAt - now) / 1000)}s`);
+    }
+
+    /**
+     * Note the cadence a source is polled at, so a deliberately slow
+     * poll is not reported as stale
+     */
+    setPollInterval(source, intervalMs) {
+        this._state(source).pollIntervalMs = intervalMs;
+    }
+
+    /**
+     * Exponential backoff with "equal jitter": half fixed, half random
+     */
+    getBackoffDelay(failures) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, failures - 1));
+        return exponential / 2 + Math.random() * (exponential / 2);
+    }
+
+    /* ==========================================
+       3. FRESHNESS REPORTING
+       ========================================== */
+
+    /**
+     * Freshness summary attached to each protocol value
+     * state: 'live' | 'stale' | 'down' | 'unavailable'
+     */
+    getFreshness(source, now = Date.now()) {
+        const state = this._state(source);
+        const ageMs = state.lastSuccessAt ? now - state.lastSuccessAt : null;
+        const staleAfterMs = Math.max(this.staleAfterMs, state.pollIntervalMs * 1.5);
+
+        let label = 'live';
+        if (!state.lastSuccessAt) label = 'unavailable';
+        else if (state.circuit === 'open') label = 'down';
+        else if (state.failures > 0 || ageMs > staleAfterMs) label = 'stale';
+
+        return {
+            state: label,
+            circuit: state.circuit,
+            failures: state.failures,
+            lastSuccessAt: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null,
+            ageMs: ageMs,
+            nextAttemptAt: state.nextAttemptAt ? new Date(state.nextAttemptAt).toISOString() : null,
+            lastError: state.lastError,
+            lastErrorType: state.lastErrorType,
+            invalidPayloads: state.invalidPayloads
+        };
+    }
+
+    /**
+     * Last good value annotated with its freshness (null if never fetched)
+     */
+    getLastGood(source, now = Date.now()) {
+        const state = this._state(source);
+        if (!state.lastGood) return null;
+        return { ...state.lastGood, freshness: this.getFreshness(source, now) };
+    }
+
+    /**
+     * Snapshot of every source for diagnostics
+     */
+    getReport() {
+        const report = {};
+        Object.keys(this.sources).forEach(source => {
+            report[source] = this.getFreshness(source);
+        });
+        return report;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SourceHealthMonitor = SourceHealthMonitor;
+}
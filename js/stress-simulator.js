@@ -0,0 +1,418 @@
+/* ========================================
+   YIELDGUARD AI - STRESS SIMULATOR
+   stress-simulator.js
+   What-if scores for hypothetical funding,
+   de-peg, confidence and timing inputs
+   ======================================== */
+
+const STRESS_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Simulator inputs.
+ *
+ * Input shape:
+ * - protocol:  adapter id whose entries (every market) receive the value
+ * - field:     normalized protocol field the value overrides
+ * - toField:   optional slider value -> field value (e.g. days -> date)
+ * - fromField: optional field value -> slider value, for the live reading
+ * - format:    slider value -> label
+ */
+const STRESS_INPUTS = [
+    {
+        id: 'fundingRate',
+        label: 'Ethena funding rate',
+        protocol: 'ethena',
+        field: 'fundingRate',
+        min: -0.1, max: 0.1, step: 0.005,
+        format: (v) => v.toFixed(3)
+    },
+    {
+        id: 'depegRisk',
+        label: 'sUSDe de-peg risk',
+        protocol: 'ethena',
+        field: 'depegRisk',
+        min: 0, max: 0.05, step: 0.001,
+        format: (v) => `${(v * 100).toFixed(1)}%`
+    },
+    {
+        id: 'confidence',
+        label: 'Pendle data confidence',
+        protocol: 'pendle',
+        field: 'confidence',
+        min: 0.5, max: 1, step: 0.01,
+        format: (v) => v.toFixed(2)
+    },
+    {
+        id: 'daysToMaturity',
+        label: 'Pendle days to maturity',
+        protocol: 'pendle',
+        field: 'maturityDate',
+        min: 0, max: 90, step: 1,
+        toField: (days, now) => new Date(now + days * STRESS_DAY_MS).toISOString(),
+        fromField: (date, now) => PulseRuleSet.transforms.daysUntil(date, now),
+        format: (v) => `${v}d`
+    },
+    {
+        id: 'cooldownDays',
+        label: 'Falcon cooldown days',
+        protocol: 'falcon',
+        field: 'cooldownDays',
+        min: 0, max: 14, step: 1,
+        format: (v) => `${v}d`
+    }
+];
+
+class StressSimulator {
+    constructor(config = {}) {
+        this.scorer = config.scorer || null;
+        this.forecaster = config.forecaster || null; // FundingForecaster, re-run for funding overrides
+        this.inputs = config.inputs || STRESS_INPUTS;
+        // Web Storage API, as in AlertEngine and WatchlistManager
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.scenariosKey = 'yieldguard_stress_scenarios';
+        this.scenarios = [];      // { name, overrides, savedAt }
+        this.overrides = {};      // input id -> value; unset inputs follow the live data
+        this.liveData = null;
+    }
+
+    /* ==========================================
+       1. SIMULATION
+       ========================================== */
+
+    /**
+     * Score a copy of a poll result with the overrides applied.
+     * Contagion is recomputed, so a stressed Ethena also moves Pendle and Falcon.
+     */
+    simulate(liveData = this.liveData, overrides = this.overrides, now = Date.now()) {
+        if (!this.scorer || !liveData) return null;
+
+        const simulated = {};
+        Object.entries(liveData).forEach(([key, protocolData]) => {
+            if (!protocolData) {
+                simulated[key] = protocolData;
+                return;
+            }
+
+            const { contagion, ...copy } = protocolData;
+            const overridden = [];
+            this.inputs.forEach(input => {
+                const value = overrides[input.id];
+                if (value === undefined || value === null) return;
+                if ((protocolData.protocolId || key) !== input.protocol) return;
+                copy[input.field] = input.toField ? input.toField(value, now) : value;
+                overridden.push(input.field);
+            });
+            this._reforecast(key, copy, overridden, now);
+            simulated[key] = copy;
+        });
+        this.scorer.applyContagion(simulated);
+
+        const rows = Object.keys(liveData)
+            .filter(key => liveData[key])
+            .map(key => {
+                const live = this.scorer.calculatePulseScore(liveData[key]);
+                const hypothetical = this.scorer.calculatePulseScore(simulated[key]);
+                const liveStatus = this.scorer.getStatusFromScore(live).status;
+                const simulatedStatus = this.scorer.getStatusFromScore(hypothetical).status;
+                return {
+                    key: key,
+                    name: liveData[key].displayName || liveData[key].protocol || key,
+                    live: live,
+                    simulated: hypothetical,
+                    delta: hypothetical - live,
+                    liveStatus: liveStatus,
+                    simulatedStatus: simulatedStatus,
+                    statusChanged: liveStatus !== simulatedStatus
+                };
+            });
+
+        const liveGlobal = this.scorer.calculateGlobalScore(liveData).score;
+        const simulatedGlobal = this.scorer.calculateGlobalScore(simulated).score;
+
+        return {
+            data: simulated,
+            rows: rows,
+            global: {
+                live: liveGlobal,
+                simulated: simulatedGlobal,
+                liveStatus: this.scorer.getStatusFromScore(liveGlobal).status,
+                simulatedStatus: this.scorer.getStatusFromScore(simulatedGlobal).status
+            }
+        };
+    }
+
+    /**
+     * Current live reading of an input (first matching entry), or null
+     */
+    liveValue(input, data = this.liveData, now = Date.now()) {
+        if (!data) return null;
+
+        const entry = Object.entries(data)
+            .find(([key, protocolData]) => protocolData && (protocolData.protocolId || key) === input.protocol);
+        if (!entry) return null;
+
+        const raw = entry[1][input.field];
+        const value = input.fromField ? input.fromField(raw, now) : parseFloat(raw);
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Take a new poll result and refresh the comparison
+     */
+    update(data) {
+        this.liveData = data;
+        this.render();
+    }
+
+    setOverride(inputId, value) {
+        if (value === null || value === undefined || isNaN(value)) delete this.overrides[inputId];
+        else this.overrides[inputId] = value;
+        this.render();
+    }
+
+    resetOverrides() {
+        this.overrides = {};
+        this.render();
+    }
+
+    /* ==========================================
+       2. SAVED SCENARIOS
+       ========================================== */
+
+    loadScenarios() {
+        if (!this.storage) return this.scenarios;
+        try {
+            const saved = this.storage.getItem(this.scenariosKey);
+            if (saved) this.scenarios = JSON.parse(saved);
+        } catch (error) {
+            console.warn('[StressSimulator] Could not load scenarios:', error);
+        }
+        return this.scenarios;
+    }
+
+    /**
+     * Save the current overrides under a name (replaces a scenario of the same name)
+     */
+    saveScenario(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new Error('Scenario name is required');
+        if (Object.keys(this.overrides).length === 0) throw new Error('Move at least one slider before saving');
+
+        const scenario = { name: trimmed, overrides: { ...this.overrides }, savedAt: new Date().toISOString() };
+        this.scenarios = this.scenarios.filter(s => s.name !== trimmed).concat(scenario);
+        this._saveScenarios();
+        console.log('[StressSimulator] Scenario saved:', trimmed);
+        return scenario;
+    }
+
+    applyScenario(name) {
+        const scenario = this.scenarios.find(s => s.name === name);
+        if (!scenario) return null;
+
+        this.overrides = { ...scenario.overrides };
+        this.render();
+        return scenario;
+    }
+
+    deleteScenario(name) {
+        this.scenarios = this.scenarios.filter(s => s.name !== name);
+        this._saveScenarios();
+        this.render();
+    }
+
+    _saveScenarios() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.scenariosKey, JSON.stringify(this.scenarios));
+        } catch (error) {
+            console.warn('[StressSimulator] Could not save scenarios:', error);
+        }
+    }
+
+    /* ==========================================
+       3. DOM UPDATES (dashboard.html)
+       ========================================== */
+
+    /**
+     * Build the sliders and wire reset, save and scenario actions
+     */
+    initializeUI() {
+        const container = document.getElementById('stress-inputs');
+        if (container) {
+            container.innerHTML = this.inputs.map(input => `
+                <label class="block" data-stress-input="${input.id}">
+                    <span class="flex justify-between text-slate-400">
+                        <span>${input.label}</span>
+                        <span data-stress-value class="text-slate-300">live</span>
+                    </span>
+                    <input type="range" min="${input.min}" max="${input.max}" step="${input.step}" class="w-full accent-green-500" />
+                </label>
+            `).join('');
+
+            container.addEventListener('input', (e) => {
+                const label = e.target.closest('[data-stress-input]');
+                if (label) this.setOverride(label.dataset.stressInput, parseFloat(e.target.value));
+            });
+        }
+
+        const resetBtn = document.getElementById('stress-reset');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetOverrides());
+        }
+
+        const form = document.getElementById('stress-scenario-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                try {
+                    this.saveScenario(new FormData(form).get('name'));
+                    form.reset();
+                    this.render();
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+
+        const list = document.getElementById('stress-scenarios');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-scenario-action]');
+                if (!button) return;
+                const scenario = this.scenarios[button.closest('[data-scenario-index]').dataset.scenarioIndex];
+                if (!scenario) return;
+                const name = scenario.name;
+                if (button.dataset.scenarioAction === 'apply') this.applyScenario(name);
+                if (button.dataset.scenarioAction === 'delete') this.deleteScenario(name);
+            });
+        }
+
+        this.render();
+        console.log('[StressSimulator] UI initialized');
+    }
+
+    render() {
+        if (typeof document === 'undefined') return;
+
+        this._renderInputs();
+        this._renderScenarios();
+
+        const tbody = document.querySelector('[data-stress-results] tbody');
+        const globalEl = document.querySelector('[data-stress-global]');
+        const result = this.simulate();
+
+        if (!result) {
+            if (tbody) tbody.innerHTML = '<tr><td colspan="4" class="py-2 text-slate-500">Waiting for the first poll…</td></tr>';
+            return;
+        }
+
+        if (tbody) {
+            tbody.innerHTML = result.rows.map(row => `
+                <tr>
+                    <td class="py-2">${row.name}</td>
+                    <td class="py-2 table-cell-number">${row.live} <span class="text-xs text-slate-500">${row.liveStatus}</span></td>
+                    <td class="py-2 table-cell-number ${row.statusChanged ? this.scorer.getStatusFromScore(row.simulated).color : ''}">
+                        ${row.simulated} <span class="text-xs ${row.statusChanged ? '' : 'text-slate-500'}">${row.simulatedStatus}</span>
+                    </td>
+                    <td class="py-2 table-cell-number ${row.delta < 0 ? 'text-red-400' : row.delta > 0 ? 'text-green-400' : 'text-slate-500'}">${row.delta > 0 ? '+' : ''}${row.delta}</td>
+                </tr>
+            `).join('');
+        }
+
+        if (globalEl) {
+            const { live, simulated, simulatedStatus } = result.global;
+            globalEl.innerHTML = `Global ${live} → <span class="${this.scorer.getStatusFromScore(simulated).color}">${simulated} ${simulatedStatus}</span>`;
+        }
+    }
+
+    /**
+     * Internal: Slider positions and labels; untouched sliders track the live value
+     */
+    _renderInputs() {
+        this.inputs.forEach(input => {
+            const label = document.querySelector(`[data-stress-input="${input.id}"]`);
+            if (!label) return;
+
+            const slider = label.querySelector('input');
+            const valueEl = label.querySelector('[data-stress-value]');
+            const overridden = this.overrides[input.id] !== undefined;
+            const value = overridden ? this.overrides[input.id] : this.liveValue(input);
+
+            if (value !== null && document.activeElement !== slider) slider.value = value;
+            if (valueEl) {
+                valueEl.textContent = value === null ? 'no data' : `${input.format(value)}${overridden ? '' : ' (live)'}`;
+                valueEl.className = overridden ? 'text-green-400' : 'text-slate-300';
+            }
+        });
+    }
+
+    _renderScenarios() {
+        const list = document.getElementById('stress-scenarios');
+        if (!list) return;
+
+        list.innerHTML = this.scenarios.length ? this.scenarios.map((scenario, idx) => `
+            <li data-scenario-index="${idx}" class="flex items-center justify-between gap-2">
+                <span class="truncate" title="${this._describeOverrides(scenario.overrides)}">${this._escape(scenario.name)}</span>
+                <span class="space-x-2 flex-shrink-0">
+                    <button data-scenario-action="apply" class="text-slate-400 hover:text-green-400">Load</button>
+                    <button data-scenario-action="delete" class="text-slate-400 hover:text-red-400">Delete</button>
+                </span>
+            </li>
+        `).join('') : '<li class="text-slate-500">No saved scenarios</li>';
+    }
+
+    /* ==========================================
+       4. UTILITY FUNCTIONS
+       ========================================== */
+
+    /**
+     * Internal: A funding override replaces this poll's funding sample and
+     * re-runs the forecast, so negativeFundingProb follows the slider
+     */
+    _reforecast(key, copy, overridden, now) {
+        const forecaster = this.forecaster;
+        if (!forecaster || (copy.protocolId || key) !== forecaster.protocol) return;
+        if (!overridden.includes(forecaster.field)) return;
+
+        const at = new Date(copy.timestamp).getTime();
+        const forecast = forecaster.forecastWith(copy[forecaster.field], isNaN(at) ? now : at);
+        copy.fundingForecast = forecast;
+        copy.negativeFundingProb = forecast.probNegative;
+    }
+
+    _describeOverrides(overrides) {
+        return this.inputs
+            .filter(input => overrides[input.id] !== undefined)
+            .map(input => `${input.label}: ${input.format(overrides[input.id])}`)
+            .join(', ');
+    }
+
+    _escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+if (typeof document !== 'undefined') {
+    const stressSimulator = new StressSimulator({
+        scorer: window.riskCore,
+        forecaster: window.fundingForecaster
+    });
+    stressSimulator.loadScenarios();
+
+    // Follow live data and rule edits
+    window.addEventListener('pulseScoreUpdate', (e) => stressSimulator.update(e.detail));
+    window.addEventListener('pulseRulesChanged', () => stressSimulator.render());
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => stressSimulator.initializeUI());
+    } else {
+        stressSimulator.initializeUI();
+    }
+
+    // Export for use in other modules
+    window.stressSimulator = stressSimulator;
+}
@@ -0,0 +1,212 @@
+/* ========================================
+   YIELDGUARD AI - UNISWAP V4 ENCODER
+   uniswap-v4-encoder.js
+   Universal Router calldata for V4 exact-in
+   swaps, paid through Permit2
+   ======================================== */
+
+const UNIVERSAL_ROUTER_EXECUTE = '0x3593564c'; // execute(bytes,bytes[],uint256)
+const UNIVERSAL_ROUTER_COMMANDS = { V4_SWAP: '10' };
+const V4_ACTIONS = { SWAP_EXACT_IN_SINGLE: '06', SETTLE_ALL: '0c', TAKE_ALL: '0f' };
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Deployments and pools by chain id. 31337 (Anvil / Hardhat) assumes a
+ * mainnet fork. Pools are keyed by the two token symbols in sorted order.
+ */
+const UNISWAP_V4_CHAINS = {
+    1: {
+        universalRouter: '0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af',
+        permit2: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+        pools: {
+            'USDC/USDE': { fee: 500, tickSpacing: 10, hooks: ZERO_ADDRESS }
+        }
+    },
+    31337: {
+        universalRouter: '0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af',
+        permit2: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+        pools: {
+            'USDC/USDE': { fee: 500, tickSpacing: 10, hooks: ZERO_ADDRESS }
+        }
+    }
+};
+
+class UniswapV4Encoder {
+    constructor(config = {}) {
+        this.chains = config.chains || UNISWAP_V4_CHAINS;
+        // With a wallet connector, tokens registered on it (local dev chains) resolve too
+        this.wallet = config.wallet || null;
+        this.tokens = config.tokens || WALLET_TOKENS;
+    }
+
+    /* ==========================================
+       1. TOKENS & POOLS
+       ========================================== */
+
+    /**
+     * { symbol, address, decimals } for a token symbol, through the wallet
+     * connector's registry when there is one
+     */
+    resolveToken(chainId, symbol) {
+        const key = String(symbol || '').toUpperCase();
+        const token = this.wallet ? this.wallet.resolveToken(key, chainId) : (this.tokens[chainId] || {})[key];
+        if (!token || !token.address || token.decimals === null || token.decimals === undefined) {
+            throw new Error(`No ${key || 'token'} address and decimals for chain ${chainId}`);
+        }
+        return { symbol: key, address: token.address, decimals: token.decimals };
+    }
+
+    /**
+     * V4 PoolKey for a pair; currency0 is the lower address
+     */
+    poolKey(chainId, tokenIn, tokenOut) {
+        const chain = this._chain(chainId);
+        const pool = chain.pools[[tokenIn.symbol, tokenOut.symbol].sort().join('/')];
+        if (!pool) throw new Error(`No Uniswap V4 pool for ${tokenIn.symbol}/${tokenOut.symbol} on chain ${chainId}`);
+
+        const inIsZero = BigInt(tokenIn.address) < BigInt(tokenOut.address);
+        return {
+            currency0: inIsZero ? tokenIn.address : tokenOut.address,
+            currency1: inIsZero ? tokenOut.address : tokenIn.address,
+            fee: pool.fee,
+            tickSpacing: pool.tickSpacing,
+            hooks: pool.hooks || ZERO_ADDRESS,
+            zeroForOne: inIsZero
+        };
+    }
+
+    /* ==========================================
+       2. SWAP CALLDATA
+       ========================================== */
+
+    /**
+     * Universal Router call selling `amountIn` of tokenIn for tokenOut.
+     * minAmountOut is the quoted output less `slippageTolerance`, in the
+     * output token's decimals. The router pulls tokenIn through Permit2,
+     * so the wallet needs an ERC-20 approval for Permit2 and a Permit2
+     * allowance for the router (`permit2` in the result).
+     */
+    buildExactInSwap({ chainId, tokenIn, tokenOut, amountIn, expectedAmountOut, slippageTolerance, deadline }) {
+        if (!(expectedAmountOut > 0)) throw new Error('A quoted output is required to set minAmountOut');
+        if (!(slippageTolerance >= 0 && slippageTolerance < 1)) throw new Error('Slippage tolerance must be between 0 and 100%');
+
+        const chain = this._chain(chainId);
+        const input = this.resolveToken(chainId, tokenIn);
+        const output = this.resolveToken(chainId, tokenOut);
+        const key = this.poolKey(chainId, input, output);
+
+        const amountInUnits = WalletConnector.toBaseUnits(amountIn, input.decimals);
+        const expectedUnits = WalletConnector.toBaseUnits(expectedAmountOut, output.decimals);
+        const minOutUnits = expectedUnits * BigInt(1e6 - Math.round(slippageTolerance * 1e6)) / 1000000n;
+
+        const input0 = this.encodeV4Swap(key, amountInUnits, minOutUnits);
+        const data = this.encodeExecute(UNIVERSAL_ROUTER_COMMANDS.V4_SWAP, [input0], deadline);
+
+        return {
+            chainId: chainId,
+            to: chain.universalRouter,
+            data: data,
+            value: 0,
+            tokenIn: input,
+            tokenOut: output,
+            poolKey: key,
+            amountIn: amountInUnits.toString(),
+            expectedAmountOut: expectedUnits.toString(),
+            minAmountOut: minOutUnits.toString(),
+            permit2: {
+                address: chain.permit2,
+                token: input.address,
+                spender: chain.universalRouter,
+                amount: amountInUnits.toString()
+            }
+        };
+    }
+
+    /**
+     * V4_SWAP input: SWAP_EXACT_IN_SINGLE, then SETTLE_ALL the input
+     * and TAKE_ALL the output (at least minOut) to the caller
+     */
+    encodeV4Swap(key, amountIn, minAmountOut, hookData = '0x') {
+        const currencyIn = key.zeroForOne ? key.currency0 : key.currency1;
+        const currencyOut = key.zeroForOne ? key.currency1 : key.currency0;
+
+        // abi.encode(ExactInputSingleParams{ poolKey, zeroForOne, amountIn, amountOutMinimum, hookData })
+        const swapParams = '0x' + this._word(0x20n) +
+            this._word(key.currency0) + this._word(key.currency1) + this._word(BigInt(key.fee)) +
+            this._word(BigInt(key.tickSpacing)) + this._word(key.hooks) +
+            this._word(key.zeroForOne) + this._word(amountIn) + this._word(minAmountOut) +
+            this._word(0x120n) + this._bytes(hookData);
+        const settleParams = '0x' + this._word(currencyIn) + this._word(amountIn);
+        const takeParams = '0x' + this._word(currencyOut) + this._word(minAmountOut);
+
+        const actions = this._bytes(V4_ACTIONS.SWAP_EXACT_IN_SINGLE + V4_ACTIONS.SETTLE_ALL + V4_ACTIONS.TAKE_ALL);
+        return '0x' + this._word(0x40n) + this._word(BigInt(0x40 + actions.length / 2)) +
+            actions + this._bytesArray([swapParams, settleParams, takeParams]);
+    }
+
+    /**
+     * execute(bytes commands, bytes[] inputs, uint256 deadline)
+     */
+    encodeExecute(commands, inputs, deadline) {
+        const encodedCommands = this._bytes(commands);
+        return UNIVERSAL_ROUTER_EXECUTE +
+            this._word(0x60n) + this._word(BigInt(0x60 + encodedCommands.length / 2)) + this._word(BigInt(deadline)) +
+            encodedCommands + this._bytesArray(inputs);
+    }
+
+    /* ==========================================
+       3. ABI HELPERS
+       ========================================== */
+
+    _chain(chainId) {
+        const chain = this.chains[chainId];
+        if (!chain) throw new Error(`Uniswap V4 is not configured for chain ${chainId}`);
+        return chain;
+    }
+
+    /**
+     * Internal: One 32-byte word - address (hex string), uint / int (bigint,
+     * two's complement when negative) or bool
+     */
+    _word(value) {
+        if (typeof value === 'boolean') return (value ? '1' : '0').padStart(64, '0');
+        if (typeof value === 'bigint') return (value < 0n ? (1n << 256n) + value : value).toString(16).padStart(64, '0');
+        return String(value).toLowerCase().replace(/^0x/, '').padStart(64, '0');
+    }
+
+    /**
+     * Internal: Dynamic bytes - length, then data right-padded to 32 bytes
+     */
+    _bytes(hex) {
+        const data = hex.replace(/^0x/, '');
+        return this._word(BigInt(data.length / 2)) + data.padEnd(Math.ceil(data.length / 64) * 64, '0');
+    }
+
+    /**
+     * Internal: bytes[] - length, offsets from the end of the length word, then items
+     */
+    _bytesArray(items) {
+        const encoded = items.map(item => this._bytes(item));
+        let offset = items.length * 32;
+        const heads = encoded.map(item => {
+            const head = this._word(BigInt(offset));
+            offset += item.length / 2;
+            return head;
+        });
+        return this._word(BigInt(items.length)) + heads.join('') + encoded.join('');
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const uniswapV4Encoder = new UniswapV4Encoder({
+    wallet: typeof window !== 'undefined' ? window.walletConnector || null : null
+});
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.UniswapV4Encoder = UniswapV4Encoder;
+    window.uniswapV4Encoder = uniswapV4Encoder;
+}
@@ -0,0 +1,519 @@
+/* ========================================
+   YIELDGUARD AI - WALLET CONNECTOR
+   wallet-connector.js
+   EIP-1193 account, balance and allowance
+   checks, eth_call pre-flight and receipts
+   ======================================== */
+
+const ERC20_SELECTORS = {
+    balanceOf: '0x70a08231',  // balanceOf(address)
+    allowance: '0xdd62ed3e',  // allowance(address,address)
+    approve: '0x095ea7b3',    // approve(address,uint256)
+    decimals: '0x313ce567'    // decimals()
+};
+
+const PERMIT2_SELECTORS = {
+    allowance: '0x927da105',  // allowance(address,address,address) -> (uint160,uint48,uint48)
+    approve: '0x87517c45'     // approve(address,address,uint160,uint48)
+};
+
+/**
+ * Token addresses by chain id. 31337 (Anvil / Hardhat) assumes a
+ * mainnet fork; register others with walletConnector.registerToken().
+ */
+const WALLET_TOKENS = {
+    1: {
+        USDE: { address: '0x9D39A5DE30e57443BfF2A8307A4256c8797A3497', decimals: 18 }, // sUSDe
+        USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 }
+    },
+    31337: {
+        USDE: { address: '0x9D39A5DE30e57443BfF2A8307A4256c8797A3497', decimals: 18 },
+        USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 }
+    }
+};
+
+class WalletError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'WalletError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Minimal EIP-1193 provider over JSON-RPC, for dev chains (Anvil, Hardhat)
+ * whose node holds unlocked accounts
+ */
+class JsonRpcProvider {
+    constructor(url) {
+        this.url = url;
+        this.nextId = 1;
+    }
+
+    async request({ method, params = [] }) {
+        // Dev nodes expose their unlocked accounts without a connect prompt
+        const rpcMethod = method === 'eth_requestAccounts' ? 'eth_accounts' : method;
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method: rpcMethod, params: params })
+        });
+        if (!response.ok) throw new Error(`RPC error: ${response.status}`);
+
+        const json = await response.json();
+        if (json.error) {
+            const error = new Error(json.error.message);
+            error.code = json.error.code;
+            error.data = json.error.data;
+            throw error;
+        }
+        return json.result;
+    }
+
+    on() {}
+    removeListener() {}
+}
+
+class WalletConnector {
+    constructor(config = {}) {
+        this.provider = config.provider || null;
+        this.tokens = config.tokens || WALLET_TOKENS;
+        this.confirmations = config.confirmations || 1;
+        this.pollIntervalMs = config.pollIntervalMs || 1500;
+        this.receiptTimeoutMs = config.receiptTimeoutMs || 10 * 60 * 1000;
+        this.permit2ExpirySeconds = config.permit2ExpirySeconds || 30 * 24 * 60 * 60;
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = 'yieldguard_wallet_tokens';
+        this.account = null;
+        this.chainId = null;
+        this.pending = new Map(); // txHash -> { transaction, submittedAt, status }
+        this.decimalsCache = {};
+        this._listening = false;
+    }
+
+    /* ==========================================
+       1. ACCOUNT & CHAIN
+       ========================================== */
+
+    /**
+     * Ask the provider for an account and read the chain
+     */
+    async connect() {
+        if (!this.provider) {
+            throw new WalletError('NO_PROVIDER', 'No wallet found. Install a browser wallet or open the page with ?rpc=http://127.0.0.1:8545');
+        }
+
+        const accounts = await this.provider.request({ method: 'eth_requestAccounts' });
+        if (!accounts || accounts.length === 0) throw new WalletError('NO_ACCOUNT', 'Wallet returned no account');
+
+        this.account = accounts[0];
+        this.chainId = parseInt(await this.provider.request({ method: 'eth_chainId' }), 16);
+        this._listen();
+
+        console.log(`[Wallet] Connected ${this.account} on chain ${this.chainId}`);
+        this.renderStatus();
+        return this.account;
+    }
+
+    /**
+     * Connected account, connecting first if needed
+     */
+    async ensureConnected() {
+        return this.account || this.connect();
+    }
+
+    async switchChain(chainId) {
+        await this.provider.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: `0x${chainId.toString(16)}` }]
+        });
+        this.chainId = chainId;
+        this.renderStatus();
+    }
+
+    /**
+     * Internal: Follow account and chain changes made in the wallet
+     */
+    _listen() {
+        if (this._listening || typeof this.provider.on !== 'function') return;
+        this._listening = true;
+
+        this.provider.on('accountsChanged', (accounts) => {
+            this.account = accounts && accounts.length ? accounts[0] : null;
+            this.renderStatus();
+        });
+        this.provider.on('chainChanged', (chainId) => {
+            this.chainId = parseInt(chainId, 16);
+            this.decimalsCache = {};
+            this.renderStatus();
+        });
+    }
+
+    /* ==========================================
+       2. TOKENS, BALANCE & ALLOWANCE
+       ========================================== */
+
+    /**
+     * Token { address, decimals } for a symbol or address, registered or
+     * built in, on `chainId` (default the current chain). Decimals are null
+     * until known; those read on the current chain are filled from the cache.
+     */
+    resolveToken(symbolOrAddress, chainId = this.chainId) {
+        const key = String(symbolOrAddress);
+        const cached = (address) => chainId === this.chainId && this.decimalsCache[address.toLowerCase()] !== undefined
+            ? this.decimalsCache[address.toLowerCase()]
+            : null;
+        if (/^0x[0-9a-fA-F]{40}$/.test(key)) return { address: key, decimals: cached(key) };
+
+        const saved = this._savedTokens()[chainId] || {};
+        const token = saved[key.toUpperCase()] || (this.tokens[chainId] || {})[key.toUpperCase()];
+        if (!token) {
+            throw new WalletError('UNKNOWN_TOKEN', `No ${key.toUpperCase()} token address for chain ${chainId}`, { symbol: key, chainId: chainId });
+        }
+        const known = token.decimals !== null && token.decimals !== undefined;
+        return { ...token, decimals: known ? token.decimals : cached(token.address) };
+    }
+
+    /**
+     * resolveToken on the current chain, reading decimals from the token
+     * contract when they were not registered
+     */
+    async loadToken(symbolOrAddress) {
+        const token = this.resolveToken(symbolOrAddress);
+        if (token.decimals === null) token.decimals = await this.decimals(token.address);
+        return token;
+    }
+
+    /**
+     * Add a token address for a chain (e.g. one deployed on a local dev chain)
+     */
+    registerToken(chainId, symbol, address, decimals = null) {
+        const saved = this._savedTokens();
+        saved[chainId] = { ...(saved[chainId] || {}), [symbol.toUpperCase()]: { address, decimals } };
+        if (this.storage) this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    async decimals(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (this.decimalsCache[key] === undefined) {
+            this.decimalsCache[key] = Number(BigInt(await this._call(tokenAddress, ERC20_SELECTORS.decimals)));
+        }
+        return this.decimalsCache[key];
+    }
+
+    async balanceOf(tokenAddress, owner = this.account) {
+        return BigInt(await this._call(tokenAddress, ERC20_SELECTORS.balanceOf + this._word(owner)));
+    }
+
+    async allowance(tokenAddress, spender, owner = this.account) {
+        return BigInt(await this._call(tokenAddress, ERC20_SELECTORS.allowance + this._word(owner) + this._word(spender)));
+    }
+
+    /**
+     * Permit2 allowance { amount, expiration, nonce } the owner has given
+     * `spender` over `tokenAddress`
+     */
+    async permit2Allowance(permit2Address, tokenAddress, spender, owner = this.account) {
+        const result = String(await this._call(permit2Address, PERMIT2_SELECTORS.allowance + this._word(owner) + this._word(tokenAddress) + this._word(spender))).replace(/^0x/, '');
+        const word = (i) => BigInt('0x' + (result.slice(i * 64, (i + 1) * 64) || '0'));
+        return { amount: word(0), expiration: Number(word(1)), nonce: Number(word(2)) };
+    }
+
+    /**
+     * Approve `spender` for `amount` base units and wait for it to confirm
+     */
+    async approve(tokenAddress, spender, amount) {
+        return this._sendApproval(tokenAddress, ERC20_SELECTORS.approve + this._word(spender) + this._word(BigInt(amount)));
+    }
+
+    /**
+     * Let `spender` (e.g. a router) pull `amount` of the token through
+     * Permit2 until `expiration` (unix seconds, default permit2ExpirySeconds)
+     */
+    async approvePermit2(permit2Address, tokenAddress, spender, amount, expiration = Math.floor(Date.now() / 1000) + this.permit2ExpirySeconds) {
+        return this._sendApproval(permit2Address, PERMIT2_SELECTORS.approve + this._word(tokenAddress) + this._word(spender) +
+            this._word(BigInt(amount)) + this._word(BigInt(expiration)));
+    }
+
+    async _sendApproval(to, data) {
+        const account = await this.ensureConnected();
+        const call = { from: account, to, data, value: '0x0' };
+
+        await this.simulate(call);
+        const txHash = await this.provider.request({ method: 'eth_sendTransaction', params: [call] });
+        console.log('[Wallet] Approval submitted:', txHash);
+
+        const result = await this.waitForReceipt(txHash);
+        if (result.status !== 'confirmed') {
+            throw new WalletError('APPROVAL_FAILED', `Approval ${result.status}`, { txHash });
+        }
+        return result;
+    }
+
+    /**
+     * Check the input token against the wallet before anything is signed.
+     * Amounts are converted to base units with the token's decimals. A
+     * transaction with `permit2` also needs an unexpired Permit2 allowance
+     * for its spender, on top of the ERC-20 approval to Permit2.
+     */
+    async preflight(transaction, call) {
+        if (transaction.chainId && transaction.chainId !== this.chainId) {
+            throw new WalletError('WRONG_CHAIN', `Transaction is for chain ${transaction.chainId}, wallet is on ${this.chainId}`, {
+                expected: transaction.chainId,
+                actual: this.chainId
+            });
+        }
+        if (!transaction.tokenIn || !transaction.amountIn) return null;
+
+        const token = this.resolveToken(transaction.tokenIn);
+        const known = transaction.tokenInDecimals !== undefined ? transaction.tokenInDecimals : token.decimals;
+        const decimals = known !== null && known !== undefined ? known : await this.decimals(token.address);
+        const required = this.toBaseUnits(transaction.amountIn, decimals);
+        const spender = transaction.spender || call.to;
+
+        const [balance, allowance] = await Promise.all([
+            this.balanceOf(token.address),
+            this.allowance(token.address, spender)
+        ]);
+
+        const details = { token: token.address, spender, required: required.toString(), balance: balance.toString(), allowance: allowance.toString() };
+        if (balance < required) {
+            throw new WalletError('INSUFFICIENT_BALANCE', `Balance ${this.fromBaseUnits(balance, decimals)} is below ${transaction.amountIn}`, details);
+        }
+        if (allowance < required) {
+            throw new WalletError('INSUFFICIENT_ALLOWANCE', `Allowance ${this.fromBaseUnits(allowance, decimals)} is below ${transaction.amountIn}`, details);
+        }
+
+        if (transaction.permit2) {
+            const permit = transaction.permit2;
+            const granted = await this.permit2Allowance(permit.address, token.address, permit.spender);
+            const permitDetails = { token: token.address, permit2: permit.address, spender: permit.spender, required: required.toString(), allowance: granted.amount.toString(), expiration: granted.expiration };
+            if (granted.amount < required || granted.expiration <= Math.floor(Date.now() / 1000)) {
+                const reason = granted.amount < required ? `${this.fromBaseUnits(granted.amount, decimals)} is below ${transaction.amountIn}` : 'has expired';
+                throw new WalletError('INSUFFICIENT_PERMIT2_ALLOWANCE', `Permit2 allowance for the router ${reason}`, permitDetails);
+            }
+        }
+        return details;
+    }
+
+    /* ==========================================
+       3. SIMULATION & SUBMISSION
+       ========================================== */
+
+    /**
+     * Run the call with eth_call against the latest block; throws with the
+     * decoded revert reason if it would fail on chain
+     */
+    async simulate(call) {
+        try {
+            return await this.provider.request({ method: 'eth_call', params: [call, 'latest'] });
+        } catch (error) {
+            const reason = this._revertReason(error);
+            throw new WalletError('SIMULATION_REVERTED', `Simulation reverted: ${reason}`, { reason, call });
+        }
+    }
+
+    /**
+     * Check, simulate and submit a prepared transaction. It must carry
+     * `to` and `data` (or a `call` with them); returns the tx hash.
+     */
+    async sendTransaction(transaction) {
+        const account = await this.ensureConnected();
+        const source = transaction.call || transaction;
+
+        if (!source.to || !source.data) {
+            const reason = transaction.encodingError ? `: ${transaction.encodingError}` : '';
+            throw new WalletError('NO_CALLDATA', `No calldata for ${transaction.dex || 'this'} transaction${reason}`, { dex: transaction.dex });
+        }
+
+        const call = {
+            from: account,
+            to: source.to,
+            data: source.data,
+            value: source.value ? `0x${BigInt(source.value).toString(16)}` : '0x0'
+        };
+
+        await this.preflight(transaction, call);
+        await this.simulate(call);
+
+        const txHash = await this.provider.request({ method: 'eth_sendTransaction', params: [call] });
+        this.pending.set(txHash, { transaction, submittedAt: Date.now(), status: 'pending' });
+        console.log('[Wallet] Transaction submitted:', txHash);
+        return txHash;
+    }
+
+    /**
+     * Poll for the receipt until it has `confirmations` blocks on top.
+     * Resolves with status 'confirmed', 'reverted' or 'timeout'.
+     */
+    async waitForReceipt(txHash, options = {}) {
+        const confirmations = options.confirmations || this.confirmations;
+        const deadline = Date.now() + (options.timeoutMs || this.receiptTimeoutMs);
+
+        while (Date.now() < deadline) {
+            const receipt = await this.provider.request({ method: 'eth_getTransactionReceipt', params: [txHash] });
+            if (receipt) {
+                const blockNumber = parseInt(receipt.blockNumber, 16);
+                const head = parseInt(await this.provider.request({ method: 'eth_blockNumber' }), 16);
+                const depth = head - blockNumber + 1;
+                const reverted = parseInt(receipt.status, 16) === 0;
+
+                if (reverted || depth >= confirmations) {
+                    const status = reverted ? 'reverted' : 'confirmed';
+                    this._settle(txHash, status);
+                    return { status, txHash, receipt, blockNumber, confirmations: depth };
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+
+        this._settle(txHash, 'timeout');
+        return { status: 'timeout', txHash, receipt: null, blockNumber: null, confirmations: 0 };
+    }
+
+    _settle(txHash, status) {
+        const entry = this.pending.get(txHash);
+        if (entry) entry.status = status;
+        this.renderStatus();
+    }
+
+    /* ==========================================
+       4. DOM UPDATES
+       ========================================== */
+
+    /**
+     * Show account, chain and pending transactions in [data-wallet-status]
+     */
+    renderStatus() {
+        if (typeof document === 'undefined') return;
+        const el = document.querySelector('[data-wallet-status]');
+        if (!el) return;
+
+        if (!this.account) {
+            el.textContent = this.provider ? 'Wallet not connected' : 'No wallet detected';
+            return;
+        }
+
+        const pending = Array.from(this.pending.values()).filter(entry => entry.status === 'pending').length;
+        el.textContent = `${this.account.slice(0, 6)}…${this.account.slice(-4)} · chain ${this.chainId}` +
+            (pending ? ` · ${pending} pending` : '');
+    }
+
+    /* ==========================================
+       5. UTILITY FUNCTIONS
+       ========================================== */
+
+    /**
+     * Non-negative decimal amount (number or string, exponent notation
+     * allowed) to integer base units, truncated. Scaled in BigInt from the
+     * digits, so 1e21 and 0.1 both convert exactly. Static so the swap
+     * encoder shares it.
+     */
+    static toBaseUnits(amount, decimals) {
+        if (!Number.isInteger(decimals) || decimals < 0) {
+            throw new WalletError('INVALID_AMOUNT', `Token decimals must be a non-negative integer, got ${decimals}`);
+        }
+        // Shortest round-trip form of a number, so 0.1 does not pick up float noise
+        const match = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(amount).trim());
+        if (!match || !/\d/.test((match[1] || '') + (match[2] || ''))) {
+            throw new WalletError('INVALID_AMOUNT', `Amount must be a non-negative decimal, got ${amount}`);
+        }
+
+        const fraction = match[2] || '';
+        const digits = BigInt((match[1] || '') + fraction || '0');
+        const scale = decimals - fraction.length + parseInt(match[3] || '0', 10);
+        return scale >= 0 ? digits * 10n ** BigInt(scale) : digits / 10n ** BigInt(-scale);
+    }
+
+    toBaseUnits(amount, decimals) {
+        return WalletConnector.toBaseUnits(amount, decimals);
+    }
+
+    fromBaseUnits(value, decimals) {
+        const text = value.toString().padStart(decimals + 1, '0');
+        const whole = text.slice(0, text.length - decimals);
+        const fraction = text.slice(text.length - decimals).replace(/0+$/, '');
+        return fraction ? `${whole}.${fraction}` : whole;
+    }
+
+    async _call(to, data) {
+        return this.provider.request({ method: 'eth_call', params: [{ from: this.account, to, data }, 'latest'] });
+    }
+
+    /**
+     * Internal: One 32-byte ABI word (address or uint256), no 0x prefix
+     */
+    _word(value) {
+        const hex = typeof value === 'bigint' ? value.toString(16) : String(value).toLowerCase().replace(/^0x/, '');
+        return hex.padStart(64, '0');
+    }
+
+    /**
+     * Internal: Error(string) reason from a provider error, else its message
+     */
+    _revertReason(error) {
+        const data = typeof error.data === 'string' ? error.data : (error.data && error.data.data) || '';
+        if (data.startsWith('0x08c379a0') && data.length >= 138) {
+            const length = parseInt(data.slice(74, 138), 16);
+            const hex = data.slice(138, 138 + length * 2);
+            return decodeURIComponent(hex.replace(/(..)/g, '%$1'));
+        }
+        return error.message || 'execution reverted';
+    }
+
+    _savedTokens() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+// Page bootstrap - ?rpc=http://127.0.0.1:8545 uses a dev node's unlocked accounts (persists; ?rpc=off clears)
+if (typeof document !== 'undefined') {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('rpc') === 'off') localStorage.removeItem('yieldguard_wallet_rpc');
+    else if (params.get('rpc')) localStorage.setItem('yieldguard_wallet_rpc', params.get('rpc'));
+
+    const rpcUrl = localStorage.getItem('yieldguard_wallet_rpc');
+    const walletConnector = new WalletConnector({
+        provider: rpcUrl ? new JsonRpcProvider(rpcUrl) : (window.ethereum || null),
+        confirmations: 1
+    });
+
+    const wireConnect = () => {
+        walletConnector.renderStatus();
+        const connectBtn = document.getElementById('connect-wallet');
+        if (connectBtn) {
+            connectBtn.addEventListener('click', () => {
+                walletConnector.connect().catch(error => {
+                    console.error('[Wallet] Connect failed:', error);
+                    alert(error.message);
+                });
+            });
+        }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', wireConnect);
+    } else {
+        wireConnect();
+    }
+
+    window.walletConnector = walletConnector;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.WalletConnector = WalletConnector;
+    window.WalletError = WalletError;
+    window.JsonRpcProvider = JsonRpcProvider;
+}
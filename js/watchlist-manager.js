@@ -0,0 +1,562 @@
+/* ========================================
+   YIELDGUARD AI - WATCHLIST MANAGER
+   watchlist-manager.js
+   Local watchlist CRUD with diff-based,
+   conflict-aware Airtable sync
+   ======================================== */
+
+class WatchlistManager {
+    constructor(config = {}) {
+        this.airtableApiKey = config.airtableKey;
+        this.airtableBaseId = config.airtableBaseId;
+        this.table = config.table || 'Watchlist';
+        this.storageKey = config.storageKey || 'yieldguard_watchlist';
+        // Web Storage API; the Node CLI passes a file-backed equivalent
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.batchSize = 10; // Airtable write limit per request
+        this.items = [];
+        this.isSyncing = false;
+        this.lastSyncAt = null;
+        this.lastSyncError = null;
+        this.ready = Promise.resolve();
+    }
+
+    /* ==========================================
+       1. LOCAL STATE
+       ========================================== */
+
+    /**
+     * Item shape:
+     * - id:        local position id, also stored in Airtable as PositionId
+     * - recordId:  Airtable record id once created
+     * - protocol, amount (USD), status ('Active' | 'Closed'), dateAdded
+     * - dirty:     local edits not yet pushed
+     * - deleted:   tombstone until the Airtable DELETE succeeds
+     * - synced:    Airtable fields as of the last sync (diff baseline)
+     * - conflict:  { type: 'modified' | 'deleted-remotely' | 'deleted-locally', remote, detectedAt }
+     *              deleted-locally: removed here while it was edited in Airtable
+     */
+    load() {
+        if (!this.storage) return this.items;
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (saved) this.items = JSON.parse(saved);
+        } catch (error) {
+            console.warn('[Watchlist] Could not load local watchlist:', error);
+        }
+        return this.items;
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('[Watchlist] Could not save local watchlist:', error);
+        }
+    }
+
+    /**
+     * Positions shown in the UI (everything not pending deletion)
+     */
+    getAll() {
+        return this.items.filter(item => !item.deleted);
+    }
+
+    getActive() {
+        return this.getAll().filter(item => item.status === 'Active');
+    }
+
+    add({ protocol, amount }) {
+        const item = {
+            id: `pos_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            recordId: null,
+            protocol: protocol,
+            amount: parseFloat(amount) || 0,
+            status: 'Active',
+            dateAdded: new Date().toISOString(),
+            dirty: true,
+            deleted: false,
+            synced: null,
+            conflict: null
+        };
+        this.items.push(item);
+        this._notifyChange();
+        return item;
+    }
+
+    edit(id, changes) {
+        const item = this._get(id);
+        if (changes.protocol !== undefined) item.protocol = changes.protocol;
+        if (changes.amount !== undefined) item.amount = parseFloat(changes.amount) || 0;
+        if (changes.status !== undefined) item.status = changes.status;
+        item.dirty = true;
+        this._notifyChange();
+        return item;
+    }
+
+    /**
+     * Close a position: kept in Airtable for the record, excluded from exposure
+     */
+    close(id) {
+        return this.edit(id, { status: 'Closed' });
+    }
+
+    remove(id) {
+        const item = this._get(id);
+        if (item.recordId) {
+            item.deleted = true;
+            item.dirty = true;
+        } else {
+            // Never reached Airtable, nothing to delete remotely
+            this.items = this.items.filter(i => i.id !== id);
+        }
+        this._notifyChange();
+    }
+
+    /**
+     * Airtable field representation of a position
+     */
+    toFields(item) {
+        return {
+            PositionId: item.id,
+            Protocol: item.protocol,
+            Amount: item.amount,
+            DateAdded: item.dateAdded,
+            Status: item.status
+        };
+    }
+
+    /* ==========================================
+       2. AIRTABLE SYNC
+       ========================================== */
+
+    /**
+     * Diff local state against the Airtable table, then push upserts,
+     * PATCHes and DELETEs. Positions changed on both sides since the last
+     * sync are flagged as conflicts and left untouched until resolved.
+     */
+    async sync() {
+        if (!this.airtableApiKey || !this.airtableBaseId) {
+            console.warn('[Watchlist] Airtable credentials not configured');
+            return null;
+        }
+        if (this.isSyncing) return null;
+
+        this.isSyncing = true;
+        this._renderStatus();
+
+        try {
+            const remote = await this.fetchRemote();
+            const plan = this._diff(remote);
+
+            await this._upsert(plan.upserts);
+            await this._patch(plan.patches);
+            await this._delete(plan.deletes);
+
+            this.lastSyncAt = new Date().toISOString();
+            this.lastSyncError = null;
+            console.log(`[Watchlist] Synced: ${plan.upserts.length} upserted, ${plan.patches.length} patched, ` +
+                `${plan.deletes.length} deleted, ${plan.pulled} pulled, ${plan.conflicts} conflicts`);
+            return plan;
+        } catch (error) {
+            this.lastSyncError = error.message;
+            console.error('[Watchlist] Sync failed:', error);
+            return null;
+        } finally {
+            this.isSyncing = false;
+            this._notifyChange();
+        }
+    }
+
+    /**
+     * Read every Watchlist record, following Airtable pagination
+     */
+    async fetchRemote() {
+        const records = [];
+        let offset = null;
+
+        do {
+            const query = offset ? `?offset=${encodeURIComponent(offset)}` : '';
+            const data = await this._request('GET', query);
+            records.push(...data.records);
+            offset = data.offset;
+        } while (offset);
+
+        return records;
+    }
+
+    /**
+     * Internal: Compare local items with remote records and build a write plan
+     */
+    _diff(remote) {
+        const byRecordId = new Map(remote.map(r => [r.id, r]));
+        const byPositionId = new Map(remote.filter(r => r.fields.PositionId).map(r => [r.fields.PositionId, r]));
+        const plan = { upserts: [], patches: [], deletes: [], pulled: 0, conflicts: 0 };
+        const seen = new Set();
+
+        this.items.forEach(item => {
+            if (!item.recordId) {
+                // Upserting on PositionId is safe even if an earlier attempt already landed
+                const landed = byPositionId.get(item.id);
+                if (landed) seen.add(landed.id);
+                plan.upserts.push(item);
+                return;
+            }
+
+            seen.add(item.recordId);
+            if (item.conflict) {
+                plan.conflicts++;
+                return;
+            }
+
+            const record = byRecordId.get(item.recordId);
+            if (!record) {
+                // Deleted elsewhere: drop unless we hold unsynced edits
+                if (item.dirty && !item.deleted) {
+                    item.conflict = { type: 'deleted-remotely', remote: null, detectedAt: new Date().toISOString() };
+                    plan.conflicts++;
+                } else {
+                    item.deleted = true;
+                    item.dirty = false;
+                }
+                return;
+            }
+
+            const remoteChanged = !this._sameFields(record.fields, item.synced);
+            if (item.dirty && remoteChanged) {
+                const type = item.deleted ? 'deleted-locally' : 'modified';
+                item.conflict = { type: type, remote: record.fields, detectedAt: new Date().toISOString() };
+                plan.conflicts++;
+            } else if (item.dirty) {
+                (item.deleted ? plan.deletes : plan.patches).push(item);
+            } else if (remoteChanged) {
+                this._applyRemote(item, record);
+                plan.pulled++;
+            }
+        });
+
+        // Records created elsewhere (another device, Airtable UI)
+        remote.forEach(record => {
+            if (seen.has(record.id)) return;
+            const item = { id: record.fields.PositionId || record.id, recordId: record.id, deleted: false, conflict: null };
+            this._applyRemote(item, record);
+            this.items.push(item);
+            plan.pulled++;
+        });
+
+        // Drop tombstones that need no remote call
+        this.items = this.items.filter(item => !(item.deleted && !item.dirty));
+        return plan;
+    }
+
+    async _upsert(items) {
+        for (const batch of this._batches(items)) {
+            const sent = new Map(batch.map(item => [item.id, this.toFields(item)]));
+            const data = await this._request('PATCH', '', {
+                performUpsert: { fieldsToMergeOn: ['PositionId'] },
+                records: [...sent.values()].map(fields => ({ fields }))
+            });
+            data.records.forEach(record => {
+                const item = this.items.find(i => i.id === record.fields.PositionId);
+                if (item) this._markSynced(item, record, sent.get(item.id));
+            });
+        }
+    }
+
+    async _patch(items) {
+        for (const batch of this._batches(items)) {
+            const sent = new Map(batch.map(item => [item.id, this.toFields(item)]));
+            const data = await this._request('PATCH', '', {
+                records: batch.map(item => ({ id: item.recordId, fields: sent.get(item.id) }))
+            });
+            data.records.forEach(record => {
+                const item = this.items.find(i => i.recordId === record.id);
+                if (item) this._markSynced(item, record, sent.get(item.id));
+            });
+        }
+    }
+
+    async _delete(items) {
+        for (const batch of this._batches(items)) {
+            const query = '?' + batch.map(item => `records[]=${encodeURIComponent(item.recordId)}`).join('&');
+            await this._request('DELETE', query);
+            const ids = new Set(batch.map(item => item.id));
+            this.items = this.items.filter(item => !ids.has(item.id));
+        }
+    }
+
+    /**
+     * Settle a conflict: 'local' re-pushes our version (or our delete),
+     * 'remote' takes theirs
+     */
+    async resolveConflict(id, keep) {
+        const item = this._get(id);
+        if (!item.conflict) return;
+
+        if (keep === 'remote') {
+            if (item.conflict.type === 'deleted-remotely') {
+                this.items = this.items.filter(i => i.id !== id);
+            } else {
+                this._applyRemote(item, { id: item.recordId, fields: item.conflict.remote });
+                item.deleted = false;
+                item.conflict = null;
+            }
+        } else {
+            if (item.conflict.type === 'deleted-remotely') {
+                item.recordId = null; // Recreated by the next upsert
+            } else {
+                item.synced = this._pickSynced(item.conflict.remote);
+            }
+            item.dirty = true;
+            item.conflict = null;
+        }
+
+        this._notifyChange();
+        return this.sync();
+    }
+
+    /* ==========================================
+       3. DOM UPDATES (dashboard.html)
+       ========================================== */
+
+    /**
+     * Wire the add/edit form, row actions and sync button
+     */
+    initializeUI() {
+        const form = document.getElementById('watchlist-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const fields = new FormData(form);
+                const values = { protocol: fields.get('protocol'), amount: fields.get('amount') };
+
+                if (fields.get('editId')) this.edit(fields.get('editId'), values);
+                else this.add(values);
+
+                form.reset();
+                form.elements.editId.value = '';
+                form.querySelector('button[type="submit"]').textContent = 'Add Position';
+                this.sync();
+            });
+        }
+
+        const table = document.querySelector('[data-watchlist]');
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-watchlist-action]');
+                if (!button) return;
+                const id = button.closest('[data-position-id]').dataset.positionId;
+                this._handleAction(button.dataset.watchlistAction, id);
+            });
+        }
+
+        const syncBtn = document.getElementById('watchlist-sync');
+        if (syncBtn) {
+            syncBtn.addEventListener('click', () => this.sync());
+        }
+
+        this.render();
+        console.log('[Watchlist] UI initialized');
+    }
+
+    _handleAction(action, id) {
+        if (action === 'edit') {
+            const item = this._get(id);
+            const form = document.getElementById('watchlist-form');
+            if (!form) return;
+            form.elements.protocol.value = item.protocol;
+            form.elements.amount.value = item.amount;
+            form.elements.editId.value = id;
+            form.querySelector('button[type="submit"]').textContent = 'Save Position';
+            return;
+        }
+
+        if (action === 'close') this.close(id);
+        else if (action === 'delete') this.remove(id);
+        else if (action === 'keep-local') return this.resolveConflict(id, 'local');
+        else if (action === 'keep-remote') return this.resolveConflict(id, 'remote');
+
+        this.sync();
+    }
+
+    render() {
+        if (typeof document === 'undefined') return;
+        const tbody = document.querySelector('[data-watchlist] tbody');
+        if (!tbody) return;
+
+        // Deletes held back by a conflict stay visible until resolved
+        const items = this.items.filter(item => !item.deleted || item.conflict);
+        tbody.innerHTML = items.length ? items.map(item => {
+            const statusClass = item.status === 'Active' ? 'text-green-400' : 'text-slate-500';
+            const syncLabel = item.conflict
+                ? '<span class="text-orange-400">Conflict</span>'
+                : item.dirty ? '<span class="text-yellow-400">Pending</span>' : '<span class="text-slate-500">Synced</span>';
+
+            const conflictRow = item.conflict ? `
+                <tr data-position-id="${this._escape(item.id)}">
+                    <td colspan="5" class="text-xs text-orange-400">
+                        ${this._describeConflict(item.conflict)}
+                        <button data-watchlist-action="keep-local" class="ml-2 underline hover:text-orange-300">Keep mine</button>
+                        <button data-watchlist-action="keep-remote" class="ml-2 underline hover:text-orange-300">Keep Airtable</button>
+                    </td>
+                </tr>
+            ` : '';
+
+            const actions = item.deleted ? '' : `
+                        <button data-watchlist-action="edit" class="text-slate-400 hover:text-green-400">Edit</button>
+                        ${item.status === 'Active' ? '<button data-watchlist-action="close" class="text-slate-400 hover:text-yellow-400">Close</button>' : ''}
+                        <button data-watchlist-action="delete" class="text-slate-400 hover:text-red-400">Delete</button>`;
+
+            return `
+                <tr data-position-id="${this._escape(item.id)}"${item.deleted ? ' class="line-through text-slate-500"' : ''}>
+                    <td>${this._escape(item.protocol)}</td>
+                    <td class="table-cell-number">$${Number(item.amount).toLocaleString('en-US')}</td>
+                    <td class="${statusClass}">${this._escape(item.status)}</td>
+                    <td class="text-xs">${syncLabel}</td>
+                    <td class="text-xs space-x-2 text-right">${actions}
+                    </td>
+                </tr>
+                ${conflictRow}
+            `;
+        }).join('') : '<tr><td colspan="5" class="text-slate-500">No positions yet</td></tr>';
+
+        this._renderStatus();
+    }
+
+    _describeConflict(conflict) {
+        if (conflict.type === 'deleted-remotely') return 'Deleted in Airtable while you edited it.';
+        const remote = `${this._escape(conflict.remote.Protocol)} $${Number(conflict.remote.Amount).toLocaleString('en-US')} (${this._escape(conflict.remote.Status)})`;
+        return conflict.type === 'deleted-locally'
+            ? `Deleted here while it changed in Airtable: ${remote}.`
+            : `Changed in Airtable: ${remote}.`;
+    }
+
+    _renderStatus() {
+        if (typeof document === 'undefined') return;
+        const statusEl = document.querySelector('[data-watchlist-status]');
+        if (!statusEl) return;
+
+        if (this.isSyncing) statusEl.textContent = 'Syncing…';
+        else if (this.lastSyncError) statusEl.textContent = `Sync failed: ${this.lastSyncError}`;
+        else if (this.lastSyncAt) statusEl.textContent = `Synced ${this.lastSyncAt.replace('T', ' ').slice(0, 16)} UTC`;
+        else statusEl.textContent = 'Not synced';
+    }
+
+    /* ==========================================
+       4. UTILITY FUNCTIONS
+       ========================================== */
+
+    async _request(method, query = '', body = null) {
+        const response = await fetch(
+            `https://api.airtable.com/v0/${this.airtableBaseId}/${this.table}${query}`,
+            {
+                method: method,
+                headers: {
+                    'Authorization': `Bearer ${this.airtableApiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined
+            }
+        );
+
+        if (!response.ok) throw new Error(`Airtable error: ${response.status}`);
+        return response.json();
+    }
+
+    _get(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) throw new Error(`Unknown watchlist position: ${id}`);
+        return item;
+    }
+
+    _applyRemote(item, record) {
+        item.recordId = record.id;
+        item.protocol = record.fields.Protocol;
+        item.amount = parseFloat(record.fields.Amount) || 0;
+        item.status = record.fields.Status || 'Active';
+        item.dateAdded = record.fields.DateAdded || item.dateAdded || new Date().toISOString();
+        item.synced = this._pickSynced(record.fields);
+        item.dirty = false;
+    }
+
+    /**
+     * Take the written record as the baseline. Edits (or a delete) made
+     * while the request was in flight keep the item dirty for the next sync.
+     */
+    _markSynced(item, record, sent) {
+        item.recordId = record.id;
+        item.synced = this._pickSynced(record.fields);
+        if (!item.deleted && (!sent || this._sameFields(this.toFields(item), this._pickSynced(sent)))) {
+            item.dirty = false;
+        }
+    }
+
+    /**
+     * Fields that count as a change when they differ
+     */
+    _pickSynced(fields) {
+        return {
+            Protocol: fields.Protocol,
+            Amount: parseFloat(fields.Amount) || 0,
+            Status: fields.Status || 'Active'
+        };
+    }
+
+    _sameFields(fields, synced) {
+        if (!synced) return false;
+        const current = this._pickSynced(fields);
+        return current.Protocol === synced.Protocol &&
+            current.Amount === synced.Amount &&
+            current.Status === synced.Status;
+    }
+
+    /**
+     * Internal: Airtable values are user-editable, escape before innerHTML
+     */
+    _escape(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    _batches(items) {
+        const batches = [];
+        for (let i = 0; i < items.length; i += this.batchSize) {
+            batches.push(items.slice(i, i + this.batchSize));
+        }
+        return batches;
+    }
+
+    _notifyChange() {
+        this.save();
+        this.render();
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('watchlistChanged', { detail: this.getActive() }));
+        }
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+// Page bootstrap - skipped when loaded by the Node CLI
+if (typeof document !== 'undefined') {
+    const watchlistManager = new WatchlistManager({
+        airtableKey: (typeof process !== 'undefined' && process.env.AIRTABLE_KEY) || window.fixtureServer?.credentials.airtableKey,
+        airtableBaseId: (typeof process !== 'undefined' && process.env.AIRTABLE_BASE_ID) || window.fixtureServer?.credentials.airtableBaseId
+    });
+
+    watchlistManager.load();
+    // Consumers (RiskCore, Nairobi) await the first pull from Airtable
+    watchlistManager.ready = watchlistManager.sync();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => watchlistManager.initializeUI());
+    } else {
+        watchlistManager.initializeUI();
+    }
+
+    // Export for use in other modules
+    window.watchlistManager = watchlistManager;
+}
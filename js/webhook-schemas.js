@@ -0,0 +1,270 @@
+/* ========================================
+   YIELDGUARD AI - WEBHOOK SCHEMAS
+   webhook-schemas.js
+   Contracts for every n8n webhook payload,
+   validated at ingestion with typed errors
+   ======================================== */
+
+/**
+ * Thrown when a webhook returns a payload that breaks its contract.
+ * `issues` lists every offending field as { path, message, received }.
+ */
+class PayloadValidationError extends Error {
+    constructor(source, issues) {
+        super(`${source} payload rejected: ${issues.map(i => `${i.path} ${i.message}`).join('; ')}`);
+        this.name = 'PayloadValidationError';
+        this.source = source;
+        this.issues = issues;
+    }
+}
+
+/**
+ * Schema shape:
+ * - fields:      { name: { type, required, requiredUnless, min, max, enum, items, schema } }
+ *                requiredUnless: required only when the named sibling field is absent
+ *                type: 'number' (finite, numeric strings accepted) | 'string' |
+ *                      'date' (parseable) | 'array' (of `items` schemas) |
+ *                      'object' (checked against a nested `schema`)
+ * - requireOneOf: optional list of fields of which at least one must be present
+ *
+ * Fields with a default in protocol-adapters.js are optional here;
+ * everything a score, exit or report depends on is required.
+ */
+const WEBHOOK_SCHEMAS = {
+    'pendle-apy': {
+        fields: {
+            // Single-market shape; a markets-only payload carries these per market
+            apy: { type: 'number', requiredUnless: 'markets' },
+            maturityDate: { type: 'date', requiredUnless: 'markets' },
+            confidence: { type: 'number', min: 0, max: 1 },
+            markets: {
+                type: 'array',
+                items: {
+                    fields: {
+                        market: { type: 'string', required: true },
+                        name: { type: 'string' },
+                        positionType: { type: 'string', enum: ['PT', 'YT'] },
+                        impliedApy: { type: 'number', required: true },
+                        underlyingApy: { type: 'number', required: true },
+                        apy: { type: 'number' },
+                        maturityDate: { type: 'date', required: true },
+                        confidence: { type: 'number', min: 0, max: 1 }
+                    }
+                }
+            }
+        }
+    },
+    'ethena-funding': {
+        fields: {
+            fundingRate: { type: 'number', required: true },
+            apy: { type: 'number', required: true },
+            depegRisk: { type: 'number', min: 0, max: 1 },
+            lastUpdate: { type: 'date' }
+        }
+    },
+    'falcon-cooldown': {
+        fields: {
+            cooldownDays: { type: 'number', required: true, min: 0 },
+            cooldownEndDate: { type: 'date' },
+            apy: { type: 'number', required: true },
+            lockupExpiration: { type: 'date' }
+        }
+    },
+    'redemption-value': {
+        fields: {
+            nav: { type: 'number', required: true, min: 0, exclusiveMin: true },
+            cooldownDays: { type: 'number', required: true, min: 0 },
+            unlockDate: { type: 'date' }
+        }
+    },
+    'market-price': {
+        fields: {
+            price: { type: 'number', required: true, min: 0, exclusiveMin: true },
+            liquidity: { type: 'number', min: 0 },
+            dex: { type: 'string' },
+            gasUsd: { type: 'number', min: 0 },
+            // Depth for the price-impact model (price-impact.js)
+            pool: {
+                type: 'object',
+                schema: {
+                    fields: {
+                        type: { type: 'string', required: true, enum: ['constant-product', 'concentrated'] },
+                        fee: { type: 'number', min: 0, max: 0.1 },
+                        reserveAsset: { type: 'number', min: 0 },
+                        reserveQuote: { type: 'number', min: 0 },
+                        ticks: {
+                            type: 'array',
+                            items: {
+                                fields: {
+                                    priceLower: { type: 'number', required: true, min: 0, exclusiveMin: true },
+                                    liquidity: { type: 'number', required: true, min: 0 }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    'exchange-rate': {
+        fields: {
+            rate: { type: 'number', required: true, min: 0, exclusiveMin: true },
+            currency: { type: 'string', required: true },
+            source: { type: 'string' }
+        }
+    },
+    'nairobi-agent': {
+        fields: {
+            response: { type: 'string' },
+            message: { type: 'string' }
+        },
+        requireOneOf: ['response', 'message']
+    }
+};
+
+class WebhookSchemaRegistry {
+    constructor(schemas = {}) {
+        this.schemas = new Map(Object.entries(schemas));
+        this.stats = {};   // Per webhook: { accepted, rejected, lastRejectedAt, lastIssues }
+    }
+
+    /* ==========================================
+       1. DEFINITIONS
+       ========================================== */
+
+    define(webhook, schema) {
+        this.schemas.set(webhook, schema);
+        return this;
+    }
+
+    get(webhook) {
+        return this.schemas.get(webhook) || null;
+    }
+
+    /* ==========================================
+       2. VALIDATION
+       ========================================== */
+
+    /**
+     * Throw a PayloadValidationError unless the payload meets its webhook's
+     * contract; counts the outcome per source either way.
+     * Webhooks without a schema are passed through unchecked.
+     */
+    assert(webhook, payload) {
+        const schema = this.get(webhook);
+        if (!schema) return payload;
+
+        const issues = this.validate(schema, payload);
+        const stats = this._stats(webhook);
+
+        if (issues.length > 0) {
+            stats.rejected += 1;
+            stats.lastRejectedAt = new Date().toISOString();
+            stats.lastIssues = issues;
+            throw new PayloadValidationError(webhook, issues);
+        }
+
+        stats.accepted += 1;
+        return payload;
+    }
+
+    /**
+     * List contract violations of a payload against a schema
+     */
+    validate(schema, payload, path = '') {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return [{ path: path || '(root)', message: 'must be an object', received: this._describe(payload) }];
+        }
+
+        const present = (value) => value !== undefined && value !== null && value !== '';
+        const issues = [];
+        Object.entries(schema.fields || {}).forEach(([field, spec]) => {
+            const fieldPath = path ? `${path}.${field}` : field;
+            const raw = payload[field];
+
+            if (!present(raw)) {
+                const required = spec.required || (spec.requiredUnless && !present(payload[spec.requiredUnless]));
+                if (required) issues.push({ path: fieldPath, message: 'is required', received: this._describe(raw) });
+                return;
+            }
+
+            issues.push(...this._checkField(spec, raw, fieldPath));
+        });
+
+        if (schema.requireOneOf && !schema.requireOneOf.some(f => present(payload[f]))) {
+            issues.push({ path: path || '(root)', message: `needs one of ${schema.requireOneOf.join(', ')}`, received: 'none' });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Internal: Type and range checks for one present field
+     */
+    _checkField(spec, raw, path) {
+        const issue = (message) => [{ path, message, received: this._describe(raw) }];
+
+        switch (spec.type) {
+            case 'number': {
+                const numeric = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+                if (typeof numeric !== 'number' || !isFinite(numeric)) return issue('must be a finite number');
+                if (spec.min !== undefined && (spec.exclusiveMin ? numeric <= spec.min : numeric < spec.min)) {
+                    return issue(`must be ${spec.exclusiveMin ? '>' : '>='} ${spec.min}`);
+                }
+                if (spec.max !== undefined && numeric > spec.max) return issue(`must be <= ${spec.max}`);
+                return [];
+            }
+            case 'string':
+                if (typeof raw !== 'string') return issue('must be a string');
+                if (spec.enum && !spec.enum.includes(raw)) return issue(`must be one of ${spec.enum.join(', ')}`);
+                return [];
+            case 'date':
+                if ((typeof raw !== 'string' && typeof raw !== 'number') || isNaN(new Date(raw).getTime())) {
+                    return issue('must be a valid date');
+                }
+                return [];
+            case 'array':
+                if (!Array.isArray(raw)) return issue('must be an array');
+                return spec.items
+                    ? raw.flatMap((item, i) => this.validate(spec.items, item, `${path}[${i}]`))
+                    : [];
+            case 'object':
+                return spec.schema ? this.validate(spec.schema, raw, path) : [];
+            default:
+                return [];
+        }
+    }
+
+    /* ==========================================
+       3. UTILITY FUNCTIONS
+       ========================================== */
+
+    _stats(webhook) {
+        if (!this.stats[webhook]) {
+            this.stats[webhook] = { accepted: 0, rejected: 0, lastRejectedAt: null, lastIssues: [] };
+        }
+        return this.stats[webhook];
+    }
+
+    _describe(value) {
+        if (value === undefined) return 'undefined';
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'string') return JSON.stringify(value.length > 40 ? value.slice(0, 40) + '…' : value);
+        if (typeof value === 'object') return 'object';
+        return String(value);
+    }
+}
+
+/* ==========================================
+   EXPORT & INITIALIZE
+   ========================================== */
+
+const webhookSchemas = new WebhookSchemaRegistry(WEBHOOK_SCHEMAS);
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PayloadValidationError = PayloadValidationError;
+    window.WebhookSchemaRegistry = WebhookSchemaRegistry;
+    window.webhookSchemas = webhookSchemas;
+}
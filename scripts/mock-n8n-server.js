@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/* ========================================
+   YIELDGUARD AI - LOCAL N8N STAND-IN
+   scripts/mock-n8n-server.js
+   Serves every webhook contract from the
+   shared fixtures in js/fixture-mode.js
+
+   Usage:
+     node scripts/mock-n8n-server.js [--port 5678] [--scenario depeg]
+   then point N8N_URL at http://localhost:5678
+   ======================================== */
+
+const http = require('http');
+const { WebhookFixtureServer } = require('../js/fixture-mode.js');
+
+const args = process.argv.slice(2);
+const argValue = (flag, fallback) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+};
+
+const port = parseInt(argValue('--port', process.env.PORT || '5678'), 10);
+const fixtures = new WebhookFixtureServer({ scenario: argValue('--scenario', 'baseline') });
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let body = {};
+        try {
+            body = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            return send(res, 400, { error: 'Invalid JSON body' });
+        }
+
+        const path = new URL(req.url, `http://localhost:${port}`).pathname;
+
+        // Scenario control: GET lists, POST { name } switches and resets the script
+        if (path === '/__scenario') {
+            if (req.method === 'POST') {
+                try {
+                    fixtures.setScenario(body.name);
+                } catch (error) {
+                    return send(res, 400, { error: error.message });
+                }
+            }
+            return send(res, 200, { active: fixtures.scenario, scenarios: fixtures.listScenarios() });
+        }
+
+        const webhookMatch = path.match(/^\/webhook\/([\w-]+)$/);
+        if (webhookMatch) {
+            const result = fixtures.handleWebhook(webhookMatch[1], body);
+            console.log(`[MockN8N] ${req.method} ${path} -> ${result.status}`);
+            return send(res, result.status, result.body);
+        }
+
+        send(res, 404, { error: `No route for ${path}` });
+    });
+});
+
+server.listen(port, () => {
+    console.log(`[MockN8N] Listening on http://localhost:${port} (scenario: ${fixtures.scenario})`);
+});
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/* ========================================
+   YIELDGUARD AI - HEADLESS MONITOR
+   scripts/yieldguard-monitor.js
+   Runs RiskCoreEngine, PulseRuleSet and
+   AlertEngine without a browser tab
+
+   Usage:
+     node scripts/yieldguard-monitor.js [--once] [--out data/pulse-snapshots.jsonl]
+         [--state data/monitor-state.json] [--latest data/latest.json]
+         [--rules rules.json] [--interval 30000] [--fail-below 50] [--alert-webhook URL]
+         [--exit-on-breach] [--fixtures [--scenario depeg]]
+
+   Reads N8N_URL, AIRTABLE_KEY and AIRTABLE_BASE_ID from the environment.
+   stdout carries one JSON line per poll and per alert; logs go to stderr.
+
+   Exit codes: 0 ok, 1 fatal error or no data, 2 threshold breach
+   (--once, or --exit-on-breach while running as a daemon)
+   ======================================== */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// DOM-free modules in page load order; each defines its globals like a <script> tag
+const ENGINE_SCRIPTS = [
+    'fixture-mode.js',
+    'event-bus.js',
+    'webhook-schemas.js',
+    'protocol-adapters.js',
+    'pulse-rules.js',
+    'source-health.js',
+    'funding-forecast.js',
+    'contagion-graph.js',
+    'watchlist-manager.js',
+    'risk-core.js',
+    'alert-engine.js'
+];
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_BREACH = 2;
+
+const args = process.argv.slice(2);
+const hasFlag = (flag) => args.includes(flag);
+const argValue = (flag, fallback) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+};
+
+const options = {
+    once: hasFlag('--once'),
+    out: argValue('--out', 'data/pulse-snapshots.jsonl'),
+    state: argValue('--state', 'data/monitor-state.json'),
+    latest: argValue('--latest', null),
+    rules: argValue('--rules', null),
+    interval: parseInt(argValue('--interval', '30000'), 10),
+    failBelow: argValue('--fail-below', null) !== null ? parseFloat(argValue('--fail-below')) : null,
+    alertWebhook: argValue('--alert-webhook', process.env.ALERT_WEBHOOK_URL || null),
+    exitOnBreach: hasFlag('--exit-on-breach'),
+    fixtures: hasFlag('--fixtures'),
+    scenario: argValue('--scenario', 'baseline'),
+    retentionDays: parseInt(argValue('--retention-days', '30'), 10),
+    syncIntervalMs: 15 * 60 * 1000
+};
+
+// Keep stdout machine-readable: module logging goes to stderr
+console.log = console.error;
+console.info = console.error;
+
+const emit = (record) => process.stdout.write(JSON.stringify(record) + '\n');
+
+/* ==========================================
+   1. FILE-BACKED STORAGE
+   ========================================== */
+
+/**
+ * Web Storage API (getItem / setItem / removeItem) over one JSON file,
+ * so AlertEngine and WatchlistManager keep state across restarts
+ */
+class JsonFileStorage {
+    constructor(file) {
+        this.file = file;
+        this.values = {};
+        try {
+            this.values = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[Monitor] Could not read state file:', error.message);
+        }
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+    }
+
+    setItem(key, value) {
+        this.values[key] = String(value);
+        this._flush();
+    }
+
+    removeItem(key) {
+        delete this.values[key];
+        this._flush();
+    }
+
+    _flush() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.values, null, 2));
+    }
+}
+
+/* ==========================================
+   2. SNAPSHOT STORE (JSON LINES)
+   ========================================== */
+
+/**
+ * Same recordPoll / query surface as PulseHistoryStore, one JSON line
+ * per protocol per poll, so the engine and FundingForecaster use it as-is
+ */
+class SnapshotFileStore {
+    constructor(config = {}) {
+        this.file = config.file;
+        this.retentionDays = config.retentionDays || 30;
+    }
+
+    async recordPoll(data, snapshot) {
+        const ts = Date.now();
+        const lines = Object.entries(snapshot).map(([protocol, entry]) => JSON.stringify({
+            protocol: protocol,
+            ts: ts,
+            timestamp: new Date(ts).toISOString(),
+            score: entry.score,
+            status: entry.status,
+            breakdown: entry.breakdown || [],
+            ruleSetVersion: entry.ruleSetVersion || null,
+            data: data[protocol] || null
+        }));
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, lines.join('\n') + '\n');
+    }
+
+    /**
+     * A protocol's records since a timestamp (ms), oldest first
+     */
+    async query(protocol, sinceMs = 0) {
+        return this._readAll().filter(record => record.protocol === protocol && record.ts >= sinceMs);
+    }
+
+    /**
+     * Drop records older than the retention window
+     */
+    async prune() {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const records = this._readAll();
+        const kept = records.filter(record => record.ts >= cutoff);
+        if (kept.length === records.length) return;
+
+        fs.writeFileSync(this.file, kept.map(record => JSON.stringify(record)).join('\n') + (kept.length ? '\n' : ''));
+        console.log(`[Monitor] Pruned ${records.length - kept.length} snapshot records`);
+    }
+
+    _readAll() {
+        let text = '';
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[Monitor] Could not read snapshots:', error.message);
+            return [];
+        }
+
+        return text.split('\n').filter(Boolean).map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        }).filter(Boolean);
+    }
+}
+
+/* ==========================================
+   3. ENGINE SETUP
+   ========================================== */
+
+function loadEngineScripts() {
+    const jsDir = path.join(__dirname, '..', 'js');
+    ENGINE_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(jsDir, file), 'utf8');
+        vm.runInThisContext(source, { filename: path.join(jsDir, file) });
+    });
+}
+
+async function buildMonitor() {
+    loadEngineScripts();
+
+    let credentials = { airtableKey: process.env.AIRTABLE_KEY, airtableBaseId: process.env.AIRTABLE_BASE_ID };
+    if (options.fixtures) {
+        const fixtureServer = new WebhookFixtureServer({ scenario: options.scenario });
+        installFixtureFetch(fixtureServer, 0);
+        credentials = fixtureServer.credentials;
+        console.log('[Monitor] Fixture mode, scenario:', fixtureServer.scenario);
+    }
+
+    if (options.rules) {
+        pulseRules.load(JSON.parse(fs.readFileSync(options.rules, 'utf8')));
+    }
+
+    const storage = new JsonFileStorage(options.state);
+    const history = new SnapshotFileStore({ file: options.out, retentionDays: options.retentionDays });
+    await history.prune();
+
+    const forecaster = new FundingForecaster({ history: history });
+    forecaster.ready = forecaster.seed();
+
+    let watchlist = null;
+    if (credentials.airtableKey && credentials.airtableBaseId) {
+        watchlist = new WatchlistManager({ ...credentials, storage: storage });
+        watchlist.load();
+        watchlist.ready = watchlist.sync();
+    }
+
+    const engine = new RiskCoreEngine({
+        n8nUrl: process.env.N8N_URL || 'https://your-n8n-instance.com',
+        airtableKey: credentials.airtableKey,
+        airtableBaseId: credentials.airtableBaseId,
+        pollingInterval: options.interval,
+        adapters: protocolAdapters,
+        history: history,
+        rules: pulseRules,
+        watchlist: watchlist,
+        forecaster: forecaster,
+        contagion: contagionGraph,
+        schemas: webhookSchemas,
+        events: eventBus
+    });
+
+    const alerts = new AlertEngine({ scorer: engine, storage: storage });
+    alerts.loadState();
+
+    return { engine, alerts, watchlist };
+}
+
+/* ==========================================
+   4. POLL HANDLING
+   ========================================== */
+
+/**
+ * Summarize one poll, emit it and its alerts, and report whether it breached
+ */
+async function handlePoll(engine, alerts, data) {
+    const fired = alerts.evaluate(data);
+
+    // A source whose circuit opened this poll alerts like any other rule
+    const unsubscribe = eventBus.on('sourceFailed', (failure) => {
+        const alert = alerts.evaluateSourceFailure(failure);
+        if (alert) fired.push(alert);
+    });
+    engine.publishPollEvents(data);
+    unsubscribe();
+    const scores = engine.buildScoreSnapshot(data);
+    const global = engine.calculateGlobalScore(data);
+
+    const belowFloor = options.failBelow === null ? [] : Object.entries(scores)
+        .filter(([, entry]) => entry.score < options.failBelow)
+        .map(([key]) => key);
+    const breached = belowFloor.length > 0 || fired.some(alert => alert.severity !== 'info');
+
+    const summary = {
+        type: 'poll',
+        timestamp: new Date().toISOString(),
+        globalScore: global.score,
+        weighting: global.weighting,
+        scores: Object.fromEntries(Object.entries(scores).map(([key, entry]) => [key, {
+            score: entry.score,
+            status: entry.status,
+            freshness: data[key] && data[key].freshness ? data[key].freshness.state : null
+        }])),
+        belowFloor: belowFloor,
+        breached: breached
+    };
+
+    emit(summary);
+    fired.forEach(alert => emit({ type: 'alert', ...alert }));
+
+    if (options.latest) {
+        fs.mkdirSync(path.dirname(options.latest), { recursive: true });
+        fs.writeFileSync(options.latest, JSON.stringify({ ...summary, alerts: fired }, null, 2));
+    }
+
+    if (options.alertWebhook && (fired.length > 0 || belowFloor.length > 0)) {
+        try {
+            const response = await fetch(options.alertWebhook, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ alerts: fired, belowFloor: belowFloor, summary: summary })
+            });
+            if (!response.ok) throw new Error(`Alert webhook error: ${response.status}`);
+        } catch (error) {
+            console.error('[Monitor] Alert delivery failed:', error.message);
+        }
+    }
+
+    return breached;
+}
+
+/* ==========================================
+   5. RUN MODES
+   ========================================== */
+
+async function runOnce() {
+    const { engine, alerts, watchlist } = await buildMonitor();
+    if (watchlist) await engine.fetchWatchlist();
+
+    const data = await engine.fetchAllProtocols();
+    if (Object.values(data).every(value => !value)) {
+        console.error('[Monitor] No protocol returned data');
+        return EXIT_ERROR;
+    }
+
+    await engine.forecaster.enrich(data);
+    engine.applyContagion(data);
+    await engine.history.recordPoll(data, engine.buildScoreSnapshot(data));
+
+    const breached = await handlePoll(engine, alerts, data);
+    return breached ? EXIT_BREACH : EXIT_OK;
+}
+
+async function runDaemon() {
+    const { engine, alerts, watchlist } = await buildMonitor();
+
+    let syncTimer = null;
+    if (watchlist) {
+        await engine.fetchWatchlist();
+        syncTimer = setInterval(() => {
+            engine.syncWatchlistToAirtable()
+                .then(() => engine.fetchWatchlist())
+                .catch(error => console.error('[Monitor] Watchlist sync failed:', error.message));
+        }, options.syncIntervalMs);
+    }
+
+    const shutdown = (code) => {
+        engine.stopMonitoringLoop();
+        clearInterval(syncTimer);
+        process.exit(code);
+    };
+    process.on('SIGINT', () => shutdown(EXIT_OK));
+    process.on('SIGTERM', () => shutdown(EXIT_OK));
+
+    engine.startMonitoringLoop(async (data) => {
+        const breached = await handlePoll(engine, alerts, data);
+        if (breached && options.exitOnBreach) shutdown(EXIT_BREACH);
+    });
+}
+
+if (options.once) {
+    runOnce()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('[Monitor] Fatal:', error);
+            process.exit(EXIT_ERROR);
+        });
+} else {
+    runDaemon().catch(error => {
+        console.error('[Monitor] Fatal:', error);
+        process.exit(EXIT_ERROR);
+    });
+}
@@ -0,0 +1,235 @@
+/* ========================================
+   YIELDGUARD AI - UNISWAP V4 ENCODER TESTS
+   test/uniswap-v4-encoder.test.js
+   buildExactInSwap calldata against vectors
+   encoded independently with viem, and the
+   shared base-unit conversion
+
+   Usage:
+     node --test test/
+   ======================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROUTER = '0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af';
+const EXECUTE = '0x3593564c';
+
+/* ==========================================
+   1. LOAD SCRIPTS
+   ========================================== */
+
+function loadScripts() {
+    const context = vm.createContext({ console });
+    ['wallet-connector.js', 'uniswap-v4-encoder.js'].forEach(file => {
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+    return {
+        UniswapV4Encoder: vm.runInContext('UniswapV4Encoder', context),
+        WalletConnector: vm.runInContext('WalletConnector', context)
+    };
+}
+
+/* ==========================================
+   2. VECTORS
+   execute() calldata after the selector, one
+   32-byte word per line
+   ========================================== */
+
+const A_WORDS = [
+    '0000000000000000000000000000000000000000000000000000000000000060',
+    '00000000000000000000000000000000000000000000000000000000000000a0',
+    '0000000000000000000000000000000000000000000000000000000068e77800',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '1000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '0000000000000000000000000000000000000000000000000000000000000020',
+    '0000000000000000000000000000000000000000000000000000000000000340',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '0000000000000000000000000000000000000000000000000000000000000080',
+    '0000000000000000000000000000000000000000000000000000000000000003',
+    '060c0f0000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000003',
+    '0000000000000000000000000000000000000000000000000000000000000060',
+    '00000000000000000000000000000000000000000000000000000000000001e0',
+    '0000000000000000000000000000000000000000000000000000000000000240',
+    '0000000000000000000000000000000000000000000000000000000000000160',
+    '0000000000000000000000000000000000000000000000000000000000000020',
+    '0000000000000000000000009d39a5de30e57443bff2a8307a4256c8797a3497',
+    '000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    '00000000000000000000000000000000000000000000000000000000000001f4',
+    '000000000000000000000000000000000000000000000000000000000000000a',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '0000000000000000000000000000000000000000000034f086f3b33b68400000',
+    '00000000000000000000000000000000000000000000000000000039bbd339c6',
+    '0000000000000000000000000000000000000000000000000000000000000120',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '0000000000000000000000009d39a5de30e57443bff2a8307a4256c8797a3497',
+    '0000000000000000000000000000000000000000000034f086f3b33b68400000',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    '00000000000000000000000000000000000000000000000000000039bbd339c6'
+];
+
+const B_WORDS = [
+    '0000000000000000000000000000000000000000000000000000000000000060',
+    '00000000000000000000000000000000000000000000000000000000000000a0',
+    '0000000000000000000000000000000000000000000000000000000068e78610',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '1000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '0000000000000000000000000000000000000000000000000000000000000020',
+    '0000000000000000000000000000000000000000000000000000000000000340',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '0000000000000000000000000000000000000000000000000000000000000080',
+    '0000000000000000000000000000000000000000000000000000000000000003',
+    '060c0f0000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000003',
+    '0000000000000000000000000000000000000000000000000000000000000060',
+    '00000000000000000000000000000000000000000000000000000000000001e0',
+    '0000000000000000000000000000000000000000000000000000000000000240',
+    '0000000000000000000000000000000000000000000000000000000000000160',
+    '0000000000000000000000000000000000000000000000000000000000000020',
+    '0000000000000000000000009d39a5de30e57443bff2a8307a4256c8797a3497',
+    '000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    '00000000000000000000000000000000000000000000000000000000000001f4',
+    '000000000000000000000000000000000000000000000000000000000000000a',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '000000000000000000000000000000000000000000000000000000174876e800',
+    '0000000000000000000000000000000000000000000014eec393843ecc46c000',
+    '0000000000000000000000000000000000000000000000000000000000000120',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    '000000000000000000000000000000000000000000000000000000174876e800',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '0000000000000000000000009d39a5de30e57443bff2a8307a4256c8797a3497',
+    '0000000000000000000000000000000000000000000014eec393843ecc46c000'
+];
+
+const C_WORDS = [
+    '0000000000000000000000000000000000000000000000000000000000000060',
+    '00000000000000000000000000000000000000000000000000000000000000a0',
+    '0000000000000000000000000000000000000000000000000000000068e79420',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '1000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '0000000000000000000000000000000000000000000000000000000000000020',
+    '0000000000000000000000000000000000000000000000000000000000000340',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '0000000000000000000000000000000000000000000000000000000000000080',
+    '0000000000000000000000000000000000000000000000000000000000000003',
+    '060c0f0000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000003',
+    '0000000000000000000000000000000000000000000000000000000000000060',
+    '00000000000000000000000000000000000000000000000000000000000001e0',
+    '0000000000000000000000000000000000000000000000000000000000000240',
+    '0000000000000000000000000000000000000000000000000000000000000160',
+    '0000000000000000000000000000000000000000000000000000000000000020',
+    '0000000000000000000000009d39a5de30e57443bff2a8307a4256c8797a3497',
+    '000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    '00000000000000000000000000000000000000000000000000000000000001f4',
+    '000000000000000000000000000000000000000000000000000000000000000a',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000001',
+    '000000000000000000000000000000000000000000000000016345785d8a0000',
+    '00000000000000000000000000000000000000000000000000000000000184ac',
+    '0000000000000000000000000000000000000000000000000000000000000120',
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '0000000000000000000000009d39a5de30e57443bff2a8307a4256c8797a3497',
+    '000000000000000000000000000000000000000000000000016345785d8a0000',
+    '0000000000000000000000000000000000000000000000000000000000000040',
+    '000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    '00000000000000000000000000000000000000000000000000000000000184ac'
+];
+
+const VECTORS = [
+    {
+        name: 'USDE -> USDC on mainnet (18 -> 6 decimals, zeroForOne)',
+        swap: { chainId: 1, tokenIn: 'USDE', tokenOut: 'USDC', amountIn: 250000, expectedAmountOut: 249210.37, slippageTolerance: 0.005, deadline: 1760000000 },
+        zeroForOne: true,
+        amountIn: '250000000000000000000000',
+        minAmountOut: '247964318150',
+        words: A_WORDS
+    },
+    {
+        name: 'USDC -> USDE on mainnet (6 -> 18 decimals, oneForZero)',
+        swap: { chainId: 1, tokenIn: 'USDC', tokenOut: 'USDE', amountIn: 100000, expectedAmountOut: 99850.25, slippageTolerance: 0.01, deadline: 1760003600 },
+        zeroForOne: false,
+        amountIn: '100000000000',
+        minAmountOut: '98851747500000000000000',
+        words: B_WORDS
+    },
+    {
+        name: 'USDE -> USDC on a dev chain (fractional amounts, 0.3% tolerance)',
+        swap: { chainId: 31337, tokenIn: 'usde', tokenOut: 'usdc', amountIn: 0.1, expectedAmountOut: 0.0998, slippageTolerance: 0.003, deadline: 1760007200 },
+        zeroForOne: true,
+        amountIn: '100000000000000000',
+        minAmountOut: '99500',
+        words: C_WORDS
+    }
+];
+
+/* ==========================================
+   3. TESTS
+   ========================================== */
+
+const { UniswapV4Encoder, WalletConnector } = loadScripts();
+const encoder = new UniswapV4Encoder();
+
+VECTORS.forEach(vector => {
+    test(`buildExactInSwap: ${vector.name}`, () => {
+        const swap = encoder.buildExactInSwap(vector.swap);
+
+        assert.equal(swap.to, ROUTER);
+        assert.equal(swap.permit2.spender, ROUTER);
+        assert.equal(swap.poolKey.zeroForOne, vector.zeroForOne);
+        assert.equal(swap.amountIn, vector.amountIn);
+        assert.equal(swap.permit2.amount, vector.amountIn);
+        assert.equal(swap.minAmountOut, vector.minAmountOut);
+        assert.equal(swap.data, EXECUTE + vector.words.join(''));
+    });
+});
+
+test('buildExactInSwap rejects a missing quote or an out-of-range tolerance', () => {
+    const swap = VECTORS[0].swap;
+    assert.throws(() => encoder.buildExactInSwap({ ...swap, expectedAmountOut: 0 }), /quoted output/);
+    assert.throws(() => encoder.buildExactInSwap({ ...swap, slippageTolerance: 1 }), /Slippage tolerance/);
+});
+
+/* ==========================================
+   4. BASE UNITS
+   ========================================== */
+
+test('toBaseUnits scales numbers and strings exactly, truncating extra digits', () => {
+    const cases = [
+        [0.1, 18, 100000000000000000n],
+        ['249210.37', 6, 249210370000n],
+        [1e21, 18, 10n ** 39n],
+        [2.5e22, 6, 25000000000000000000000000000n],
+        ['1.5e-7', 18, 150000000000n],
+        [1e-7, 6, 0n],
+        ['0.1234567', 6, 123456n],
+        ['.5', 6, 500000n],
+        ['7.', 0, 7n],
+        [0, 18, 0n]
+    ];
+    cases.forEach(([amount, decimals, expected]) => {
+        assert.equal(WalletConnector.toBaseUnits(amount, decimals), expected, `${amount} @ ${decimals}`);
+    });
+});
+
+test('toBaseUnits rejects negative, malformed and non-finite amounts', () => {
+    [-1, '-0.5', '', '.', '1,000', '0x10', 'abc', NaN, Infinity, null, undefined].forEach(amount => {
+        assert.throws(() => WalletConnector.toBaseUnits(amount, 18), { name: 'WalletError', code: 'INVALID_AMOUNT' }, String(amount));
+    });
+    assert.throws(() => WalletConnector.toBaseUnits(1, 1.5), { code: 'INVALID_AMOUNT' });
+});